@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// semantic-checker-language-server.js
+
+/**
+ * Starts the language server (see scripts/server.js) for editors other than
+ * VS Code, e.g. in Neovim:
+ *
+ *   vim.lsp.start({
+ *     name = "semantic-checker",
+ *     cmd = { "semantic-checker-language-server", "--stdio" },
+ *   })
+ */
+
+const {
+  createConnection,
+  ProposedFeatures,
+} = require("vscode-languageserver/node");
+const { startServer } = require("../scripts/server");
+
+startServer(createConnection(ProposedFeatures.all));
@@ -0,0 +1,374 @@
+#!/usr/bin/env node
+// semantic-checker.js
+
+/**
+ * Command line interface for running the semantic HTML rules outside of
+ * VS Code, e.g. to gate pull requests in CI:
+ *
+ *   semantic-checker check "src/**\/*.html" --max-issues 0
+ *
+ * or in a pre-commit hook, on the staged content of staged files:
+ *
+ *   semantic-checker check --staged
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const {
+  SEVERITIES,
+  LEVELS,
+  checkDocument,
+} = require("../scripts/checker");
+const { resolveConfig } = require("../scripts/config");
+const { DEFAULT_INCLUDE, getLanguage } = require("../scripts/adapters");
+const { findFiles } = require("../scripts/glob");
+const { createSarifLog } = require("../scripts/sarif");
+const { applyBaseline } = require("../scripts/baseline");
+const {
+  getRepositoryRoot,
+  readGitFile,
+  getStagedFiles,
+  getChangedLinesOf,
+  filterChangedIssues,
+} = require("../scripts/git");
+const {
+  getLevelBreakdown,
+  createWorkspaceReport,
+} = require("../scripts/report");
+
+const USAGE = `Usage: semantic-checker check [patterns...] [options]
+
+Checks HTML files with the Semantic HTML Checker rules. Markup in .jsx,
+.tsx, .vue, .svelte and .component.html files and server-rendered views
+(.php, .hbs, .njk, .jinja, .twig, .erb, .cshtml, ...) is checked too.
+Patterns are files, directories or globs (default: every supported file,
+"${DEFAULT_INCLUDE}").
+Each file uses the nearest .semanticcheckerrc.json, .semanticcheckerrc or
+semantic-checker.config.js; --rule and --target-level take precedence.
+Known issues recorded in the nearest .semanticchecker-baseline.json are
+not reported.
+
+Options:
+  --max-issues <n>   Exit with code 1 when more than <n> issues are found (default: 0)
+  --format <format>  Output format: "text", "json" or "sarif" (default: "text")
+  --ignore <glob>    Skip matching files, can be repeated (default: "**/node_modules/**")
+  --target-level <level>
+                     Only run rules up to this WCAG level: A, AA or AAA (default: AAA)
+  --rule <id=severity>
+                     Set a rule's severity (off, info, warning, error), can be repeated
+  --config <path>    Use this configuration file for every checked file
+  --no-baseline      Report the known issues of .semanticchecker-baseline.json too
+  --diff-base <ref>  Only report issues on lines changed since the merge base of
+                     <ref> and HEAD, including uncommitted changes
+  --staged           Check the staged content of the staged files and only report
+                     issues on staged lines, e.g. in a pre-commit hook
+  -h, --help         Show this help
+`;
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_THRESHOLD = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const options = {
+    command: null,
+    patterns: [],
+    maxIssues: 0,
+    format: "text",
+    ignore: [],
+    rules: {},
+    targetLevel: undefined,
+    configFile: undefined,
+    baseline: true,
+    diffBase: undefined,
+    staged: false,
+    help: false,
+  };
+
+  const takeValue = (index, flag) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith("--")) {
+      throw new UsageError(`Missing value for ${flag}.`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "--max-issues") {
+      options.maxIssues = Number(takeValue(i++, arg));
+      if (!Number.isInteger(options.maxIssues) || options.maxIssues < 0) {
+        throw new UsageError("--max-issues must be a non-negative integer.");
+      }
+    } else if (arg === "--format") {
+      options.format = takeValue(i++, arg);
+      if (!["text", "json", "sarif"].includes(options.format)) {
+        throw new UsageError(`Unknown format "${options.format}".`);
+      }
+    } else if (arg === "--ignore") {
+      options.ignore.push(takeValue(i++, arg));
+    } else if (arg === "--target-level") {
+      options.targetLevel = takeValue(i++, arg).toUpperCase();
+      if (!LEVELS.includes(options.targetLevel)) {
+        throw new UsageError(`Unknown WCAG level "${options.targetLevel}".`);
+      }
+    } else if (arg === "--no-baseline") {
+      options.baseline = false;
+    } else if (arg === "--diff-base") {
+      options.diffBase = takeValue(i++, arg);
+    } else if (arg === "--staged") {
+      options.staged = true;
+    } else if (arg === "--config") {
+      options.configFile = takeValue(i++, arg);
+    } else if (arg === "--rule") {
+      const [ruleId, severity] = takeValue(i++, arg).split("=");
+      if (!ruleId || !SEVERITIES.includes(severity)) {
+        throw new UsageError(
+          `--rule expects <id>=<${SEVERITIES.join("|")}>, e.g. R63=off.`
+        );
+      }
+      // Built-in ids are case-insensitive (r63), custom ids are kept as is
+      options.rules[/^r\d+$/i.test(ruleId) ? ruleId.toUpperCase() : ruleId] =
+        severity;
+    } else if (arg.startsWith("-")) {
+      throw new UsageError(`Unknown option "${arg}".`);
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.patterns.push(arg);
+    }
+  }
+
+  if (options.diffBase && options.staged) {
+    throw new UsageError("--diff-base and --staged cannot be combined.");
+  }
+
+  return options;
+}
+
+function formatText(results, cwd) {
+  const lines = [];
+
+  results.forEach(({ filePath, issues, unusedSuppressions }) => {
+    if (issues.length === 0 && unusedSuppressions.length === 0) return;
+
+    const entries = [
+      ...issues.map((issue) => ({
+        ...issue,
+        columns: [issue.severity, issue.level, issue.ruleId],
+      })),
+      ...unusedSuppressions.map((suppression) => ({
+        ...suppression,
+        columns: ["info", "-", "-"],
+      })),
+    ];
+
+    lines.push(path.relative(cwd, filePath));
+    entries
+      .sort((a, b) => a.startLine - b.startLine || a.startChar - b.startChar)
+      .forEach(({ startLine, startChar, columns, message }) => {
+        const location = `${startLine + 1}:${startChar + 1}`;
+        const [severity, level, ruleId] = columns;
+        lines.push(
+          `  ${location.padEnd(8)} ${severity.padEnd(8)} ${level.padEnd(
+            4
+          )} ${ruleId.padEnd(5)} ${message}`
+        );
+      });
+    lines.push("");
+  });
+
+  const allIssues = results.flatMap(({ issues }) => issues);
+  const baselined = results.reduce((sum, { baselined }) => sum + baselined, 0);
+  const unchanged = results.reduce((sum, { unchanged }) => sum + unchanged, 0);
+  const breakdown = Object.entries(getLevelBreakdown(allIssues))
+    .map(([lvl, cnt]) => `${cnt} at Level ${lvl}`)
+    .join(", ");
+
+  lines.push(
+    allIssues.length === 0
+      ? `✔ Checked ${results.length} file${results.length === 1 ? "" : "s"}, no accessibility issues found.`
+      : `✖ ${allIssues.length} accessibility issue${
+          allIssues.length === 1 ? "" : "s"
+        } in ${results.length} file${results.length === 1 ? "" : "s"} (${breakdown}).`
+  );
+  if (baselined > 0) {
+    lines.push(
+      `  ${baselined} known issue${
+        baselined === 1 ? " is" : "s are"
+      } in the baseline (--no-baseline to report them).`
+    );
+  }
+  if (unchanged > 0) {
+    lines.push(
+      `  ${unchanged} issue${
+        unchanged === 1 ? " is" : "s are"
+      } on unchanged lines.`
+    );
+  }
+
+  return lines.join("\n");
+}
+
+function run(argv, cwd = process.cwd()) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  if (options.command !== "check") {
+    console.error(
+      `${options.command ? `Unknown command "${options.command}".` : "Missing command."}\n\n${USAGE}`
+    );
+    return EXIT_USAGE;
+  }
+
+  // Git-diff mode (see scripts/git.js)
+  const gitDiff = options.staged
+    ? { mode: "staged" }
+    : options.diffBase && { mode: "base", base: options.diffBase };
+  const root = gitDiff && getRepositoryRoot(cwd);
+  if (gitDiff && !root) {
+    console.error(
+      `${options.staged ? "--staged" : "--diff-base"} needs a git repository.`
+    );
+    return EXIT_USAGE;
+  }
+
+  let files = findFiles(
+    options.patterns.length > 0 ? options.patterns : [DEFAULT_INCLUDE],
+    {
+      cwd,
+      defaultPattern: DEFAULT_INCLUDE,
+      ignore: options.ignore.length > 0 ? options.ignore : undefined,
+    }
+  );
+
+  if (options.staged) {
+    const staged = new Set(getStagedFiles(root));
+    files = files.filter((filePath) => staged.has(fs.realpathSync(filePath)));
+    // Nothing to check is not an error for a pre-commit hook
+    if (files.length === 0) {
+      console.log("No staged files matched the given patterns.");
+      return EXIT_OK;
+    }
+  }
+
+  if (files.length === 0) {
+    console.error("No HTML files matched the given patterns.");
+    return EXIT_USAGE;
+  }
+
+  const configFile = options.configFile && path.resolve(cwd, options.configFile);
+  const results = [];
+  // Plugin and rule errors, each printed once
+  const warnings = new Set();
+  const warn = (message) => {
+    if (warnings.has(message)) return;
+    warnings.add(message);
+    console.error(message);
+  };
+
+  for (const filePath of files) {
+    let checkOptions;
+    try {
+      checkOptions = resolveConfig(filePath, {}, { configFile });
+    } catch (error) {
+      console.error(error.message);
+      return EXIT_USAGE;
+    }
+    checkOptions.errors.forEach(warn);
+    if (checkOptions.ignored) continue;
+
+    const text = options.staged
+      ? readGitFile(root, "", filePath)
+      : fs.readFileSync(filePath, "utf-8");
+    const result = checkDocument(text, {
+      ...checkOptions,
+      rules: { ...checkOptions.rules, ...options.rules },
+      targetLevel: options.targetLevel || checkOptions.targetLevel,
+      language: getLanguage(null, filePath),
+    });
+    result.ruleErrors.forEach(({ ruleId, message }) =>
+      warn(`Rule ${ruleId} failed and was skipped: ${message}`)
+    );
+
+    let baselined = 0;
+    if (options.baseline) {
+      try {
+        ({ issues: result.issues, baselined } = applyBaseline(
+          filePath,
+          text,
+          result.issues
+        ));
+      } catch (error) {
+        console.error(error.message);
+        return EXIT_USAGE;
+      }
+    }
+
+    let unchanged = 0;
+    if (gitDiff) {
+      try {
+        const changedLines = getChangedLinesOf(filePath, text, gitDiff);
+        // Files outside of the repository are checked in full
+        if (changedLines) {
+          ({ issues: result.issues, unchanged } = filterChangedIssues(
+            text,
+            result.issues,
+            changedLines
+          ));
+        }
+      } catch (error) {
+        console.error(error.message);
+        return EXIT_USAGE;
+      }
+    }
+    results.push({ filePath, ...result, baselined, unchanged });
+  }
+
+  const checked = results.map(
+    ({ filePath, issues, unusedSuppressions, ruleErrors, baselined }) => ({
+      file: path.relative(cwd, filePath).split(path.sep).join("/"),
+      issues,
+      unusedSuppressions,
+      ruleErrors,
+      baselined,
+    })
+  );
+  if (options.format === "json") {
+    console.log(JSON.stringify(createWorkspaceReport(checked), null, 2));
+  } else if (options.format === "sarif") {
+    const rootUri = pathToFileURL(cwd).href.replace(/\/?$/, "/");
+    console.log(JSON.stringify(createSarifLog(checked, { rootUri }), null, 2));
+  } else {
+    console.log(formatText(results, cwd));
+  }
+
+  const totalIssues = results.reduce(
+    (sum, { issues }) => sum + issues.length,
+    0
+  );
+  return totalIssues > options.maxIssues ? EXIT_THRESHOLD : EXIT_OK;
+}
+
+if (require.main === module) {
+  process.exitCode = run(process.argv.slice(2));
+}
+
+module.exports = { run, parseArgs };
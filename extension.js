@@ -1,25 +1,174 @@
+const path = require("path");
 const vscode = require("vscode");
-const rules = require("./scripts/rules");
+const { LanguageClient, TransportKind } = require("vscode-languageclient/node");
+const {
+  LANGUAGE_IDS,
+  DEFAULT_INCLUDE,
+  getLanguage,
+} = require("./scripts/adapters");
+const {
+  getLevelBreakdown,
+  createDocumentReport,
+  createWorkspaceReport,
+} = require("./scripts/report");
+const { createSarifLog } = require("./scripts/sarif");
+const { expandFileName, writeReportFile } = require("./scripts/output");
+const {
+  createReportModel,
+  formatHtmlReport,
+  formatMarkdownReport,
+} = require("./scripts/export");
+const { CHECK_DELAY_MS, REQUESTS } = require("./scripts/protocol");
+const {
+  BASELINE_FILE_NAME,
+  readBaseline,
+  createBaseline,
+  pruneBaseline,
+} = require("./scripts/baseline");
+
+// Language client of the session, started on activation
+let client;
 
 // This function is called when your extension is activated
 function activate(context) {
   console.log('Extension "semantic-checker" is now active.');
   vscode.window.showInformationMessage("Semantic HTML check initiated.");
 
+  // Checking, quick fixes and hovers are provided by the language server
+  // (scripts/server.js), which other editors use as well. It re-checks open
+  // documents as they change and publishes their diagnostics.
+  const serverModule = context.asAbsolutePath(
+    path.join("scripts", "server.js")
+  );
+  client = new LanguageClient(
+    "semanticChecker",
+    "Semantic HTML Checker",
+    {
+      run: { module: serverModule, transport: TransportKind.ipc },
+      debug: {
+        module: serverModule,
+        transport: TransportKind.ipc,
+        options: { execArgv: ["--nolazy", "--inspect=6009"] },
+      },
+    },
+    { documentSelector: LANGUAGE_IDS.map((language) => ({ language })) }
+  );
+  const ready = client.start();
+
+  const request = async (type, params) => {
+    await ready;
+    return client.sendRequest(type, params);
+  };
+
+  // Checks a document (open or on disk) and publishes its diagnostics; with
+  // { useBaseline: false } or { useGitDiff: false }, the issues of the
+  // baseline or of unchanged lines are returned and nothing is published
+  const checkUri = (uri, filters = {}) =>
+    request(REQUESTS.checkDocument, { uri: uri.toString(), ...filters });
+
+  // Text of a file: its editor content when it is open, as the server checks
+  const readText = async (uri) => {
+    const open = vscode.workspace.textDocuments.find(
+      (document) => document.uri.toString() === uri.toString()
+    );
+    return open
+      ? open.getText()
+      : Buffer.from(await vscode.workspace.fs.readFile(uri)).toString("utf-8");
+  };
+
+  /**
+   * Builds a WorkspaceEdit applying the autofix of each target, computed by
+   * the server. Every edit is labelled with its rules and needs
+   * confirmation, so VS Code opens the refactor preview where each change
+   * can be reviewed as a diff and accepted or rejected.
+   */
+  const createFixEdit = async (document, targets) => {
+    const { edits, conflicts } = await request(REQUESTS.computeFixes, {
+      uri: document.uri.toString(),
+      targets,
+    });
+    const edit = new vscode.WorkspaceEdit();
+    edit.set(
+      document.uri,
+      edits.map(({ range, newText, ruleIds, description }) => [
+        vscode.TextEdit.replace(
+          client.protocol2CodeConverter.asRange(range),
+          newText
+        ),
+        {
+          label: `Fix ${ruleIds.join(", ")}`,
+          description,
+          needsConfirmation: true,
+        },
+      ])
+    );
+    return { edit, edits, conflicts };
+  };
+
+  // Checks the files matched by the include and exclude settings, with a
+  // cancellable progress notification; their diagnostics are published
+  const scanWorkspace = (filters = {}) => {
+    const config = vscode.workspace.getConfiguration("semanticChecker");
+    const include = config.get("include", DEFAULT_INCLUDE);
+    const exclude = config.get("exclude", "**/node_modules/**");
+
+    return vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Checking semantic HTML in workspace",
+        cancellable: true,
+      },
+      async (progress, token) => {
+        const uris = await vscode.workspace.findFiles(
+          include,
+          exclude || null,
+          undefined,
+          token
+        );
+        const scanned = [];
+
+        for (const uri of uris) {
+          if (token.isCancellationRequested) break;
+
+          progress.report({
+            message: vscode.workspace.asRelativePath(uri),
+            increment: 100 / uris.length,
+          });
+
+          try {
+            const result = await checkUri(uri, filters);
+            // Files listed in a project config's ignorePatterns are skipped
+            if (result.ignored) continue;
+
+            scanned.push({ uri, ...result });
+          } catch (error) {
+            console.error(`Failed to check ${uri.fsPath}:`, error);
+          }
+        }
+
+        return { scanned, cancelled: token.isCancellationRequested };
+      }
+    );
+  };
+
   let disposable = vscode.commands.registerCommand(
     "extension.checkSemanticHTML",
-    () => {
+    async () => {
       const editor = vscode.window.activeTextEditor;
 
-      if (editor && editor.document.languageId === "html") {
-        const documentText = editor.document.getText();
-        const issues = checkSemanticIssues(documentText, editor.document);
+      if (editor && getDocumentLanguage(editor.document)) {
+        let result;
+        try {
+          result = await checkUri(editor.document.uri);
+        } catch (error) {
+          vscode.window.showErrorMessage(
+            `Semantic HTML Checker: checking failed: ${error.message}`
+          );
+          return;
+        }
+        const { issues, baselined, unchanged } = result;
 
-        const levelBreakdown = issues.reduce((acc, { level }) => {
-          const lvl = level.toUpperCase();
-          acc[lvl] = (acc[lvl] || 0) + 1;
-          return acc;
-        }, {});
+        const levelBreakdown = getLevelBreakdown(issues);
 
         const levelBreakdownMsg = Object.entries(levelBreakdown)
           .map(
@@ -27,43 +176,6 @@ function activate(context) {
           )
           .join(" | ");
 
-        const diagnostics = issues.map((issue) => {
-          const range = new vscode.Range(
-            issue.startLine,
-            issue.startChar,
-            issue.endLine,
-            issue.endChar
-          );
-
-          const diagnostic = new vscode.Diagnostic(
-            range,
-            `${issue.message} \n [WCAG Level ${issue.level}]\n\n🔧 Recommendation: ${issue.recommendation}`,
-            vscode.DiagnosticSeverity.Warning
-          );
-
-          diagnostic.code = {
-            value: issue.ruleId,
-            target: vscode.Uri.parse(
-              `https://copilot.github.com/fix?issue=${encodeURIComponent(
-                issue.message
-              )}`
-            ),
-          };
-
-          diagnostic.relatedInformation = [
-            new vscode.DiagnosticRelatedInformation(
-              new vscode.Location(editor.document.uri, range),
-              `📘 Learn more: ${issue.codeUrl}`
-            ),
-          ];
-
-          return diagnostic;
-        });
-
-        const diagnosticCollection =
-          vscode.languages.createDiagnosticCollection("semantic-checker");
-        diagnosticCollection.set(editor.document.uri, diagnostics);
-
         console.log(`🔎 Accessibility Check Result:`);
         console.log(`📄 Total issues found: ${issues.length}`);
         console.log(`📊 Breakdown by WCAG Level:`);
@@ -71,21 +183,27 @@ function activate(context) {
           console.log(`   - Level ${lvl}: ${cnt} issue${cnt > 1 ? "s" : ""}`);
         });
 
-        saveIssuesToFile(issues, levelBreakdown);
+        saveIssuesToFile(editor.document.uri, result);
 
         if (issues.length === 0) {
           vscode.window.showInformationMessage(
-            "The HTML meets accessibility requirements."
+            `The HTML meets accessibility requirements.${describeFiltered(
+              baselined,
+              unchanged
+            )}`
           );
         } else {
           vscode.window.showWarningMessage(
-            `Found ${issues.length} accessibility issues.\nBreakdown: ${levelBreakdownMsg}.`
+            `Found ${issues.length} accessibility issues.\nBreakdown: ${levelBreakdownMsg}.${describeFiltered(
+              baselined,
+              unchanged
+            )}`
           );
         }
 
         showGitHubCopilotMessage();
       } else {
-        vscode.window.showErrorMessage("This is not an HTML file.");
+        vscode.window.showErrorMessage(UNSUPPORTED_FILE_MESSAGE);
       }
     }
   );
@@ -95,14 +213,21 @@ function activate(context) {
     async () => {
       const editor = vscode.window.activeTextEditor;
 
-      if (!editor || editor.document.languageId !== "html") {
-        vscode.window.showErrorMessage("Please open an HTML file to fix.");
+      if (!editor || !getDocumentLanguage(editor.document)) {
+        vscode.window.showErrorMessage(UNSUPPORTED_FILE_MESSAGE);
         return;
       }
 
       const document = editor.document;
-      const documentText = document.getText();
-      const issues = checkSemanticIssues(documentText, document);
+      let issues;
+      try {
+        ({ issues } = await checkUri(document.uri));
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Semantic HTML Checker: checking failed: ${error.message}`
+        );
+        return;
+      }
 
       if (issues.length === 0) {
         vscode.window.showInformationMessage("No accessibility issues to fix.");
@@ -118,106 +243,631 @@ function activate(context) {
 
       if (confirm !== "Yes, fix what you can") return;
 
-      const edit = new vscode.WorkspaceEdit();
+      let edit;
+      let edits;
+      let conflicts;
+      try {
+        ({ edit, edits, conflicts } = await createFixEdit(
+          document,
+          issues.map(({ ruleId, startOffset, endOffset }) => ({
+            ruleId,
+            start: startOffset,
+            end: endOffset,
+          }))
+        ));
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Semantic HTML Checker: computing the fixes failed: ${error.message}`
+        );
+        return;
+      }
 
-      for (const issue of issues) {
-        const rule = rules.find((r) => issue.ruleId.includes(r.message));
+      if (edits.length === 0) {
+        vscode.window.showInformationMessage(
+          "None of the detected issues can be fixed automatically."
+        );
+        return;
+      }
 
-        if (!rule || typeof rule.autofix !== "function") continue;
+      const success = await vscode.workspace.applyEdit(edit, {
+        isRefactoring: true,
+      });
 
-        const range = new vscode.Range(
-          issue.startLine,
-          issue.startChar,
-          issue.endLine,
-          issue.endChar
+      if (success) {
+        vscode.window.showInformationMessage(
+          conflicts.length > 0
+            ? `✅ Fixes applied where possible! ${conflicts.length} overlapping fix${
+                conflicts.length === 1 ? " was" : "es were"
+              } skipped, run the command again to apply ${
+                conflicts.length === 1 ? "it" : "them"
+              }.`
+            : "✅ Fixes applied where possible!"
         );
+      } else {
+        vscode.window.showErrorMessage("❌ Failed to apply fixes.");
+      }
+    }
+  );
 
-        const originalText = document.getText(range);
-        const fixedText = rule.autofix(originalText);
-
-        if (fixedText && fixedText !== originalText) {
-          edit.replace(document.uri, range, fixedText);
-        }
+  let workspaceCommand = vscode.commands.registerCommand(
+    "extension.checkSemanticHTMLWorkspace",
+    async () => {
+      if (!vscode.workspace.workspaceFolders) {
+        vscode.window.showErrorMessage("No workspace folder open.");
+        return;
       }
 
-      const success = await vscode.workspace.applyEdit(edit);
+      const { scanned, cancelled } = await scanWorkspace();
+      const totalIssues = scanned.reduce(
+        (sum, { issues }) => sum + issues.length,
+        0
+      );
+      const filesWithIssues = scanned.filter(
+        ({ issues }) => issues.length > 0
+      ).length;
+      const baselined = scanned.reduce(
+        (sum, { baselined }) => sum + baselined,
+        0
+      );
+      const unchanged = scanned.reduce(
+        (sum, { unchanged }) => sum + unchanged,
+        0
+      );
 
-      if (success) {
+      saveWorkspaceReport(scanned, cancelled);
+
+      const summary = `Found ${totalIssues} accessibility issue${
+        totalIssues === 1 ? "" : "s"
+      } in ${filesWithIssues} of ${scanned.length} file${
+        scanned.length === 1 ? "" : "s"
+      }.${describeFiltered(baselined, unchanged)}`;
+
+      if (cancelled) {
+        vscode.window.showWarningMessage(`Workspace check cancelled. ${summary}`);
+      } else if (totalIssues === 0) {
         vscode.window.showInformationMessage(
-          "✅ Fixes applied where possible!"
+          `Checked ${scanned.length} files. The markup meets accessibility requirements.${describeFiltered(
+            baselined,
+            unchanged
+          )}`
         );
       } else {
-        vscode.window.showErrorMessage("❌ Failed to apply fixes.");
+        vscode.window.showWarningMessage(summary);
+      }
+    }
+  );
+
+  let performanceChannel;
+  const performanceCommand = vscode.commands.registerCommand(
+    "extension.showRulePerformance",
+    async () => {
+      if (!performanceChannel) {
+        performanceChannel = vscode.window.createOutputChannel(
+          "Semantic HTML Checker: Rule Performance"
+        );
+        context.subscriptions.push(performanceChannel);
+      }
+      let text;
+      try {
+        ({ text } = await request(REQUESTS.rulePerformance));
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Semantic HTML Checker: reading the rule performance failed: ${error.message}`
+        );
+        return;
+      }
+      performanceChannel.clear();
+      performanceChannel.appendLine(text);
+      performanceChannel.show(true);
+    }
+  );
+
+  const exportCommand = vscode.commands.registerCommand(
+    "extension.exportAccessibilityReport",
+    async () => {
+      const editor = vscode.window.activeTextEditor;
+      const scopes = [];
+      if (editor && getDocumentLanguage(editor.document)) {
+        scopes.push(REPORT_SCOPES.file);
+      }
+      if (vscode.workspace.workspaceFolders) {
+        scopes.push(REPORT_SCOPES.workspace);
+      }
+      if (scopes.length === 0) {
+        vscode.window.showErrorMessage(UNSUPPORTED_FILE_MESSAGE);
+        return;
+      }
+
+      const scope =
+        scopes.length === 1
+          ? scopes[0]
+          : await vscode.window.showQuickPick(scopes, {
+              placeHolder: "What should the report cover?",
+            });
+      if (!scope) return;
+
+      const format = await vscode.window.showQuickPick(REPORT_FORMATS, {
+        placeHolder: "Report format",
+      });
+      if (!format) return;
+
+      // Exports list every issue: the rules without issues are reported as
+      // passed, which they are not when the baseline or git diff hid theirs
+      let files;
+      let title;
+      try {
+        if (scope === REPORT_SCOPES.file) {
+          const { document } = editor;
+          const result = await checkUri(document.uri, ALL_ISSUES);
+          title = vscode.workspace.asRelativePath(document.uri);
+          files = [{ file: title, text: document.getText(), ...result }];
+        } else {
+          const { scanned, cancelled } = await scanWorkspace(ALL_ISSUES);
+          if (cancelled) return;
+          title = vscode.workspace.name;
+          files = await Promise.all(
+            scanned.map(async ({ uri, ...result }) => ({
+              file: vscode.workspace.asRelativePath(uri),
+              text: await readText(uri),
+              ...result,
+            }))
+          );
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Semantic HTML Checker: checking failed: ${error.message}`
+        );
+        return;
+      }
+
+      const model = createReportModel(files, {
+        title: `Accessibility Report: ${title}`,
+      });
+      const [folder] = vscode.workspace.workspaceFolders || [];
+      const fileName = `accessibility-report.${format.extension}`;
+      const target = await vscode.window.showSaveDialog({
+        defaultUri: folder
+          ? vscode.Uri.joinPath(folder.uri, fileName)
+          : undefined,
+        filters: { [format.label]: [format.extension] },
+      });
+      if (!target) return;
+
+      try {
+        await vscode.workspace.fs.writeFile(
+          target,
+          Buffer.from(format.create(model), "utf-8")
+        );
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Semantic HTML Checker: saving the report failed: ${error.message}`
+        );
+        return;
+      }
+      const open = await vscode.window.showInformationMessage(
+        `Accessibility report saved to ${vscode.workspace.asRelativePath(
+          target
+        )}.`,
+        "Open Report"
+      );
+      if (open && format.extension === "html") {
+        vscode.env.openExternal(target);
+      } else if (open) {
+        vscode.window.showTextDocument(target);
+      }
+    }
+  );
+
+  // Snapshots the current issues of the workspace into a baseline file at
+  // the root of each workspace folder (see scripts/baseline.js)
+  const createBaselineCommand = vscode.commands.registerCommand(
+    "extension.createBaseline",
+    async () => {
+      const folders = vscode.workspace.workspaceFolders;
+      if (!folders) {
+        vscode.window.showErrorMessage("No workspace folder open.");
+        return;
       }
+
+      const existing = [];
+      for (const folder of folders) {
+        if (await exists(vscode.Uri.joinPath(folder.uri, BASELINE_FILE_NAME))) {
+          existing.push(folder.name);
+        }
+      }
+      if (existing.length > 0) {
+        const replace = await vscode.window.showWarningMessage(
+          `Replace the baseline of ${existing.join(", ")}? Its known issues will be replaced by the current ones.`,
+          { modal: true },
+          "Replace"
+        );
+        if (replace !== "Replace") return;
+      }
+
+      const { scanned, cancelled } = await scanWorkspace(ALL_ISSUES);
+      if (cancelled) return;
+
+      let total = 0;
+      try {
+        for (const folder of folders) {
+          const files = getFolderFiles(scanned, folder);
+          if (files.length === 0 && folders.length > 1) continue;
+
+          total += files.reduce((sum, { issues }) => sum + issues.length, 0);
+          await writeJSON(
+            vscode.Uri.joinPath(folder.uri, BASELINE_FILE_NAME),
+            createBaseline(files)
+          );
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Semantic HTML Checker: creating the baseline failed: ${error.message}`
+        );
+        return;
+      }
+
+      vscode.window.showInformationMessage(
+        `Baseline created with ${total} known issue${
+          total === 1 ? "" : "s"
+        }. Commit ${BASELINE_FILE_NAME} so only new issues are reported.`
+      );
     }
   );
 
+  // Re-checks the files of each baseline without it and removes the entries
+  // of the issues that were fixed
+  const pruneBaselineCommand = vscode.commands.registerCommand(
+    "extension.pruneBaseline",
+    async () => {
+      const baselines = [];
+      for (const folder of vscode.workspace.workspaceFolders || []) {
+        const uri = vscode.Uri.joinPath(folder.uri, BASELINE_FILE_NAME);
+        if (await exists(uri)) baselines.push({ folder, uri });
+      }
+      if (baselines.length === 0) {
+        vscode.window.showErrorMessage(
+          `No ${BASELINE_FILE_NAME} found. Run "Create Baseline" first.`
+        );
+        return;
+      }
+
+      let removed = 0;
+      try {
+        for (const { folder, uri } of baselines) {
+          const baseline = readBaseline(uri.fsPath);
+          const files = [];
+          for (const file of Object.keys(baseline.files)) {
+            const fileUri = vscode.Uri.joinPath(folder.uri, file);
+            if (!(await exists(fileUri))) {
+              files.push({ file, issues: null });
+              continue;
+            }
+            const result = await checkUri(fileUri, ALL_ISSUES);
+            files.push({ file, issues: result.ignored ? [] : result.issues });
+          }
+
+          const pruned = pruneBaseline(baseline, files);
+          if (pruned.removed === 0) continue;
+          removed += pruned.removed;
+          await writeJSON(uri, pruned.baseline);
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(
+          `Semantic HTML Checker: pruning the baseline failed: ${error.message}`
+        );
+        return;
+      }
+
+      vscode.window.showInformationMessage(
+        removed === 0
+          ? "No fixed issues in the baseline."
+          : `Removed ${removed} fixed issue${
+              removed === 1 ? "" : "s"
+            } from the baseline.`
+      );
+    }
+  );
+
+  // Switches the git-diff mode (see scripts/git.js) of the workspace
+  const gitDiffCommand = vscode.commands.registerCommand(
+    "extension.chooseGitDiffMode",
+    async () => {
+      const config = vscode.workspace.getConfiguration("semanticChecker");
+      const current = config.get("gitDiff.mode", "off");
+      const choice = await vscode.window.showQuickPick(
+        GIT_DIFF_MODES.map((mode) => ({
+          ...mode,
+          description: mode.value === current ? "current" : undefined,
+        })),
+        { placeHolder: "Which issues should be reported?" }
+      );
+      if (!choice) return;
+
+      if (choice.value === "base") {
+        const base = await vscode.window.showInputBox({
+          prompt:
+            "Branch, tag or commit to compare with, e.g. main or origin/main",
+          value: config.get("gitDiff.base", "HEAD"),
+          validateInput: (value) =>
+            value.trim() ? undefined : "Enter a git ref.",
+        });
+        if (!base) return;
+        await config.update(
+          "gitDiff.base",
+          base.trim(),
+          vscode.ConfigurationTarget.Workspace
+        );
+      }
+      await config.update(
+        "gitDiff.mode",
+        choice.value,
+        vscode.ConfigurationTarget.Workspace
+      );
+    }
+  );
+
+  context.subscriptions.push(createOutlineView(request));
+  context.subscriptions.push(createLandmarksView(request));
   context.subscriptions.push(disposable);
   context.subscriptions.push(fixCommand);
+  context.subscriptions.push(workspaceCommand);
+  context.subscriptions.push(performanceCommand);
+  context.subscriptions.push(exportCommand);
+  context.subscriptions.push(createBaselineCommand);
+  context.subscriptions.push(pruneBaselineCommand);
+  context.subscriptions.push(gitDiffCommand);
 }
 
 function deactivate() {
   console.log('Extension "semantic-checker" has been deactivated.');
+  return client ? client.stop() : undefined;
 }
 
+const UNSUPPORTED_FILE_MESSAGE =
+  "This file type is not supported. Open an HTML, JSX/TSX, Vue, Svelte or Angular template file.";
+
+// Filters of checkUri() reporting every issue, e.g. to create a baseline or
+// an exported report
+const ALL_ISSUES = { useBaseline: false, useGitDiff: false };
+
+const GIT_DIFF_MODES = [
+  {
+    label: "All lines",
+    detail: "Report every issue",
+    value: "off",
+  },
+  {
+    label: "Lines changed against a ref",
+    detail:
+      "Only report issues on lines that differ from a branch, tag or commit, including uncommitted changes",
+    value: "base",
+  },
+  {
+    label: "Staged lines",
+    detail: "Only report issues on lines whose change is staged for commit",
+    value: "staged",
+  },
+];
+
+const REPORT_SCOPES = {
+  file: "Current file",
+  workspace: "Workspace (files matched by semanticChecker.include)",
+};
 
+const REPORT_FORMATS = [
+  {
+    label: "HTML",
+    description: "Self-contained page to share",
+    extension: "html",
+    create: formatHtmlReport,
+  },
+  {
+    label: "Markdown",
+    description: "For pull request comments",
+    extension: "md",
+    create: formatMarkdownReport,
+  },
+];
+
+// Language adapter of a document (see scripts/adapters.js); null when unsupported
+function getDocumentLanguage(document) {
+  return getLanguage(document.languageId, document.fileName);
+}
 
-// Remove or comment out the old cleanDocument function in your extension.js or equivalent file.
+/**
+ * Accessibility Outline view in the Explorer: the heading hierarchy of the
+ * active document, computed by the server (see scripts/outline.js), with
+ * the problems of the page first.
+ */
+function createOutlineView(request) {
+  return createDocumentView(request, {
+    id: "semanticChecker.outline",
+    requestType: REQUESTS.documentOutline,
+    getItems: ({ problems, headings }) => [...problems, ...headings],
+    describe: ({ text, tagName, level }) => ({
+      label: text || "(empty heading)",
+      description: /^h[1-6]$/.test(tagName)
+        ? tagName
+        : `<${tagName}> level ${level}`,
+      icon: "symbol-text",
+    }),
+  });
+}
 
-function checkSemanticIssues(rawText, vscodeDocument) {
-    const issues = [];
-    let preparsedDocumentText = rawText;
+/**
+ * Landmarks view in the Explorer: the landmark map of the active document,
+ * computed by the server (see scripts/landmarks.js), with the problems of
+ * the page and the content outside of landmarks first.
+ */
+function createLandmarksView(request) {
+  return createDocumentView(request, {
+    id: "semanticChecker.landmarks",
+    requestType: REQUESTS.documentLandmarks,
+    getItems: ({ problems, landmarks }) => [...problems, ...landmarks],
+    describe: ({ role, name, tagName }) => ({
+      label: role,
+      description: name ? `"${name}" <${tagName}>` : `<${tagName}>`,
+      icon: "symbol-namespace",
+    }),
+  });
+}
 
-    // Blank out comments by replacing their characters with spaces (preserving line breaks)
-    preparsedDocumentText = preparsedDocumentText.replace(/<!--[\s\S]*?-->/g, match => {
-        return Array.from(match).map(char => (char === '\n' || char === '\r' ? char : ' ')).join('');
-    });
+/**
+ * Explorer view of a tree the server computes for the active document.
+ * Items with `children` are nodes of the tree, the others are problems
+ * shown with their message. Clicking an item moves the cursor to its
+ * element.
+ * @param {Function} request sends a request to the server
+ * @param {{ id: string, requestType: string, getItems: Function,
+ *   describe: Function }} view `getItems` returns the top-level items of a
+ *   server result, `describe` the { label, description, icon } of a node
+ * @returns {vscode.Disposable}
+ */
+function createDocumentView(request, { id, requestType, getItems, describe }) {
+  const changed = new vscode.EventEmitter();
+  let current = null;
+  let timer;
+
+  const treeView = vscode.window.createTreeView(id, {
+    treeDataProvider: {
+      onDidChangeTreeData: changed.event,
+      getChildren: (element) => {
+        if (element) return element.children;
+        return current ? getItems(current.result) : [];
+      },
+      getTreeItem: (element) => {
+        const { uri } = current;
+        const reveal = {
+          command: "vscode.open",
+          title: "Reveal in Editor",
+          arguments: [
+            uri,
+            {
+              selection: new vscode.Range(
+                element.range.start.line,
+                element.range.start.character,
+                element.range.start.line,
+                element.range.start.character
+              ),
+            },
+          ],
+        };
+
+        // Problems of the page and of elements outside of the tree
+        if (!element.children) {
+          const item = new vscode.TreeItem(element.message);
+          item.iconPath = new vscode.ThemeIcon("warning");
+          item.command = reveal;
+          return item;
+        }
 
-    // Blank out script tags (including their content)
-    preparsedDocumentText = preparsedDocumentText.replace(/<script[\s\S]*?<\/script>/gi, match => {
-        return Array.from(match).map(char => (char === '\n' || char === '\r' ? char : ' ')).join('');
-    });
+        const { label, description, icon } = describe(element);
+        const item = new vscode.TreeItem(
+          label,
+          element.children.length > 0
+            ? vscode.TreeItemCollapsibleState.Expanded
+            : vscode.TreeItemCollapsibleState.None
+        );
+        item.description = description;
+        item.iconPath = new vscode.ThemeIcon(
+          element.problems.length > 0 ? "warning" : icon
+        );
+        if (element.problems.length > 0) {
+          item.tooltip = element.problems
+            .map(({ message }) => message)
+            .join("\n");
+        }
+        item.command = reveal;
+        return item;
+      },
+    },
+    showCollapseAll: true,
+  });
+
+  const update = async () => {
+    const editor = vscode.window.activeTextEditor;
+    const document = editor && editor.document;
+    let next = null;
+    if (treeView.visible && document && getDocumentLanguage(document)) {
+      try {
+        const result = await request(requestType, {
+          uri: document.uri.toString(),
+        });
+        next = { uri: document.uri, result };
+      } catch (error) {
+        console.error(`Failed to update the ${id} view:`, error);
+      }
+    }
+    current = next;
+    changed.fire();
+  };
 
-    // Blank out style tags (including their content)
-    preparsedDocumentText = preparsedDocumentText.replace(/<style[\s\S]*?<\/style>/gi, match => {
-        return Array.from(match).map(char => (char === '\n' || char === '\r' ? char : ' ')).join('');
-    });
+  const scheduleUpdate = () => {
+    clearTimeout(timer);
+    timer = setTimeout(update, CHECK_DELAY_MS);
+  };
 
-    // IMPORTANT: Do NOT globally remove attributes like id, class, style, name here.
-    // The 'rules.js' regex and validate functions will now operate on text that
-    // has these attributes intact if they were in the original HTML.
+  update();
+  return vscode.Disposable.from(
+    treeView,
+    changed,
+    treeView.onDidChangeVisibility(update),
+    vscode.window.onDidChangeActiveTextEditor(update),
+    vscode.workspace.onDidChangeTextDocument(({ document }) => {
+      const editor = vscode.window.activeTextEditor;
+      if (editor && editor.document === document) scheduleUpdate();
+    }),
+    { dispose: () => clearTimeout(timer) }
+  );
+}
 
-    rules.forEach(({ id: ruleIdentifier, regex, message, level, recommendation, validate }) => {
-        regex.lastIndex = 0; // Reset regex state for global searches
-        let execMatch;
-        while ((execMatch = regex.exec(preparsedDocumentText)) !== null) {
-            const matchedTagString = execMatch[0];
+// Note on the issues left out of a check: the known issues of the baseline
+// and, in git-diff mode, the issues on unchanged lines
+function describeFiltered(baselined = 0, unchanged = 0) {
+  let note = "";
+  if (baselined > 0) {
+    note += ` ${baselined} known issue${
+      baselined === 1 ? " is" : "s are"
+    } in the baseline.`;
+  }
+  if (unchanged > 0) {
+    note += ` ${unchanged} issue${
+      unchanged === 1 ? " is" : "s are"
+    } on unchanged lines.`;
+  }
+  return note;
+}
 
-            // Avoid flagging if the match is purely whitespace (from blanking out)
-            if (matchedTagString.trim() === "") {
-                continue;
-            }
+// Whether a file exists
+async function exists(uri) {
+  try {
+    await vscode.workspace.fs.stat(uri);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-            // The validate function receives the matched tag (from preparsedDocumentText)
-            // and the whole preparsedDocumentText.
-            if (validate(matchedTagString, preparsedDocumentText)) {
-                const startPosition = vscodeDocument.positionAt(execMatch.index);
-                const endPosition = vscodeDocument.positionAt(execMatch.index + matchedTagString.length);
-
-                issues.push({
-                    ruleId: ruleIdentifier, // Use the 'id' from rules.js (e.g., "R1")
-                    level: `${level}`,
-                    message: `${message} (${ruleIdentifier})`, // Display message with its rule ID
-                    recommendation,
-                    startLine: startPosition.line,
-                    startChar: startPosition.character,
-                    endLine: endPosition.line,
-                    endChar: endPosition.character,
-                });
-            }
-        }
-    });
-    return issues;
+// Writes an object as a formatted JSON file
+function writeJSON(uri, value) {
+  return vscode.workspace.fs.writeFile(
+    uri,
+    Buffer.from(`${JSON.stringify(value, null, 2)}\n`, "utf-8")
+  );
+}
+
+// Results of the scanned files of a workspace folder, with their paths
+// relative to it
+function getFolderFiles(scanned, folder) {
+  return scanned
+    .filter(({ uri }) => {
+      const owner = vscode.workspace.getWorkspaceFolder(uri);
+      return owner && owner.index === folder.index;
+    })
+    .map(({ uri, ...result }) => ({
+      file: getRelativePath(uri, folder),
+      ...result,
+    }));
 }
 
 // Function to check if GitHub Copilot is installed
@@ -226,43 +876,124 @@ function isGitHubCopilotInstalled() {
   return copilot !== undefined;
 }
 
-const fs = require("fs");
-const path = require("path");
+// Report settings of a workspace folder (see scripts/output.js)
+function getReportSettings(folder) {
+  const config = vscode.workspace.getConfiguration(
+    "semanticChecker",
+    folder.uri
+  );
+  return {
+    format: config.get("reportFormat", "json"),
+    enabled: config.get("report.enabled", true),
+    directory: config.get("report.directory", "diagnostics"),
+    fileName: config.get("report.fileName", "semantic-checker-log"),
+    workspaceFileName: config.get(
+      "report.workspaceFileName",
+      "semantic-checker-workspace-log"
+    ),
+    history: config.get("report.history", false),
+    historyLimit: config.get("report.historyLimit", 20),
+  };
+}
+
+// Path of a document relative to a workspace folder, "/"-separated; null
+// when it is outside of it (e.g. unsaved documents)
+function getRelativePath(uri, folder) {
+  const relative =
+    uri.scheme === "file" ? path.relative(folder.uri.fsPath, uri.fsPath) : "";
+  return relative && !relative.startsWith("..") && !path.isAbsolute(relative)
+    ? relative.split(path.sep).join("/")
+    : null;
+}
+
+// Function to write a report into the report directory of a workspace folder
+function writeReport(folder, settings, fileName, variables, output) {
+  let outputFile;
+  try {
+    outputFile = writeReportFile(
+      folder.uri.fsPath,
+      settings,
+      expandFileName(fileName, {
+        workspaceFolderBasename: folder.name,
+        ...variables,
+      }),
+      settings.format === "sarif" ? ".sarif" : ".json",
+      output
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(
+      `Semantic HTML Checker: saving the report failed: ${error.message}`
+    );
+    return;
+  }
+  console.log(`📁 Diagnostic report saved to: ${outputFile}`);
+}
+
 // Function to save issues to a file
-function saveIssuesToFile(issues, breakdown) {
-  const workspaceFolders = vscode.workspace.workspaceFolders;
-  if (!workspaceFolders) {
+function saveIssuesToFile(
+  uri,
+  { issues, unusedSuppressions, ruleErrors, baselined }
+) {
+  const config = vscode.workspace.getConfiguration("semanticChecker", uri);
+  if (!config.get("report.enabled", true)) return;
+
+  const folder =
+    vscode.workspace.getWorkspaceFolder(uri) ||
+    (vscode.workspace.workspaceFolders || [])[0];
+  if (!folder) {
     vscode.window.showErrorMessage("No workspace folder open.");
     return;
   }
 
-  const workspacePath = workspaceFolders[0].uri.fsPath;
-  const outputDir = path.join(workspacePath, "diagnostics");
-  const outputFile = path.join(outputDir, "semantic-checker-log.json");
+  const settings = getReportSettings(folder);
+  const relativeFile = getRelativePath(uri, folder);
+  const fileBasename = path.posix.basename(uri.path);
+  const output =
+    settings.format === "sarif"
+      ? createSarifLog(
+          [{ file: relativeFile || uri.toString(), issues, ruleErrors }],
+          { rootUri: `${folder.uri.toString()}/` }
+        )
+      : createDocumentReport(issues, unusedSuppressions, baselined);
+
+  writeReport(
+    folder,
+    settings,
+    settings.fileName,
+    {
+      fileBasename,
+      fileBasenameNoExtension: fileBasename.replace(/\.[^.]*$/, ""),
+      relativeFile: relativeFile || fileBasename,
+    },
+    output
+  );
+}
 
-  // Crear carpeta si no existe
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir);
-  }
+// Function to save the aggregated workspace report, one per workspace
+// folder with the paths of its files
+function saveWorkspaceReport(scanned, cancelled) {
+  const folders = vscode.workspace.workspaceFolders || [];
 
-  const output = {
-    totalIssues: issues.length,
-    breakdownByLevel: breakdown,
-    timestamp: new Date().toISOString(),
-    issues: issues.map((issue) => ({
-      ruleId: issue.ruleId,
-      level: issue.level,
-      message: issue.message,
-      recommendation: issue.recommendation,
-      startLine: issue.startLine + 1, // 1-based
-      startChar: issue.startChar,
-      endLine: issue.endLine + 1,
-      endChar: issue.endChar,
-    })),
-  };
+  folders.forEach((folder) => {
+    const settings = getReportSettings(folder);
+    const files = getFolderFiles(scanned, folder);
+    if (!settings.enabled || (files.length === 0 && folders.length > 1)) {
+      return;
+    }
 
-  fs.writeFileSync(outputFile, JSON.stringify(output, null, 2), "utf-8");
-  console.log(`📁 Diagnostic report saved to: ${outputFile}`);
+    writeReport(
+      folder,
+      settings,
+      settings.workspaceFileName,
+      {},
+      settings.format === "sarif"
+        ? createSarifLog(files, {
+            rootUri: `${folder.uri.toString()}/`,
+            cancelled,
+          })
+        : createWorkspaceReport(files, cancelled)
+    );
+  });
 }
 
 // Function to show GitHub Copilot message
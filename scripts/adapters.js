@@ -0,0 +1,646 @@
+// adapters.js
+
+const { buildTree } = require("./parser");
+const { neutralizeTemplates } = require("./templates");
+
+/**
+ * Language adapters let the rules check markup embedded in other languages.
+ * An adapter turns a source file into HTML of exactly the same length:
+ * template syntax is rewritten in place and everything that is not markup is
+ * blanked, so the offsets, lines and columns of the issues found in the HTML
+ * are also valid in the source file.
+ *
+ * - jsx: JSX/TSX elements. className and htmlFor become class and for,
+ *   attribute expressions become quoted values and text expressions become
+ *   placeholder text.
+ * - vue: the <template> block. :alt and v-bind:alt become alt.
+ * - svelte: the markup outside <script> and <style>. {#if} blocks are
+ *   blanked and {alt} shorthands become alt attributes.
+ * - angular: component templates (*.component.html). [alt] and
+ *   [attr.aria-label] become alt and aria-label.
+ * - php, handlebars, jinja (also Nunjucks, Twig and Django), erb and razor:
+ *   server-rendered views, checked as HTML.
+ *
+ * Template-engine syntax ({{ }}, {% %}, <?php ?>, <% %>) is neutralized for
+ * every language by templates.js, so HTML files holding Jinja or Handlebars
+ * markup are checked without false positives too.
+ */
+
+// Replaces every character except line breaks with a space
+const blank = (text) => text.replace(/[^\r\n]/g, " ");
+
+// Placeholder for dynamic content: the content is there, but holds no markup
+const fill = (text) => text.replace(/[^\r\n]/g, "x");
+
+// Right-aligns a new attribute name in the space of the original one
+const alignName = (original, name) => name.padStart(original.length, " ");
+
+/**
+ * A character buffer the adapters write the HTML into. Writes can be undone
+ * back to a mark, for elements that turn out not to be markup after all.
+ */
+function createOutput(initial) {
+  const chars = initial.split("");
+  const undo = [];
+
+  return {
+    write(offset, text) {
+      undo.push([offset, chars.slice(offset, offset + text.length)]);
+      for (let i = 0; i < text.length; i++) chars[offset + i] = text[i];
+    },
+    mark: () => undo.length,
+    reset(mark) {
+      while (undo.length > mark) {
+        const [offset, previous] = undo.pop();
+        previous.forEach((char, i) => (chars[offset + i] = char));
+      }
+    },
+    toString: () => chars.join(""),
+  };
+}
+
+/* ---------------------------------------------------------------------------
+ * Script scanning (JSX and template expressions)
+ * ------------------------------------------------------------------------- */
+
+// Tokens after which "<" starts a JSX element rather than a comparison
+const JSX_PRECEDING = new Set([
+  "",
+  "(",
+  "[",
+  "{",
+  "}",
+  ",",
+  ";",
+  "=",
+  "?",
+  ":",
+  "&",
+  "|",
+  "!",
+  ">",
+]);
+const JSX_KEYWORDS = new Set([
+  "return",
+  "yield",
+  "default",
+  "case",
+  "await",
+  "else",
+  "do",
+]);
+
+// Index after the string starting at `index` (quote included)
+function skipString(text, index) {
+  const quote = text[index];
+  let i = index + 1;
+  while (i < text.length && text[i] !== quote && text[i] !== "\n") {
+    if (text[i] === "\\") i++;
+    i++;
+  }
+  return i + 1;
+}
+
+// Index after the template literal starting at `index`
+function skipTemplate(state, index) {
+  const { text } = state;
+  let i = index + 1;
+  while (i < text.length && text[i] !== "`") {
+    if (text[i] === "\\") {
+      i += 2;
+    } else if (text[i] === "$" && text[i + 1] === "{") {
+      i = scanScript(state, i + 2, true).end + 1;
+    } else {
+      i++;
+    }
+  }
+  return i + 1;
+}
+
+/**
+ * Scans JavaScript/TypeScript from `index`, writing the JSX elements it finds
+ * to the output. With untilBrace, stops at the "}" closing an expression.
+ * @returns {{ end: number, hasMarkup: boolean }} end is the index of that
+ *   "}" (or the text length) and hasMarkup whether elements were found
+ */
+function scanScript(state, index, untilBrace) {
+  const { text } = state;
+  let depth = 0;
+  let previous = "";
+  let word = "";
+  let hasMarkup = false;
+  let i = index;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === "/" && text[i + 1] === "/") {
+      const lineEnd = text.indexOf("\n", i);
+      i = lineEnd === -1 ? text.length : lineEnd;
+    } else if (char === "/" && text[i + 1] === "*") {
+      const commentEnd = text.indexOf("*/", i + 2);
+      i = commentEnd === -1 ? text.length : commentEnd + 2;
+    } else if (char === '"' || char === "'") {
+      i = skipString(text, i);
+      previous = char;
+    } else if (char === "`") {
+      i = skipTemplate(state, i);
+      previous = char;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (/[\w$]/.test(char)) {
+      const start = i;
+      while (i < text.length && /[\w$]/.test(text[i])) i++;
+      word = text.slice(start, i);
+      previous = "word";
+    } else if (
+      char === "<" &&
+      /[A-Za-z>]/.test(text[i + 1] || "") &&
+      (previous === "word"
+        ? JSX_KEYWORDS.has(word)
+        : JSX_PRECEDING.has(previous))
+    ) {
+      const end = parseJSXElement(state, i);
+      if (end === -1) {
+        previous = char;
+        i++;
+      } else {
+        hasMarkup = true;
+        previous = ")";
+        i = end;
+      }
+    } else {
+      if (char === "{") depth++;
+      if (char === "}") {
+        if (depth === 0 && untilBrace) return { end: i, hasMarkup };
+        depth--;
+      }
+      previous = char;
+      i++;
+    }
+  }
+
+  return { end: text.length, hasMarkup };
+}
+
+/* ---------------------------------------------------------------------------
+ * JSX / TSX
+ * ------------------------------------------------------------------------- */
+
+const JSX_TAG_NAME = /[A-Za-z][\w.:-]*/y;
+const JSX_ATTRIBUTE_NAME = /[A-Za-z_$][\w$.:-]*/y;
+
+// HTML names of the JSX props that differ from their attribute
+const JSX_ATTRIBUTE_NAMES = { classname: "class", htmlfor: "for" };
+const HTML_TO_JSX_ATTRIBUTES = {
+  class: "className",
+  for: "htmlFor",
+  autocomplete: "autoComplete",
+};
+
+const isBlankExpression = (expression) =>
+  /^\s*(?:\/\*[\s\S]*?\*\/\s*)*$/.test(expression) ||
+  /^\s*(["'])\s*\1\s*$/.test(expression);
+
+// Parses a JSX element (or fragment) at `start`; -1 when it is not one
+function parseJSXElement(state, start) {
+  const mark = state.out.mark();
+  const end = readJSXElement(state, start);
+  if (end === -1) state.out.reset(mark);
+  return end;
+}
+
+function readJSXElement(state, start) {
+  const { text, out } = state;
+  let i = start + 1;
+
+  // <>...</> fragments leave no markup behind
+  if (text[i] === ">") return readJSXChildren(state, i + 1, false);
+
+  JSX_TAG_NAME.lastIndex = i;
+  const [tagName] = JSX_TAG_NAME.exec(text) || [];
+  if (!tagName) return -1;
+  out.write(start, `<${tagName}`);
+  i += tagName.length;
+
+  for (;;) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    if (i >= text.length) return -1;
+
+    if (text.startsWith("/>", i)) {
+      out.write(i, "/>");
+      return i + 2;
+    }
+    if (text[i] === ">") {
+      out.write(i, ">");
+      return readJSXChildren(state, i + 1, true);
+    }
+    if (text[i] === "{") {
+      // {...props}
+      const { end } = scanScript(state, i + 1, true);
+      if (end >= text.length) return -1;
+      i = end + 1;
+      continue;
+    }
+
+    JSX_ATTRIBUTE_NAME.lastIndex = i;
+    const [name] = JSX_ATTRIBUTE_NAME.exec(text) || [];
+    if (!name) return -1;
+    const lowerName = name.toLowerCase();
+    out.write(i, alignName(name, JSX_ATTRIBUTE_NAMES[lowerName] || lowerName));
+    i += name.length;
+
+    let j = i;
+    while (j < text.length && /\s/.test(text[j])) j++;
+    if (text[j] !== "=") continue;
+    out.write(j, "=");
+    j++;
+    while (j < text.length && /\s/.test(text[j])) j++;
+
+    if (text[j] === '"' || text[j] === "'") {
+      const close = text.indexOf(text[j], j + 1);
+      if (close === -1) return -1;
+      out.write(j, text.slice(j, close + 1));
+      i = close + 1;
+    } else if (text[j] === "{") {
+      const { end } = scanScript(state, j + 1, true);
+      if (end >= text.length) return -1;
+      out.write(j, `"${fill(text.slice(j + 1, end))}"`);
+      i = end + 1;
+    } else {
+      return -1;
+    }
+  }
+}
+
+// Copies the children of an element up to and including its closing tag
+function readJSXChildren(state, index, keepClosingTag) {
+  const { text, out } = state;
+  let i = index;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === "{") {
+      const { end, hasMarkup } = scanScript(state, i + 1, true);
+      if (end >= text.length) return -1;
+
+      const expression = text.slice(i + 1, end);
+      const directive = /^\{\/\*(\s[\s\S]*)\*\/\}$/.exec(
+        text.slice(i, end + 1)
+      );
+      if (directive && /^\s*semantic-checker-/.test(directive[1])) {
+        // {/* semantic-checker-disable-next-line R1 */} acts as <!-- ... -->
+        out.write(i, `<!--${directive[1].slice(1)}-->`);
+      } else if (!hasMarkup && !isBlankExpression(expression)) {
+        out.write(i, fill(text.slice(i, end + 1)));
+      }
+      i = end + 1;
+    } else if (char === "<" && text[i + 1] === "/") {
+      const close = text.indexOf(">", i);
+      if (close === -1) return -1;
+      if (keepClosingTag) out.write(i, text.slice(i, close + 1));
+      return close + 1;
+    } else if (char === "<") {
+      const end = readJSXElement(state, i);
+      if (end === -1) return -1;
+      i = end;
+    } else {
+      out.write(i, char);
+      i++;
+    }
+  }
+
+  return -1;
+}
+
+function jsxToHTML(text) {
+  const state = { text, out: createOutput(blank(text)) };
+  scanScript(state, 0, false);
+  return state.out.toString();
+}
+
+// Writes the attribute names of a fix the JSX way (e.g. for -> htmlFor)
+const jsxFixText = (text) =>
+  text.replace(
+    /(\s)(class|for|autocomplete)=/g,
+    (match, space, name) => `${space}${HTML_TO_JSX_ATTRIBUTES[name]}=`
+  );
+
+/* ---------------------------------------------------------------------------
+ * HTML-based templates (Vue, Angular)
+ * ------------------------------------------------------------------------- */
+
+const OPENING_TAG = /<[A-Za-z][^\s/>]*/g;
+const TEMPLATE_ATTRIBUTE =
+  /(\s+)([^\s"'>/=]+)(\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/y;
+
+/**
+ * Renames or removes the attributes of every opening tag.
+ * @param {string} markup
+ * @param {(name: string) => string | null} rename the HTML attribute name,
+ *   or null to blank the attribute
+ */
+function rewriteAttributes(markup, rename) {
+  let result = "";
+  let last = 0;
+
+  OPENING_TAG.lastIndex = 0;
+  while (OPENING_TAG.exec(markup) !== null) {
+    TEMPLATE_ATTRIBUTE.lastIndex = OPENING_TAG.lastIndex;
+    let attribute;
+    while ((attribute = TEMPLATE_ATTRIBUTE.exec(markup)) !== null) {
+      const [, space, name, value = ""] = attribute;
+      const renamed = rename(name);
+      if (renamed === name) continue;
+
+      const start = attribute.index + space.length;
+      result +=
+        markup.slice(last, start) +
+        (renamed === null
+          ? blank(name + value)
+          : alignName(name, renamed) + value);
+      last = start + name.length + value.length;
+    }
+    OPENING_TAG.lastIndex = Math.max(
+      OPENING_TAG.lastIndex,
+      TEMPLATE_ATTRIBUTE.lastIndex
+    );
+  }
+
+  return result + markup.slice(last);
+}
+
+// {{ expressions }} become placeholder text
+const fillInterpolations = (markup) =>
+  markup.replace(/\{\{[\s\S]*?\}\}/g, fill);
+
+function vueAttributeName(name) {
+  const bound = /^(?::|v-bind:)([\w-]+)/.exec(name);
+  if (bound) return bound[1];
+  return /^(?:v-|@|#)/.test(name) ? null : name;
+}
+
+function vueToHTML(text) {
+  const template = buildTree(text).document.children.find(
+    (node) => node.type === "element" && node.tagName === "template"
+  );
+  if (!template || (template.attributes.lang || "html") !== "html") {
+    return blank(text);
+  }
+
+  const start = template.openTagEnd;
+  const end = template.closeTagStart ?? template.end;
+  return (
+    blank(text.slice(0, start)) +
+    rewriteAttributes(
+      fillInterpolations(text.slice(start, end)),
+      vueAttributeName
+    ) +
+    blank(text.slice(end))
+  );
+}
+
+// Angular control flow: @if (...) {, } @else {, @for (...) {, ...
+const ANGULAR_BLOCK =
+  /@(?:if|else\s+if|else|for|switch|case|default|defer|placeholder|loading|error|empty)\b\s*(?:\([^)]*\))?\s*\{/g;
+
+function angularAttributeName(name) {
+  const bound = /^\[(?:attr\.)?([\w-]+)\]$/.exec(name);
+  if (bound) return bound[1];
+  return /^[[(*#@]|^(?:bind|on)-/.test(name) ? null : name;
+}
+
+const angularToHTML = (text) =>
+  rewriteAttributes(
+    fillInterpolations(text).replace(ANGULAR_BLOCK, blank),
+    angularAttributeName
+  );
+
+/* ---------------------------------------------------------------------------
+ * Svelte
+ * ------------------------------------------------------------------------- */
+
+// Directives that are not attributes: on:click, bind:value, class:active, ...
+const SVELTE_DIRECTIVE =
+  /^(?:on|bind|class|style|use|transition|in|out|animate|let):/;
+
+// Rewrites the attributes of the tag starting at `start`; returns its end
+function readSvelteTag(state, start) {
+  const { text, out } = state;
+  let i = start + 1;
+  while (i < text.length && !/[\s/>]/.test(text[i])) i++;
+
+  while (i < text.length && text[i] !== ">") {
+    if (/[\s/]/.test(text[i])) {
+      i++;
+    } else if (text[i] === "{") {
+      // {alt} shorthand or {...props}
+      const { end } = scanScript(state, i + 1, true);
+      const expression = text.slice(i + 1, end);
+      out.write(
+        i,
+        /^[A-Za-z_$][\w$]*$/.test(expression)
+          ? `${expression}=x`
+          : blank(text.slice(i, end + 1))
+      );
+      i = end + 1;
+    } else {
+      const nameStart = i;
+      while (i < text.length && !/[\s=/>]/.test(text[i])) i++;
+      const name = text.slice(nameStart, i);
+
+      let valueEnd = i;
+      if (text[i] === "=") {
+        valueEnd = i + 1;
+        if (text[valueEnd] === '"' || text[valueEnd] === "'") {
+          const close = text.indexOf(text[valueEnd], valueEnd + 1);
+          valueEnd = close === -1 ? text.length : close + 1;
+        } else if (text[valueEnd] === "{") {
+          const { end } = scanScript(state, valueEnd + 1, true);
+          out.write(valueEnd, `"${fill(text.slice(valueEnd + 1, end))}"`);
+          valueEnd = end + 1;
+        } else {
+          while (valueEnd < text.length && !/[\s>]/.test(text[valueEnd])) {
+            valueEnd++;
+          }
+        }
+      }
+
+      if (SVELTE_DIRECTIVE.test(name)) {
+        out.write(nameStart, blank(text.slice(nameStart, valueEnd)));
+      }
+      i = valueEnd;
+    }
+  }
+
+  return i + 1;
+}
+
+function svelteToHTML(text) {
+  const state = { text, out: createOutput(text) };
+  let i = 0;
+
+  while (i < text.length) {
+    const rawText = /^<(script|style)\b/i.exec(text.slice(i, i + 7));
+    if (rawText) {
+      const close = text
+        .toLowerCase()
+        .indexOf(`</${rawText[1].toLowerCase()}`, i);
+      i =
+        close === -1
+          ? text.length
+          : text.indexOf(">", close) + 1 || text.length;
+    } else if (text.startsWith("<!--", i)) {
+      const close = text.indexOf("-->", i);
+      i = close === -1 ? text.length : close + 3;
+    } else if (text[i] === "<" && /[A-Za-z]/.test(text[i + 1] || "")) {
+      i = readSvelteTag(state, i);
+    } else if (text[i] === "{") {
+      // {#if}, {:else}, {/if} and {@const} are blanked; {value} and
+      // {@html value} render content
+      const { end } = scanScript(state, i + 1, true);
+      const block = text.slice(i, end + 1);
+      state.out.write(
+        i,
+        /^\{\s*(?:[#:/]|@(?!html))/.test(block) ? blank(block) : fill(block)
+      );
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+
+  return state.out.toString();
+}
+
+/* ---------------------------------------------------------------------------
+ * Adapters
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Supported languages, matched by file name first (so Angular templates are
+ * told apart from plain HTML) and then by VS Code language id.
+ * - toHTML(text): the same-length HTML the rules run on
+ * - fixText(text) (optional): adapts the HTML written by an autofix
+ * - comment(text): a comment in the language, for suppression directives
+ */
+const ADAPTERS = {
+  angular: {
+    languageIds: [],
+    extensions: [".component.html"],
+    toHTML: angularToHTML,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  html: {
+    languageIds: ["html"],
+    extensions: [".html", ".htm"],
+    toHTML: (text) => text,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  php: {
+    languageIds: ["php"],
+    extensions: [".php", ".phtml"],
+    toHTML: (text) => text,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  handlebars: {
+    languageIds: ["handlebars"],
+    extensions: [".hbs", ".handlebars", ".mustache"],
+    toHTML: (text) => text,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  jinja: {
+    languageIds: ["jinja", "jinja-html", "nunjucks", "django-html", "twig"],
+    extensions: [".njk", ".nunjucks", ".jinja", ".jinja2", ".j2", ".twig"],
+    toHTML: (text) => text,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  erb: {
+    languageIds: ["erb"],
+    extensions: [".erb"],
+    toHTML: (text) => text,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  razor: {
+    languageIds: ["razor", "aspnetcorerazor"],
+    extensions: [".cshtml", ".razor"],
+    toHTML: (text) => text,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  jsx: {
+    languageIds: ["javascriptreact", "typescriptreact"],
+    extensions: [".jsx", ".tsx"],
+    toHTML: jsxToHTML,
+    fixText: jsxFixText,
+    comment: (text) => `{/* ${text} */}`,
+  },
+  svelte: {
+    languageIds: ["svelte"],
+    extensions: [".svelte"],
+    toHTML: svelteToHTML,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+  vue: {
+    languageIds: ["vue"],
+    extensions: [".vue"],
+    toHTML: vueToHTML,
+    comment: (text) => `<!-- ${text} -->`,
+  },
+};
+
+// Glob of the files of every supported language, the default of the
+// workspace check and the command line (e.g. "**/*.{html,htm,php,...}")
+const DEFAULT_INCLUDE = `**/*.{${[
+  ...new Set(
+    Object.values(ADAPTERS).flatMap(({ extensions }) =>
+      extensions.map((extension) => extension.split(".").pop())
+    )
+  ),
+].join(",")}}`;
+
+// VS Code language ids with an adapter
+const LANGUAGE_IDS = Object.values(ADAPTERS).flatMap(
+  ({ languageIds }) => languageIds
+);
+
+/**
+ * Finds the adapter for a document.
+ * @param {string} [languageId] VS Code language id
+ * @param {string} [fileName]
+ * @returns {string | null} adapter name (a key of ADAPTERS)
+ */
+function getLanguage(languageId, fileName) {
+  const lowerName = (fileName || "").toLowerCase();
+  const byName = Object.keys(ADAPTERS).find((name) =>
+    ADAPTERS[name].extensions.some((extension) => lowerName.endsWith(extension))
+  );
+  if (byName) return byName;
+
+  return (
+    Object.keys(ADAPTERS).find((name) =>
+      ADAPTERS[name].languageIds.includes(languageId)
+    ) || null
+  );
+}
+
+/**
+ * Converts a source file into the HTML the rules run on.
+ * @param {string} text
+ * @param {string} [language] adapter name; plain HTML by default
+ * @returns {string} text of the same length
+ */
+function toHTML(text, language = "html") {
+  const adapter = ADAPTERS[language] || ADAPTERS.html;
+  return neutralizeTemplates(adapter.toHTML(text), {
+    razor: language === "razor",
+  });
+}
+
+module.exports = {
+  ADAPTERS,
+  LANGUAGE_IDS,
+  DEFAULT_INCLUDE,
+  getLanguage,
+  toHTML,
+};
@@ -0,0 +1,229 @@
+// baseline.js
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ConfigError } = require("./config");
+
+/**
+ * Baseline of known issues, so legacy pages only report new ones. The
+ * nearest .semanticchecker-baseline.json found by walking up from a checked
+ * file applies to it, like configuration files:
+ *
+ * {
+ *   "version": 1,
+ *   "files": {
+ *     "pages/index.html": [
+ *       { "ruleId": "R1", "fingerprint": "5d41402abc4b2a76", "element": "<img src=\"hero.png\">" }
+ *     ]
+ *   }
+ * }
+ *
+ * Paths are relative to the baseline file. Issues are matched by their
+ * fingerprint: the rule id and the opening tag of the reported element
+ * (whitespace collapsed), not the line numbers, so a baseline survives
+ * edits elsewhere in the file. Identical elements reported by the same
+ * rule are told apart by their order.
+ */
+
+const BASELINE_FILE_NAME = ".semanticchecker-baseline.json";
+const BASELINE_VERSION = 1;
+
+// Longest element signature kept in a baseline entry
+const MAX_ELEMENT_LENGTH = 200;
+
+// Parsed baseline files, invalidated when their mtime changes
+const cache = new Map();
+
+/**
+ * Opening tag of the element an issue reports, whitespace collapsed.
+ * @param {string} text the document text
+ * @param {{ startOffset: number, endOffset: number }} issue
+ * @returns {string}
+ */
+function getElementSignature(text, { startOffset, endOffset }) {
+  const matched = text.slice(startOffset, endOffset);
+  const tagEnd = matched.indexOf(">");
+  return (tagEnd === -1 ? matched : matched.slice(0, tagEnd + 1))
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_ELEMENT_LENGTH);
+}
+
+/**
+ * Adds the fingerprint and element signature of each issue.
+ * @param {string} text the document text
+ * @param {object[]} issues issues of a checkDocument() result (see checker.js)
+ * @returns {object[]} issues with `fingerprint` and `element`
+ */
+function fingerprintIssues(text, issues) {
+  const occurrences = new Map();
+
+  return issues.map((issue) => {
+    const element = getElementSignature(text, issue);
+    const key = `${issue.ruleId}\n${element}`;
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+
+    const fingerprint = crypto
+      .createHash("sha1")
+      .update(`${key}\n${occurrence}`)
+      .digest("hex")
+      .slice(0, 16);
+    return { ...issue, fingerprint, element };
+  });
+}
+
+/**
+ * Finds the nearest baseline file for a document.
+ * @param {string} filePath absolute path of the checked document
+ * @returns {string | null}
+ */
+function findBaselineFile(filePath) {
+  let directory = path.dirname(path.resolve(filePath));
+
+  for (;;) {
+    const candidate = path.join(directory, BASELINE_FILE_NAME);
+    if (fs.existsSync(candidate)) return candidate;
+    const parent = path.dirname(directory);
+    if (parent === directory) return null;
+    directory = parent;
+  }
+}
+
+/**
+ * Reads a baseline file.
+ * @param {string} baselinePath
+ * @returns {{ version: number, files: Object<string, object[]> }}
+ * @throws {ConfigError} when the file is not a valid baseline
+ */
+function readBaseline(baselinePath) {
+  const { mtimeMs } = fs.statSync(baselinePath);
+  const cached = cache.get(baselinePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.baseline;
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(baselinePath, "utf-8"));
+  } catch (error) {
+    throw new ConfigError(`Invalid baseline: ${error.message}`, baselinePath);
+  }
+  if (
+    !baseline ||
+    typeof baseline.files !== "object" ||
+    Array.isArray(baseline.files)
+  ) {
+    throw new ConfigError(
+      'Invalid baseline: "files" must be an object',
+      baselinePath
+    );
+  }
+
+  cache.set(baselinePath, { mtimeMs, baseline });
+  return baseline;
+}
+
+// Key of a file in a baseline: its "/"-separated path relative to it
+const toBaselineKey = (baselinePath, filePath) =>
+  path.relative(path.dirname(baselinePath), filePath).split(path.sep).join("/");
+
+/**
+ * Leaves out the issues recorded in the nearest baseline of a document.
+ * @param {string | null} filePath absolute path of the document (null for unsaved documents)
+ * @param {string} text the document text
+ * @param {object[]} issues issues of a checkDocument() result
+ * @returns {{ issues: object[], baselined: number }} the new issues, with
+ *   their fingerprint, and the number of known issues left out
+ * @throws {ConfigError} when the baseline file is invalid
+ */
+function applyBaseline(filePath, text, issues) {
+  const fingerprinted = fingerprintIssues(text, issues);
+  const baselinePath = filePath && findBaselineFile(filePath);
+  if (!baselinePath) return { issues: fingerprinted, baselined: 0 };
+
+  const entries =
+    readBaseline(baselinePath).files[toBaselineKey(baselinePath, filePath)] ||
+    [];
+  const known = new Set(entries.map(({ fingerprint }) => fingerprint));
+  const remaining = fingerprinted.filter(
+    ({ fingerprint }) => !known.has(fingerprint)
+  );
+  return {
+    issues: remaining,
+    baselined: fingerprinted.length - remaining.length,
+  };
+}
+
+// Baseline entries of fingerprinted issues
+const toEntries = (issues) =>
+  issues.map(({ ruleId, fingerprint, element }) => ({
+    ruleId,
+    fingerprint,
+    element,
+  }));
+
+// Baseline object with its files sorted, for stable diffs
+function toBaseline(files) {
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    files: Object.fromEntries(
+      Object.entries(files)
+        .filter(([, entries]) => entries.length > 0)
+        .sort(([a], [b]) => a.localeCompare(b))
+    ),
+  };
+}
+
+/**
+ * Creates a baseline of the current issues of checked files.
+ * @param {{ file: string, issues: object[] }[]} files paths relative to the
+ *   baseline file, with their fingerprinted issues (see fingerprintIssues)
+ * @returns {object} the baseline, to write to BASELINE_FILE_NAME
+ */
+function createBaseline(files) {
+  return toBaseline(
+    Object.fromEntries(
+      files.map(({ file, issues }) => [file, toEntries(issues)])
+    )
+  );
+}
+
+/**
+ * Removes the entries of issues that were fixed.
+ * @param {object} baseline see readBaseline()
+ * @param {{ file: string, issues: object[] | null }[]} files the files of the
+ *   baseline re-checked without it, with their fingerprinted issues; null
+ *   issues for files that no longer exist
+ * @returns {{ baseline: object, removed: number }}
+ */
+function pruneBaseline(baseline, files) {
+  const checked = new Map(files.map(({ file, issues }) => [file, issues]));
+  let removed = 0;
+
+  const kept = Object.fromEntries(
+    Object.entries(baseline.files).map(([file, entries]) => {
+      if (!checked.has(file)) return [file, entries];
+      const reported = new Set(
+        (checked.get(file) || []).map(({ fingerprint }) => fingerprint)
+      );
+      const remaining = entries.filter(({ fingerprint }) =>
+        reported.has(fingerprint)
+      );
+      removed += entries.length - remaining.length;
+      return [file, remaining];
+    })
+  );
+
+  return { baseline: toBaseline(kept), removed };
+}
+
+module.exports = {
+  BASELINE_FILE_NAME,
+  fingerprintIssues,
+  findBaselineFile,
+  readBaseline,
+  applyBaseline,
+  createBaseline,
+  pruneBaseline,
+};
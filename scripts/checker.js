@@ -0,0 +1,311 @@
+// checker.js
+
+const rules = require("./rules");
+const { buildTree } = require("./parser");
+const { toHTML } = require("./adapters");
+const { parseDirectives, applySuppressions } = require("./suppressions");
+const { LEVELS, getRuleMetadata } = require("./wcag");
+const { findCustomRule } = require("./plugins");
+
+/**
+ * Editor-independent entry point of the semantic checker, shared by the
+ * VS Code extension and the command line interface.
+ */
+
+// Severities a rule can be configured with; "off" disables the rule
+const SEVERITIES = ["off", "info", "warning", "error"];
+const DEFAULT_SEVERITY = "warning";
+
+// Time a rule may spend on one document before it is stopped
+const DEFAULT_RULE_TIME_BUDGET_MS = 500;
+
+// Replaces every character except line breaks with a space, so offsets,
+// lines and columns of the blanked text match the original document.
+const blank = (match) => match.replace(/[^\r\n]/g, " ");
+
+// Blanks the "<" of the unclosed tags after the last ">", which no rule
+// matches: otherwise the rule regexes scan from every one of them to the
+// end of the text, which takes seconds per rule on large broken documents.
+function blankUnclosedTags(html) {
+  const end = html.lastIndexOf(">") + 1;
+  return html.slice(0, end) + html.slice(end).replace(/</g, " ");
+}
+
+/**
+ * Maps offsets to zero-based { line, character } positions, counting
+ * "\r\n", "\n" and "\r" as line breaks like VS Code's TextDocument does.
+ * @param {string} text
+ * @returns {(offset: number) => { line: number, character: number }}
+ */
+function createPositionAt(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\r" && text[i + 1] === "\n") i++;
+    if (char === "\r" || char === "\n") lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    const clamped = Math.max(0, Math.min(offset, text.length));
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] > clamped) high = mid - 1;
+      else low = mid;
+    }
+    return { line: low, character: clamped - lineStarts[low] };
+  };
+}
+
+/**
+ * Looks up a built-in (e.g. "R1") or loaded custom rule by its id.
+ * @param {string} ruleId
+ * @returns {object | undefined}
+ */
+function findRule(ruleId) {
+  return (
+    rules.find((rule) => rule && rule.id === ruleId) || findCustomRule(ruleId)
+  );
+}
+
+/**
+ * Resolves which rules run and with which severity.
+ * @param {{ rules?: Object<string, string>, targetLevel?: string, customRules?: object[] }} [options]
+ *   `rules` maps rule ids to a severity ("off" | "info" | "warning" | "error");
+ *   `targetLevel` skips rules above the given WCAG level ("A" | "AA" | "AAA");
+ *   `customRules` are run after the built-in rules (see plugins.js)
+ * @returns {{ rule: object, severity: string }[]}
+ */
+function getActiveRules(options = {}) {
+  const overrides = options.rules || {};
+  const targetLevel = LEVELS.includes(options.targetLevel)
+    ? options.targetLevel
+    : "AAA";
+
+  return rules
+    .concat(options.customRules || [])
+    .filter(
+      (rule) =>
+        rule && LEVELS.indexOf(rule.level) <= LEVELS.indexOf(targetLevel)
+    )
+    .map((rule) => ({
+      rule,
+      severity: SEVERITIES.includes(overrides[rule.id])
+        ? overrides[rule.id]
+        : DEFAULT_SEVERITY,
+    }))
+    .filter(({ severity }) => severity !== "off");
+}
+
+/**
+ * Parses a document once for all rules: the HTML of its markup, the element
+ * tree, the suppression comments and the text the rule regexes run against.
+ * @param {string} rawText the document text
+ * @param {object} [options] see checkDocument
+ * @returns {object} context for runRule and finishCheck
+ */
+function prepareDocument(rawText, options = {}) {
+  const positionAt = createPositionAt(rawText);
+
+  // Adapters keep the length of the text, so offsets in the HTML are also
+  // offsets in the source file.
+  const html = toHTML(rawText, options.language);
+
+  // Build the element tree once per run and read the suppression comments
+  // before they are blanked out below.
+  const tree = buildTree(html);
+  const directives = parseDirectives(tree.document, positionAt);
+
+  const preparsedDocumentText = blankUnclosedTags(html)
+    // Blank out comments by replacing their characters with spaces (preserving line breaks)
+    .replace(/<!--[\s\S]*?-->/g, blank)
+    // Blank out script tags (including their content)
+    .replace(/<script[\s\S]*?<\/script>/gi, blank)
+    // Blank out style tags (including their content)
+    .replace(/<style[\s\S]*?<\/style>/gi, blank);
+
+  // IMPORTANT: Do NOT globally remove attributes like id, class, style, name here.
+  // The 'rules.js' regex and validate functions will now operate on text that
+  // has these attributes intact if they were in the original HTML.
+
+  // Blanking preserves offsets, so the tree built from the raw text and the
+  // preparsed text share the same positions.
+
+  return {
+    textLength: rawText.length,
+    text: preparsedDocumentText,
+    tree,
+    directives,
+    positionAt,
+    timeBudget:
+      options.ruleTimeBudget > 0
+        ? options.ruleTimeBudget
+        : DEFAULT_RULE_TIME_BUDGET_MS,
+  };
+}
+
+/**
+ * Runs one rule against a prepared document. A rule that throws (e.g. a
+ * broken custom rule) or runs out of time is reported instead of aborting
+ * the whole check; issues it found until then are kept. The time budget is
+ * checked between matches: a single regex match cannot be interrupted, so
+ * the built-in regexes are written to match in linear time.
+ * @param {{ rule: object, severity: string }} activeRule from getActiveRules
+ * @param {object} context from prepareDocument
+ * @param {{ start: number, end: number }} [window] only report matches
+ *   starting in this range of offsets (the whole text by default)
+ * @returns {{ ruleId: string, issues: object[], error: object | null, duration: number }}
+ */
+function runRule({ rule, severity }, context, window) {
+  const {
+    id: ruleIdentifier,
+    regex,
+    message,
+    level,
+    recommendation,
+    validate,
+  } = rule;
+  const { text: preparsedDocumentText, tree, positionAt, timeBudget } = context;
+  const { wcag, techniques, tags, confidence, docsUrl } = getRuleMetadata(rule);
+  const issues = [];
+  let error = null;
+
+  const started = performance.now();
+  try {
+    regex.lastIndex = window ? window.start : 0; // Reset regex state for global searches
+    let execMatch;
+    while ((execMatch = regex.exec(preparsedDocumentText)) !== null) {
+      const matchedTagString = execMatch[0];
+      if (window && execMatch.index >= window.end) break;
+
+      if (performance.now() - started > timeBudget) {
+        error = {
+          ruleId: ruleIdentifier,
+          message: `Stopped after exceeding its time budget of ${timeBudget} ms`,
+          timedOut: true,
+        };
+        break;
+      }
+
+      // Avoid flagging if the match is purely whitespace (from blanking out)
+      if (matchedTagString.trim() === "") {
+        continue;
+      }
+
+      // The validate function receives the matched tag (from preparsedDocumentText),
+      // the whole preparsedDocumentText, the element node that starts at the match
+      // (undefined when the match is not an element, e.g. inside an attribute value)
+      // and the parsed tree.
+      const node = tree.elementAt(execMatch.index);
+      if (validate(matchedTagString, preparsedDocumentText, node, tree)) {
+        const startOffset = execMatch.index;
+        const endOffset = execMatch.index + matchedTagString.length;
+        const startPosition = positionAt(startOffset);
+        const endPosition = positionAt(endOffset);
+
+        issues.push({
+          ruleId: ruleIdentifier, // Use the 'id' from rules.js (e.g., "R1")
+          level: `${level}`,
+          message: `${message} (${ruleIdentifier})`, // Display message with its rule ID
+          recommendation,
+          severity,
+          wcag,
+          techniques,
+          tags,
+          confidence,
+          codeUrl: docsUrl,
+          startLine: startPosition.line,
+          startChar: startPosition.character,
+          endLine: endPosition.line,
+          endChar: endPosition.character,
+          startOffset,
+          endOffset,
+        });
+      }
+    }
+  } catch (caught) {
+    error = { ruleId: ruleIdentifier, message: caught.message };
+  }
+
+  return {
+    ruleId: ruleIdentifier,
+    issues,
+    error,
+    duration: performance.now() - started,
+  };
+}
+
+/**
+ * Combines the results of runRule into a checkDocument result, applying the
+ * inline suppression comments (see suppressions.js).
+ * @param {object} context from prepareDocument
+ * @param {object[]} results from runRule
+ */
+function finishCheck(context, results) {
+  return {
+    ...applySuppressions(
+      results.flatMap(({ issues }) => issues),
+      context.directives,
+      context.textLength
+    ),
+    ruleErrors: results.filter(({ error }) => error).map(({ error }) => error),
+    ruleTimings: results.map(({ ruleId, duration }) => ({ ruleId, duration })),
+  };
+}
+
+/**
+ * Runs the active rules against an HTML document and applies the inline
+ * suppression comments (see suppressions.js).
+ * @param {string} rawText the document text
+ * @param {{ rules?: Object<string, string>, targetLevel?: string, ignored?: boolean, language?: string, ruleTimeBudget?: number }} [options]
+ *   see getActiveRules; usually resolved by config.js for the checked file.
+ *   `language` is the adapter for markup embedded in other languages (see
+ *   adapters.js), plain HTML by default. `ruleTimeBudget` is the time in
+ *   milliseconds after which a rule is stopped; it is checked between two
+ *   matches, so a single runaway regex match still runs to its end
+ * @returns {{ issues: object[], unusedSuppressions: object[], ruleErrors: object[], ruleTimings: object[] }}
+ *   issues and suppression comments that did not suppress anything, with
+ *   zero-based lines and characters, the { ruleId, message, timedOut } of
+ *   the rules that threw or ran out of time, and the { ruleId, duration }
+ *   of every rule that ran, in milliseconds
+ */
+function checkDocument(rawText, options = {}) {
+  if (options.ignored) {
+    return {
+      issues: [],
+      unusedSuppressions: [],
+      ruleErrors: [],
+      ruleTimings: [],
+    };
+  }
+
+  const context = prepareDocument(rawText, options);
+  return finishCheck(
+    context,
+    getActiveRules(options).map((activeRule) => runRule(activeRule, context))
+  );
+}
+
+/**
+ * Runs the active rules against an HTML document.
+ * @param {string} rawText the document text
+ * @param {object} [options] see checkDocument
+ * @returns {object[]} issues with zero-based lines and characters
+ */
+function checkSemanticIssues(rawText, options = {}) {
+  return checkDocument(rawText, options).issues;
+}
+
+module.exports = {
+  SEVERITIES,
+  LEVELS,
+  findRule,
+  getActiveRules,
+  prepareDocument,
+  runRule,
+  finishCheck,
+  checkDocument,
+  checkSemanticIssues,
+  createPositionAt,
+};
@@ -0,0 +1,217 @@
+// config.js
+
+const fs = require("fs");
+const path = require("path");
+const { matchesGlob } = require("./glob");
+const { loadPlugin } = require("./plugins");
+
+/**
+ * Project configuration shared by the extension and the command line
+ * interface. The nearest configuration file found by walking up from the
+ * checked document applies to it:
+ *
+ * {
+ *   "extends": ["semantic-checker:recommended", "./base.semanticcheckerrc.json"],
+ *   "targetLevel": "AA",
+ *   "rules": { "R61": "off", "R1": "error" },
+ *   "ignorePatterns": ["vendor/**"],
+ *   "overrides": [{ "files": ["legacy/**\/*.html"], "rules": { "R22": "off" } }],
+ *   "plugins": ["./a11y/design-system-rules.js"]
+ * }
+ *
+ * Glob patterns and plugin paths are relative to the file that declares
+ * them. Plugins add custom rules (see plugins.js).
+ */
+
+const CONFIG_FILE_NAMES = [
+  ".semanticcheckerrc.json",
+  ".semanticcheckerrc",
+  "semantic-checker.config.js",
+];
+
+// Built-in presets usable in "extends"
+const PRESETS = {
+  "semantic-checker:recommended": {
+    // Page-level heuristics that need a manual review most of the time
+    rules: { R61: "off", R72: "off", R82: "off" },
+  },
+  "semantic-checker:strict": {
+    targetLevel: "AAA",
+    rules: { R1: "error", R7: "error", R10: "error", R67: "error" },
+  },
+};
+
+class ConfigError extends Error {
+  constructor(message, filePath) {
+    super(filePath ? `${message} (${filePath})` : message);
+    this.name = "ConfigError";
+    this.filePath = filePath;
+  }
+}
+
+// Parsed configuration files, invalidated when their mtime changes
+const cache = new Map();
+
+function readConfigFile(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.config;
+
+  let config;
+  try {
+    if (filePath.endsWith(".js")) {
+      delete require.cache[require.resolve(filePath)];
+      config = require(filePath);
+    } else {
+      config = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+  } catch (error) {
+    throw new ConfigError(`Invalid configuration: ${error.message}`, filePath);
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ConfigError("Configuration must be an object", filePath);
+  }
+
+  cache.set(filePath, { mtimeMs, config });
+  return config;
+}
+
+/**
+ * Finds the nearest configuration file for a document.
+ * @param {string} filePath absolute path of the checked document
+ * @returns {string | null}
+ */
+function findConfigFile(filePath) {
+  let directory = path.dirname(path.resolve(filePath));
+
+  for (;;) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(directory, name);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(directory);
+    if (parent === directory) return null;
+    directory = parent;
+  }
+}
+
+// Resolves an "extends" entry to a preset or a configuration file path
+function resolveExtends(entry, fromDirectory, configPath) {
+  if (PRESETS[entry]) return { config: PRESETS[entry] };
+
+  let resolved;
+  try {
+    resolved = require.resolve(
+      entry.startsWith(".") ? path.resolve(fromDirectory, entry) : entry,
+      { paths: [fromDirectory] }
+    );
+  } catch {
+    throw new ConfigError(
+      `Cannot find configuration to extend "${entry}"`,
+      configPath
+    );
+  }
+  return { filePath: resolved };
+}
+
+/**
+ * Loads a configuration file and flattens its "extends" chain into layers,
+ * ordered from the lowest to the highest precedence. Each layer remembers
+ * the directory its glob patterns are relative to. `ancestors` are the
+ * files extending this one: only extending one of them is circular, two
+ * files may extend the same shared file.
+ */
+function loadLayers(filePath, ancestors = new Set()) {
+  if (ancestors.has(filePath)) {
+    throw new ConfigError('Circular "extends"', filePath);
+  }
+
+  const config = readConfigFile(filePath);
+  const directory = path.dirname(filePath);
+  const layers = [];
+
+  [].concat(config.extends || []).forEach((entry) => {
+    const extended = resolveExtends(entry, directory, filePath);
+    if (extended.config) {
+      layers.push({ config: extended.config, directory });
+    } else {
+      layers.push(
+        ...loadLayers(extended.filePath, new Set(ancestors).add(filePath))
+      );
+    }
+  });
+
+  layers.push({ config, directory });
+  return layers;
+}
+
+function applyLayer(options, config) {
+  if (config.targetLevel) options.targetLevel = config.targetLevel;
+  if (config.rules) options.rules = { ...options.rules, ...config.rules };
+}
+
+/**
+ * Resolves the checker options for a document.
+ * @param {string | null} filePath absolute path of the document (null for unsaved documents)
+ * @param {{ rules?: Object<string, string>, targetLevel?: string }} [defaults]
+ *   options the configuration file builds upon (e.g. editor settings)
+ * @param {{ configFile?: string }} [settings] use this file instead of searching for one
+ * @returns {{ rules: Object<string, string>, targetLevel?: string, ignored: boolean,
+ *   configFile: string | null, customRules: object[], errors: string[] }}
+ *   `customRules` are the valid rules of the plugins; `errors` describe the
+ *   plugins and rules that could not be loaded
+ */
+function resolveConfig(filePath, defaults = {}, settings = {}) {
+  const options = {
+    rules: { ...defaults.rules },
+    targetLevel: defaults.targetLevel,
+    ignored: false,
+    configFile: null,
+    customRules: [],
+    errors: [],
+  };
+  if (!filePath) return options;
+
+  const configFile = settings.configFile || findConfigFile(filePath);
+  if (!configFile) return options;
+
+  options.configFile = configFile;
+  loadLayers(path.resolve(configFile)).forEach(({ config, directory }) => {
+    const relativePath = path.relative(directory, filePath);
+
+    if (
+      config.ignorePatterns &&
+      matchesGlob(relativePath, config.ignorePatterns)
+    ) {
+      options.ignored = true;
+    }
+
+    [].concat(config.plugins || []).forEach((entry) => {
+      const { rules, errors } = loadPlugin(entry, directory);
+      rules
+        .filter((rule) => !options.customRules.includes(rule))
+        .forEach((rule) => options.customRules.push(rule));
+      errors
+        .map((error) => `${error} (${configFile})`)
+        .forEach((error) => options.errors.push(error));
+    });
+
+    applyLayer(options, config);
+    (config.overrides || []).forEach((override) => {
+      if (override.files && matchesGlob(relativePath, override.files)) {
+        applyLayer(options, override);
+      }
+    });
+  });
+
+  return options;
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  PRESETS,
+  ConfigError,
+  findConfigFile,
+  resolveConfig,
+};
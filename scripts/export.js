@@ -0,0 +1,356 @@
+// export.js
+
+const { LEVELS, findRule } = require("./checker");
+const { getLevelBreakdown } = require("./report");
+
+/**
+ * Human-readable accessibility reports for designers, PMs and pull request
+ * comments: a self-contained HTML page and a Markdown variant. Issues are
+ * grouped by WCAG level and rule, each occurrence with an excerpt of the
+ * code around it, followed by the rules that passed.
+ */
+
+// Lines of code shown before and after the lines of an issue
+const EXCERPT_CONTEXT_LINES = 2;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+/**
+ * Lines of a document around an issue.
+ * @param {string} text the document text
+ * @param {{ startLine: number, endLine: number }} issue 0-based lines
+ * @param {number} [context] lines shown before and after the issue
+ * @returns {{ number: number, text: string, highlighted: boolean }[]}
+ *   1-based line numbers; the lines of the issue are highlighted
+ */
+function getExcerpt(
+  text,
+  { startLine, endLine },
+  context = EXCERPT_CONTEXT_LINES
+) {
+  const lines = text.split(/\r?\n/);
+  const first = Math.max(0, startLine - context);
+  const last = Math.min(lines.length - 1, endLine + context);
+
+  return lines.slice(first, last + 1).map((line, index) => ({
+    number: first + index + 1,
+    text: line,
+    highlighted: first + index >= startLine && first + index <= endLine,
+  }));
+}
+
+/**
+ * Groups the results of checked files for the HTML and Markdown reports.
+ * @param {{ file: string, text: string, issues: object[], ruleTimings?: object[], ruleErrors?: object[] }[]} files
+ *   checked files with their text and checkDocument() result (see checker.js)
+ * @param {{ title?: string, generatedAt?: Date }} [options]
+ * @returns {object} `levelBreakdown` has the totals of the JSON reports;
+ *   `passedRules` are the rules that ran without reporting or failing
+ */
+function createReportModel(
+  files,
+  { title = "Accessibility Report", generatedAt = new Date() } = {}
+) {
+  const allIssues = files.flatMap(({ issues }) => issues);
+  const byRule = new Map();
+
+  files.forEach(({ file, text, issues }) => {
+    issues.forEach((issue) => {
+      if (!byRule.has(issue.ruleId)) {
+        const rule = findRule(issue.ruleId) || {};
+        byRule.set(issue.ruleId, {
+          ruleId: issue.ruleId,
+          level: issue.level.toUpperCase(),
+          message: rule.message || issue.message,
+          recommendation: issue.recommendation,
+          docsUrl: issue.codeUrl,
+          wcag: issue.wcag || [],
+          occurrences: [],
+        });
+      }
+      byRule.get(issue.ruleId).occurrences.push({
+        file,
+        startLine: issue.startLine + 1, // 1-based
+        endLine: issue.endLine + 1,
+        severity: issue.severity,
+        excerpt: getExcerpt(text, issue),
+      });
+    });
+  });
+
+  const levels = LEVELS.map((level) => {
+    const rules = [...byRule.values()]
+      .filter((rule) => rule.level === level)
+      .sort((a, b) => b.occurrences.length - a.occurrences.length);
+    return {
+      level,
+      total: rules.reduce(
+        (sum, { occurrences }) => sum + occurrences.length,
+        0
+      ),
+      rules,
+    };
+  }).filter(({ total }) => total > 0);
+
+  const failed = new Set(
+    files.flatMap(({ ruleErrors = [] }) =>
+      ruleErrors.map(({ ruleId }) => ruleId)
+    )
+  );
+  const ran = new Set(
+    files.flatMap(({ ruleTimings = [] }) =>
+      ruleTimings.map(({ ruleId }) => ruleId)
+    )
+  );
+  const passedRules = [...ran]
+    .filter((ruleId) => !byRule.has(ruleId) && !failed.has(ruleId))
+    .map(findRule)
+    .filter(Boolean)
+    .map(({ id, level, message }) => ({ ruleId: id, level, message }));
+
+  return {
+    title,
+    generatedAt: generatedAt.toISOString(),
+    totalFiles: files.length,
+    filesWithIssues: files.filter(({ issues }) => issues.length > 0).length,
+    totalIssues: allIssues.length,
+    levelBreakdown: getLevelBreakdown(allIssues),
+    levels,
+    passedRules,
+  };
+}
+
+const escapeHTML = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const REPORT_STYLE = `
+  body { font: 16px/1.5 system-ui, sans-serif; color: #1b1b1b; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #8a8a8a; padding: 0.25rem 0.75rem; text-align: left; }
+  section { border-top: 2px solid #1b1b1b; margin-top: 2rem; }
+  .recommendation { background: #eef4fb; border-left: 4px solid #0b5cad; padding: 0.5rem 1rem; }
+  pre { background: #f6f6f6; overflow-x: auto; padding: 0.5rem 0; }
+  code .line { display: block; padding: 0 1rem; }
+  code .number { color: #595959; display: inline-block; min-width: 3rem; user-select: none; }
+  code mark { background: #fff0b3; }
+  a { color: #0b5cad; }
+`;
+
+// Code excerpt of an occurrence, with line numbers and its lines highlighted
+function formatHtmlExcerpt(excerpt) {
+  const lines = excerpt.map(({ number, text, highlighted }) => {
+    const line = `<span class="number">${number}</span>${escapeHTML(text)}`;
+    return highlighted
+      ? `<mark class="line">${line}</mark>`
+      : `<span class="line">${line}</span>`;
+  });
+  return `<pre><code>${lines.join("")}</code></pre>`;
+}
+
+/**
+ * Formats a report model as a self-contained HTML page.
+ * @param {object} model see createReportModel()
+ * @returns {string}
+ */
+function formatHtmlReport(model) {
+  const html = [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHTML(model.title)}</title>`,
+    `<style>${REPORT_STYLE}</style>`,
+    "</head>",
+    "<body>",
+    "<main>",
+    `<h1>${escapeHTML(model.title)}</h1>`,
+    `<p>Generated on ${escapeHTML(model.generatedAt)}: ${plural(
+      model.totalIssues,
+      "issue"
+    )} in ${model.filesWithIssues} of ${plural(model.totalFiles, "file")}.</p>`,
+    "<table>",
+    "<caption>Issues by WCAG level</caption>",
+    '<thead><tr><th scope="col">Level</th><th scope="col">Issues</th></tr></thead>',
+    "<tbody>",
+    ...LEVELS.map(
+      (level) =>
+        `<tr><th scope="row">${level}</th><td>${
+          model.levelBreakdown[level] || 0
+        }</td></tr>`
+    ),
+    `<tr><th scope="row">Total</th><td>${model.totalIssues}</td></tr>`,
+    "</tbody>",
+    "</table>",
+  ];
+
+  model.levels.forEach(({ level, total, rules }) => {
+    html.push(
+      "<section>",
+      `<h2>Level ${level} (${plural(total, "issue")})</h2>`
+    );
+    rules.forEach((rule) => {
+      html.push(
+        `<h3>${escapeHTML(rule.ruleId)}: ${escapeHTML(rule.message)} (${
+          rule.occurrences.length
+        })</h3>`
+      );
+      if (rule.wcag.length > 0) {
+        html.push(
+          `<p>WCAG ${rule.wcag
+            .map(
+              ({ id, title, url }) =>
+                `<a href="${escapeHTML(url)}">${escapeHTML(
+                  `${id} ${title}`
+                )}</a>`
+            )
+            .join(", ")}</p>`
+        );
+      }
+      html.push(
+        `<p class="recommendation"><strong>Recommendation:</strong> ${escapeHTML(
+          rule.recommendation
+        )} <a href="${escapeHTML(rule.docsUrl)}">Learn more</a></p>`
+      );
+      rule.occurrences.forEach(({ file, startLine, endLine, excerpt }) => {
+        html.push(
+          `<h4>${escapeHTML(file)}, line ${
+            startLine === endLine ? startLine : `${startLine}–${endLine}`
+          }</h4>`,
+          formatHtmlExcerpt(excerpt)
+        );
+      });
+    });
+    html.push("</section>");
+  });
+
+  html.push(
+    "<section>",
+    `<h2>Passed rules (${model.passedRules.length})</h2>`,
+    model.passedRules.length > 0
+      ? `<ul>${model.passedRules
+          .map(
+            ({ ruleId, level, message }) =>
+              `<li>${escapeHTML(ruleId)}: ${escapeHTML(
+                message
+              )} (Level ${level})</li>`
+          )
+          .join("")}</ul>`
+      : "<p>No rule passed.</p>",
+    "</section>",
+    "</main>",
+    "</body>",
+    "</html>"
+  );
+
+  return html.join("\n");
+}
+
+const escapeMarkdown = (text) => String(text).replace(/[|\\`*_[\]<>]/g, "\\$&");
+
+// Fenced code block longer than any backtick run of the code
+function formatMarkdownExcerpt(excerpt) {
+  const width = String(excerpt[excerpt.length - 1].number).length;
+  const code = excerpt
+    .map(
+      ({ number, text, highlighted }) =>
+        `${highlighted ? ">" : " "} ${String(number).padStart(width)} | ${text}`
+    )
+    .join("\n");
+  const longest = Math.max(
+    0,
+    ...(code.match(/`+/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(Math.max(3, longest + 1));
+  return `${fence}html\n${code}\n${fence}`;
+}
+
+/**
+ * Formats a report model as Markdown, e.g. for a pull request comment.
+ * @param {object} model see createReportModel()
+ * @returns {string}
+ */
+function formatMarkdownReport(model) {
+  const lines = [
+    `# ${escapeMarkdown(model.title)}`,
+    "",
+    `${plural(model.totalIssues, "issue")} in ${model.filesWithIssues} of ${plural(
+      model.totalFiles,
+      "file"
+    )} (generated on ${model.generatedAt}).`,
+    "",
+    "| Level | Issues |",
+    "| --- | ---: |",
+    ...LEVELS.map(
+      (level) => `| ${level} | ${model.levelBreakdown[level] || 0} |`
+    ),
+    `| **Total** | **${model.totalIssues}** |`,
+  ];
+
+  model.levels.forEach(({ level, total, rules }) => {
+    lines.push("", `## Level ${level} (${plural(total, "issue")})`);
+    rules.forEach((rule) => {
+      lines.push(
+        "",
+        `### ${rule.ruleId}: ${escapeMarkdown(rule.message)} (${
+          rule.occurrences.length
+        })`,
+        ""
+      );
+      if (rule.wcag.length > 0) {
+        lines.push(
+          `WCAG ${rule.wcag
+            .map(
+              ({ id, title, url }) => `[${id} ${escapeMarkdown(title)}](${url})`
+            )
+            .join(", ")}`,
+          ""
+        );
+      }
+      lines.push(
+        `> **Recommendation:** ${escapeMarkdown(rule.recommendation)} [Learn more](${
+          rule.docsUrl
+        })`
+      );
+      rule.occurrences.forEach(({ file, startLine, endLine, excerpt }) => {
+        lines.push(
+          "",
+          `**${escapeMarkdown(file)}**, line ${
+            startLine === endLine ? startLine : `${startLine}–${endLine}`
+          }`,
+          "",
+          formatMarkdownExcerpt(excerpt)
+        );
+      });
+    });
+  });
+
+  lines.push(
+    "",
+    "<details>",
+    `<summary>Passed rules (${model.passedRules.length})</summary>`,
+    "",
+    ...(model.passedRules.length > 0
+      ? model.passedRules.map(
+          ({ ruleId, level, message }) =>
+            `- ${ruleId}: ${escapeMarkdown(message)} (Level ${level})`
+        )
+      : ["No rule passed."]),
+    "",
+    "</details>",
+    ""
+  );
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  getExcerpt,
+  createReportModel,
+  formatHtmlReport,
+  formatMarkdownReport,
+};
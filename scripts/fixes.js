@@ -0,0 +1,230 @@
+// fixes.js
+
+const { findRule } = require("./checker");
+const { buildTree } = require("./parser");
+const { ADAPTERS, toHTML } = require("./adapters");
+const { escapeSnippet, snippetToText, hasPlaceholders } = require("./snippets");
+
+/**
+ * Turns issues into text edits using the `autofix` function of their rules.
+ *
+ * Several rules often hit the same element (e.g. R1 and R46 on one <img>),
+ * so overlapping fixes are merged into a single edit: fixes on the same or a
+ * nested range are applied one after the other, each rule's autofix
+ * receiving the text already changed by the previous ones. Fixes that only
+ * partially overlap an earlier fix cannot be combined safely and are
+ * reported as conflicts instead.
+ *
+ * Autofixes return snippets. Fixes are chained on their plain text; an edit
+ * made of a single fix keeps its snippet so the editor can offer its
+ * placeholders.
+ *
+ * Rules write HTML; for other languages the fixes are adapted by the
+ * language adapter (e.g. htmlFor instead of for in JSX).
+ */
+
+const identity = (text) => text;
+
+// Runs a rule's autofix; null when it throws, e.g. a broken custom rule
+function runAutofix(rule, matchedText, node, tree) {
+  try {
+    return rule.autofix(matchedText, node, tree);
+  } catch {
+    return null;
+  }
+}
+
+// Turns the result of an autofix into the fix of a matched text; null when
+// there is nothing to change
+function toFix(result, matchedText, fixText = identity) {
+  if (typeof result !== "string") return null;
+
+  const snippet = fixText(result);
+
+  const text = snippetToText(snippet);
+  return text !== matchedText ? { text, snippet } : null;
+}
+
+/**
+ * Resolves autofixes that edit other elements (e.g. R27 adding an id to the
+ * labelled field) into one target per edit, with a fixed replacement text.
+ * Other targets keep the result of their autofix, so it only runs again
+ * when an overlapping fix changed their text.
+ */
+function expandTargets(text, targets, language) {
+  if (targets.length === 0) return [];
+  const tree = buildTree(toHTML(text, language));
+
+  return targets.flatMap((target) => {
+    const rule = findRule(target.ruleId);
+    const node = tree.elementAt(target.start);
+    const matchedText = text.slice(target.start, target.end);
+    const result = runAutofix(rule, matchedText, node, tree);
+    if (!Array.isArray(result)) {
+      return [{ ...target, node, tree, matchedText, result }];
+    }
+
+    return result.map((edit) => ({
+      ruleId: target.ruleId,
+      start: edit.start,
+      end: edit.end,
+      replacement: edit.text,
+    }));
+  });
+}
+
+// Whether a rule can fix issues automatically
+function isFixable(ruleId) {
+  const rule = findRule(ruleId);
+  return Boolean(rule) && typeof rule.autofix === "function";
+}
+
+// Groups targets whose ranges overlap, in document order
+function groupOverlapping(targets) {
+  const sorted = [...targets].sort(
+    (a, b) => a.start - b.start || b.end - a.end
+  );
+  const groups = [];
+
+  sorted.forEach((target) => {
+    const group = groups[groups.length - 1];
+    if (group && target.start < group.end) {
+      group.targets.push(target);
+      group.end = Math.max(group.end, target.end);
+    } else {
+      groups.push({ start: target.start, end: target.end, targets: [target] });
+    }
+  });
+
+  return groups;
+}
+
+// Applies the fixes of one group of overlapping targets
+function mergeGroup(text, group, fixText) {
+  let current = text.slice(group.start, group.end);
+  const applied = [];
+  const conflicts = [];
+
+  // Inner ranges first, so a fix on an enclosing range sees their result
+  const ordered = [...group.targets].sort(
+    (a, b) => a.end - a.start - (b.end - b.start) || a.start - b.start
+  );
+
+  ordered.forEach((target) => {
+    // Target range relative to the group, before any fix was applied
+    const start = target.start - group.start;
+    const end = target.end - group.start;
+
+    const crosses = applied.some(
+      (edit) =>
+        (edit.start < start && start < edit.end) ||
+        (edit.start < end && end < edit.end)
+    );
+    if (crosses) {
+      conflicts.push(target);
+      return;
+    }
+
+    // Map the range through the fixes already applied in this group
+    const shift = (offset, includeTouching) =>
+      applied.reduce(
+        (sum, edit) =>
+          edit.end <= offset && (includeTouching || edit.start < offset)
+            ? sum + edit.delta
+            : sum,
+        0
+      );
+    const mappedStart = start + shift(start, false);
+    const mappedEnd = end + shift(end, true);
+
+    const matchedText = current.slice(mappedStart, mappedEnd);
+    const fix =
+      target.replacement !== undefined
+        ? {
+            text: fixText(target.replacement),
+            snippet: escapeSnippet(fixText(target.replacement)),
+          }
+        : toFix(
+            matchedText === target.matchedText
+              ? target.result
+              : runAutofix(
+                  findRule(target.ruleId),
+                  matchedText,
+                  target.node,
+                  target.tree
+                ),
+            matchedText,
+            fixText
+          );
+    if (fix === null) return;
+
+    current =
+      current.slice(0, mappedStart) + fix.text + current.slice(mappedEnd);
+    applied.push({
+      start,
+      end,
+      delta: fix.text.length - (mappedEnd - mappedStart),
+      ruleId: target.ruleId,
+      snippet: fix.snippet,
+    });
+  });
+
+  if (applied.length === 0) return { edit: null, conflicts };
+
+  const edit = {
+    start: group.start,
+    end: group.end,
+    newText: current,
+    ruleIds: [...new Set(applied.map(({ ruleId }) => ruleId))],
+  };
+
+  // A single fix leaves the rest of the group untouched
+  const [only] = applied;
+  if (applied.length === 1 && hasPlaceholders(only.snippet)) {
+    const original = text.slice(group.start, group.end);
+    edit.snippet =
+      escapeSnippet(original.slice(0, only.start)) +
+      only.snippet +
+      escapeSnippet(original.slice(only.end));
+  }
+
+  return { edit, conflicts };
+}
+
+/**
+ * Computes the edits fixing the given issues.
+ * @param {string} text the document text
+ * @param {{ ruleId: string, start: number, end: number }[]} targets
+ *   issues to fix, with the offsets of their matched text
+ * @param {string} [language] adapter of the document (see adapters.js)
+ * @returns {{ edits: { start: number, end: number, newText: string, snippet?: string, ruleIds: string[] }[],
+ *   conflicts: { ruleId: string, start: number, end: number }[] }}
+ *   non-overlapping edits in document order and the fixes that were skipped;
+ *   edits with placeholders also carry their snippet
+ */
+function computeFixes(text, targets, language) {
+  const edits = [];
+  const conflicts = [];
+
+  const fixable = targets.filter(({ ruleId }) => isFixable(ruleId));
+  const { fixText = identity } = ADAPTERS[language] || {};
+
+  groupOverlapping(expandTargets(text, fixable, language)).forEach((group) => {
+    const result = mergeGroup(text, group, fixText);
+    if (result.edit) edits.push(result.edit);
+    conflicts.push(
+      ...result.conflicts.map(({ ruleId, start, end }) => ({
+        ruleId,
+        start,
+        end,
+      }))
+    );
+  });
+
+  return { edits, conflicts };
+}
+
+module.exports = {
+  isFixable,
+  computeFixes,
+};
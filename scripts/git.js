@@ -0,0 +1,379 @@
+// git.js
+
+const { execFile, execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { promisify } = require("util");
+
+/**
+ * Git-diff mode: only the issues on lines changed in the local git
+ * repository are reported, to review the markup a branch or a commit
+ * touches.
+ *
+ * - "base": lines that differ from the merge base of a ref (e.g. "main")
+ *   and HEAD, including uncommitted changes and untracked files
+ * - "staged": lines whose change is staged, i.e. differs between HEAD and
+ *   the index and is still in the checked text
+ *
+ * Changed lines are computed against the checked text itself, so unsaved
+ * editor content works too.
+ */
+
+const DIFF_MODES = ["off", "base", "staged"];
+
+// Edit distance beyond which the rest of two texts counts as changed, which
+// bounds the time and memory of the diff
+const MAX_EDIT_DISTANCE = 1000;
+
+class GitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GitError";
+  }
+}
+
+// Runs a git command and returns its output
+function git(args, cwd) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      encoding: "utf-8",
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (error) {
+    const detail = (error.stderr || error.message || "").trim();
+    throw new GitError(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+const execFileAsync = promisify(execFile);
+
+// Runs a git command without blocking the thread and resolves with its
+// output, e.g. for the language server
+async function gitAsync(args, cwd) {
+  try {
+    const { stdout } = await execFileAsync("git", args, {
+      cwd,
+      encoding: "utf-8",
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout;
+  } catch (error) {
+    const detail = (error.stderr || error.message || "").trim();
+    throw new GitError(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+const splitLines = (text) => text.split(/\r\n|\r|\n/);
+
+/**
+ * Root of the git repository of a directory.
+ * @param {string} directory
+ * @returns {string | null} null outside of a repository or without git
+ */
+function getRepositoryRoot(directory) {
+  try {
+    return path.resolve(
+      git(["rev-parse", "--show-toplevel"], directory).trim()
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Content of a file at a revision, or in the index when the revision is "".
+ * @param {string} root repository root
+ * @param {string} revision
+ * @param {string} filePath absolute path of the file
+ * @returns {string | null} null when the file is not in that revision
+ */
+function readGitFile(root, revision, filePath) {
+  try {
+    return git(["show", `${revision}:${toGitPath(root, filePath)}`], root);
+  } catch {
+    return null;
+  }
+}
+
+// Path of a file relative to the repository root, as git names it
+function toGitPath(root, filePath) {
+  // git resolves symbolic links in the root, e.g. /tmp on macOS
+  const directory = path.dirname(filePath);
+  const realPath = fs.existsSync(directory)
+    ? path.join(fs.realpathSync(directory), path.basename(filePath))
+    : filePath;
+  return path.relative(root, realPath).split(path.sep).join("/");
+}
+
+/**
+ * Paths of the files added, copied, modified or renamed in the index.
+ * @param {string} root repository root
+ * @returns {string[]} absolute paths
+ */
+function getStagedFiles(root) {
+  return git(
+    ["diff", "--cached", "--name-only", "--diff-filter=ACMR", "-z"],
+    root
+  )
+    .split("\0")
+    .filter(Boolean)
+    .map((gitPath) => path.join(root, gitPath));
+}
+
+/**
+ * Matches the lines of two texts with Myers' diff algorithm.
+ * @param {string[]} a lines of the old text
+ * @param {string[]} b lines of the new text
+ * @returns {number[]} for each line of `b`, the index of the same line in
+ *   `a`, or -1 when it was added or changed
+ */
+function matchLines(a, b) {
+  const matches = new Array(b.length).fill(-1);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    matches[--endB] = --endA;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[start + x] === b[start + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        // Walks the edit script back, recording the matched lines
+        for (let step = d; step >= 0; step--) {
+          const previous = trace[step];
+          const kk = x - y;
+          const previousK =
+            kk === -step ||
+            (kk !== step &&
+              previous[offset + kk - 1] < previous[offset + kk + 1])
+              ? kk + 1
+              : kk - 1;
+          const previousX = step === 0 ? 0 : previous[offset + previousK];
+          const previousY = step === 0 ? 0 : previousX - previousK;
+          while (x > previousX && y > previousY) {
+            x--;
+            y--;
+            matches[start + y] = start + x;
+          }
+          x = previousX;
+          y = previousY;
+        }
+        return matches;
+      }
+    }
+  }
+
+  // Too different: the lines between the common prefix and suffix stay
+  // unmatched
+  return matches;
+}
+
+/**
+ * Lines of a text that differ from an older version. A line next to
+ * removed lines counts as changed too, since removing an attribute or a
+ * label can make its element fail.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Set<number>} 0-based lines of the new text
+ */
+function getChangedLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  const matches = matchLines(oldLines, newLines);
+  const changed = new Set();
+
+  let previous = -1;
+  let added = false;
+  matches.forEach((match, line) => {
+    if (match === -1) {
+      changed.add(line);
+      added = true;
+      return;
+    }
+    // Old lines skipped without new ones in their place were removed
+    if (match > previous + 1 && !added) changed.add(line);
+    previous = match;
+    added = false;
+  });
+  if (previous < oldLines.length - 1 && newLines.length > 0) {
+    changed.add(newLines.length - 1);
+  }
+  return changed;
+}
+
+// Reads what a file is compared to in a git-diff mode
+function readDiffBase(root, filePath, { mode, base = "HEAD" }) {
+  if (mode === "staged") {
+    return {
+      staged: readGitFile(root, "", filePath),
+      head: readGitFile(root, "HEAD", filePath) || "",
+    };
+  }
+
+  const mergeBase = git(["merge-base", base, "HEAD"], root).trim();
+  return { mergeBase: readGitFile(root, mergeBase, filePath) || "" };
+}
+
+// readDiffBase() without blocking the thread
+async function readDiffBaseAsync(root, filePath, { mode, base = "HEAD" }) {
+  const gitPath = toGitPath(root, filePath);
+  const show = (revision) =>
+    gitAsync(["show", `${revision}:${gitPath}`], root).catch(() => null);
+
+  if (mode === "staged") {
+    const [staged, head] = await Promise.all([show(""), show("HEAD")]);
+    return { staged, head: head || "" };
+  }
+
+  const mergeBase = (await gitAsync(["merge-base", base, "HEAD"], root)).trim();
+  return { mergeBase: (await show(mergeBase)) || "" };
+}
+
+// Lines of a text changed compared to the result of readDiffBase()
+function diffWithBase(diffBase, text) {
+  if (diffBase.mergeBase !== undefined) {
+    return getChangedLines(diffBase.mergeBase, text);
+  }
+
+  const { staged, head } = diffBase;
+  if (staged === null) return new Set();
+  const stagedChanges = getChangedLines(head, staged);
+  // Staged lines still in the checked text
+  const matches = matchLines(splitLines(staged), splitLines(text));
+  return new Set(
+    matches
+      .map((match, line) => (stagedChanges.has(match) ? line : -1))
+      .filter((line) => line !== -1)
+  );
+}
+
+/**
+ * Lines of a document changed according to a git-diff mode.
+ * @param {string} filePath absolute path of the document
+ * @param {string} text the checked text (editor content, file or index)
+ * @param {{ mode: string, base?: string }} options see DIFF_MODES; `base`
+ *   is the ref of the "base" mode (default "HEAD")
+ * @returns {Set<number> | null} 0-based lines; null when the file is not in
+ *   a git repository
+ * @throws {GitError} when the base ref cannot be resolved
+ */
+function getChangedLinesOf(filePath, text, options) {
+  const root = getRepositoryRoot(path.dirname(filePath));
+  if (!root) return null;
+  return diffWithBase(readDiffBase(root, filePath, options), text);
+}
+
+/**
+ * Caches the repository roots and the texts documents are compared to, so
+ * re-checking a document while it is edited does not run git every time.
+ * Git runs asynchronously, so the language server keeps answering while
+ * it does. The cache has to be cleared when the repository changes, e.g.
+ * after a commit or a checkout.
+ * @returns {{ getChangedLinesOf: Function, clear: () => void }}
+ *   `getChangedLinesOf` works as the function of the same name and returns
+ *   a promise
+ */
+function createGitCache() {
+  // Repository root of each directory, null outside of a repository
+  const roots = new Map();
+  // Result of readDiffBaseAsync() by file, mode and base
+  const bases = new Map();
+
+  // Reuses a pending or settled promise; failed ones are tried again
+  const cached = (map, key, load) => {
+    if (!map.has(key)) {
+      const promise = load();
+      map.set(key, promise);
+      promise.catch(() => {
+        if (map.get(key) === promise) map.delete(key);
+      });
+    }
+    return map.get(key);
+  };
+
+  return {
+    async getChangedLinesOf(filePath, text, options) {
+      const directory = path.dirname(filePath);
+      const root = await cached(roots, directory, () =>
+        gitAsync(["rev-parse", "--show-toplevel"], directory).then(
+          (output) => path.resolve(output.trim()),
+          () => null
+        )
+      );
+      if (!root) return null;
+
+      const key = JSON.stringify([filePath, options.mode, options.base]);
+      const diffBase = await cached(bases, key, () =>
+        readDiffBaseAsync(root, filePath, options)
+      );
+      return diffWithBase(diffBase, text);
+    },
+
+    clear() {
+      roots.clear();
+      bases.clear();
+    },
+  };
+}
+
+/**
+ * Keeps the issues whose opening tag is on a changed line.
+ * @param {string} text the checked text
+ * @param {object[]} issues issues of a checkDocument() result
+ * @param {Set<number>} changedLines see getChangedLinesOf()
+ * @returns {{ issues: object[], unchanged: number }} the issues on changed
+ *   lines and the number of issues left out
+ */
+function filterChangedIssues(text, issues, changedLines) {
+  const remaining = issues.filter(({ startLine, startOffset, endOffset }) => {
+    const tagEnd = text.indexOf(">", startOffset);
+    const end = tagEnd === -1 || tagEnd > endOffset ? endOffset : tagEnd;
+    const lastLine =
+      startLine +
+      (text.slice(startOffset, end).match(/\r\n|\r|\n/g) || []).length;
+    for (let line = startLine; line <= lastLine; line++) {
+      if (changedLines.has(line)) return true;
+    }
+    return false;
+  });
+  return { issues: remaining, unchanged: issues.length - remaining.length };
+}
+
+module.exports = {
+  DIFF_MODES,
+  GitError,
+  getRepositoryRoot,
+  readGitFile,
+  getStagedFiles,
+  getChangedLines,
+  getChangedLinesOf,
+  createGitCache,
+  filterChangedIssues,
+};
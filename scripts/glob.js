@@ -0,0 +1,162 @@
+// glob.js
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Minimal glob support for the command line interface and configuration
+ * files: "**", "*", "?", "{a,b}" and "[...]" character classes. Paths are
+ * always matched with forward slashes.
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\/]/g, "\\$&");
+}
+
+/**
+ * Converts a glob pattern into a regular expression matching whole paths.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        // "**/" matches zero or more directories, a trailing "**" anything.
+        if (pattern[i + 2] === "/") {
+          source += "(?:[^/]*/)*";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const close = pattern.indexOf("]", i + 1);
+      if (close === -1) {
+        source += "\\[";
+      } else {
+        const body = pattern.slice(i + 1, close).replace(/^!/, "^");
+        source += `[${body.replace(/\\/g, "\\\\")}]`;
+        i = close;
+      }
+    } else if (char === "{") {
+      braceDepth++;
+      source += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      braceDepth--;
+      source += ")";
+    } else if (char === "," && braceDepth > 0) {
+      source += "|";
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+const toPosix = (filePath) => filePath.split(path.sep).join("/");
+
+/**
+ * Tests a path against one or more glob patterns. Patterns without a slash
+ * match the file name in any directory (like .gitignore).
+ * @param {string} filePath path relative to the directory the patterns are relative to
+ * @param {string | string[]} patterns
+ */
+function matchesGlob(filePath, patterns) {
+  const normalized = toPosix(filePath).replace(/^\.\//, "");
+  return [].concat(patterns).some((pattern) => {
+    const cleanPattern = pattern.replace(/^\.\//, "");
+    const target = cleanPattern.includes("/")
+      ? normalized
+      : path.posix.basename(normalized);
+    return globToRegExp(cleanPattern).test(target);
+  });
+}
+
+// Leading part of a pattern without any glob characters, e.g. "src/pages"
+function staticBase(pattern) {
+  const segments = pattern.split("/");
+  const base = [];
+  for (const segment of segments.slice(0, -1)) {
+    if (/[*?[{]/.test(segment)) break;
+    base.push(segment);
+  }
+  return base.join("/");
+}
+
+/**
+ * Expands glob patterns (or plain file and directory paths) into a sorted
+ * list of files.
+ * @param {string[]} patterns
+ * @param {{ cwd?: string, ignore?: string[], defaultPattern?: string }} [options]
+ * @returns {string[]} absolute file paths
+ */
+function findFiles(patterns, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const ignore = options.ignore || ["**/node_modules/**"];
+  const defaultPattern = options.defaultPattern || "**/*.html";
+  const files = new Set();
+
+  const isIgnored = (relativePath) =>
+    ignore.length > 0 && matchesGlob(relativePath, ignore);
+
+  const walk = (directory, visit) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.forEach((entry) => {
+      const fullPath = path.join(directory, entry.name);
+      const relativePath = toPosix(path.relative(cwd, fullPath));
+      if (entry.isDirectory()) {
+        if (!isIgnored(`${relativePath}/`)) walk(fullPath, visit);
+      } else if (entry.isFile()) {
+        visit(fullPath, relativePath);
+      }
+    });
+  };
+
+  patterns.forEach((pattern) => {
+    const literal = path.resolve(cwd, pattern);
+    const stats = fs.existsSync(literal) ? fs.statSync(literal) : null;
+
+    if (stats && stats.isFile()) {
+      files.add(literal);
+      return;
+    }
+
+    const posixPattern = toPosix(
+      stats && stats.isDirectory()
+        ? path.join(pattern, defaultPattern)
+        : pattern
+    ).replace(/^\.\//, "");
+    const matcher = globToRegExp(posixPattern);
+
+    walk(path.resolve(cwd, staticBase(posixPattern)), (fullPath, relativePath) => {
+      if (matcher.test(relativePath) && !isIgnored(relativePath)) {
+        files.add(fullPath);
+      }
+    });
+  });
+
+  return [...files].sort();
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  findFiles,
+};
@@ -0,0 +1,214 @@
+// incremental.js
+
+const {
+  getActiveRules,
+  prepareDocument,
+  runRule,
+  finishCheck,
+} = require("./checker");
+
+/**
+ * Re-checks a document after an edit without re-running every rule on the
+ * whole text. Rules whose result only depends on the opening tag they match
+ * ("tag-local" rules, e.g. R1's <img ...>) keep their issues outside the
+ * edited region and only run again on the tags around the edit; every other
+ * rule (headings order, label/id pairs, ...) runs on the whole document.
+ */
+
+// Interval between two progress reports of a long check
+const PROGRESS_INTERVAL_MS = 100;
+
+// Rules found tag-local, by rule object
+const tagLocalRules = new WeakMap();
+
+/**
+ * Whether a rule's result only depends on the opening tag it matches: its
+ * validate function only reads the matched text, and its regex starts at
+ * "<" and cannot match or look past the first ">". Matches then never
+ * overlap a ">", so an edit only affects the tags between the ">" before
+ * and the ">" after it.
+ * @param {object} rule
+ * @returns {boolean}
+ */
+function isTagLocal(rule) {
+  if (tagLocalRules.has(rule)) return tagLocalRules.get(rule);
+
+  const { source } = rule.regex;
+  let local = rule.validate.length <= 1 && source.startsWith("<");
+  for (let i = 0; local && i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      // \S, \W, \D and an escaped ">" can match ">"
+      local = !/[SWD>]/.test(source[i + 1]);
+      i++;
+    } else if (char === "[") {
+      const end = source.indexOf("]", i + 2);
+      const set = source.slice(i + 1, end);
+      // \S, \W and \D in a set match ">" too
+      const matchesEnd = set.includes(">") || /\\[SWD]/.test(set);
+      local = set.startsWith("^") ? matchesEnd : !matchesEnd;
+      i = end;
+    } else if (char === ".") {
+      local = false;
+    } else if (char === ">") {
+      local = i === source.length - 1;
+    }
+  }
+
+  tagLocalRules.set(rule, local);
+  return local;
+}
+
+// Key of the options a previous result can be reused for
+const optionsKey = (options, activeRules) =>
+  JSON.stringify([
+    options.language,
+    options.ruleTimeBudget,
+    activeRules.map(({ rule, severity }) => `${rule.id}:${severity}`),
+  ]);
+
+// Whether two runs use the same rule objects (a reloaded plugin has new ones)
+const sameRules = (a, b) =>
+  a.length === b.length && a.every(({ rule }, index) => rule === b[index].rule);
+
+/**
+ * Finds the edited region between two texts.
+ * @returns {{ start: number, oldEnd: number, newEnd: number }}
+ */
+function diffRange(oldText, newText) {
+  let start = 0;
+  const maxStart = Math.min(oldText.length, newText.length);
+  while (start < maxStart && oldText[start] === newText[start]) start++;
+
+  let oldEnd = oldText.length;
+  let newEnd = newText.length;
+  while (
+    oldEnd > start &&
+    newEnd > start &&
+    oldText[oldEnd - 1] === newText[newEnd - 1]
+  ) {
+    oldEnd--;
+    newEnd--;
+  }
+  return { start, oldEnd, newEnd };
+}
+
+// Moves an issue found before an edit to its offset in the edited text
+function moveIssue(issue, delta, positionAt) {
+  const startOffset = issue.startOffset + delta;
+  const endOffset = issue.endOffset + delta;
+  const startPosition = positionAt(startOffset);
+  const endPosition = positionAt(endOffset);
+  return {
+    ...issue,
+    startLine: startPosition.line,
+    startChar: startPosition.character,
+    endLine: endPosition.line,
+    endChar: endPosition.character,
+    startOffset,
+    endOffset,
+  };
+}
+
+/**
+ * Creates a checker for one document that reuses its previous results.
+ * @returns {{ check: (rawText: string, options?: object, onProgress?: (result: object) => void) => object, reset: () => void }}
+ *   `check` has the options and result of checkDocument (see checker.js);
+ *   when a check takes a while, `onProgress` receives the issues found so
+ *   far (with suppressions applied) and the `ruleIds` of the rules that ran
+ */
+function createIncrementalChecker() {
+  let previous = null;
+
+  return {
+    check(rawText, options = {}, onProgress) {
+      if (options.ignored) {
+        previous = null;
+        return {
+          issues: [],
+          unusedSuppressions: [],
+          ruleErrors: [],
+          ruleTimings: [],
+        };
+      }
+
+      const activeRules = getActiveRules(options);
+      const key = optionsKey(options, activeRules);
+      const context = prepareDocument(rawText, options);
+      const reusable =
+        previous &&
+        previous.key === key &&
+        sameRules(previous.activeRules, activeRules)
+          ? previous
+          : null;
+
+      // Tags touched by the edit: from the ">" before it to the ">" after it
+      let window = null;
+      let delta = 0;
+      if (reusable) {
+        const { start, oldEnd, newEnd } = diffRange(
+          reusable.text,
+          context.text
+        );
+        const after = context.text.indexOf(">", newEnd);
+        delta = newEnd - oldEnd;
+        window = {
+          start: reusable.text.lastIndexOf(">", start - 1) + 1,
+          end: after === -1 ? context.text.length : after + 1,
+        };
+      }
+
+      const results = [];
+      let lastProgress = performance.now();
+      activeRules.forEach((activeRule, index) => {
+        const { rule } = activeRule;
+        const last = reusable && reusable.results.get(rule.id);
+
+        if (last && !last.error && isTagLocal(rule)) {
+          const result = runRule(activeRule, context, window);
+          const before = last.issues.filter(
+            ({ startOffset }) => startOffset < window.start
+          );
+          const after = last.issues
+            .filter(({ startOffset }) => startOffset >= window.end - delta)
+            .map((issue) => moveIssue(issue, delta, context.positionAt));
+          results.push({
+            ...result,
+            issues: [...before, ...result.issues, ...after],
+          });
+        } else {
+          results.push(runRule(activeRule, context));
+        }
+
+        if (
+          onProgress &&
+          index < activeRules.length - 1 &&
+          performance.now() - lastProgress >= PROGRESS_INTERVAL_MS
+        ) {
+          lastProgress = performance.now();
+          onProgress({
+            ...finishCheck(context, results),
+            ruleIds: results.map(({ ruleId }) => ruleId),
+          });
+        }
+      });
+
+      previous = {
+        key,
+        activeRules,
+        text: context.text,
+        results: new Map(results.map((result) => [result.ruleId, result])),
+      };
+      return finishCheck(context, results);
+    },
+
+    reset() {
+      previous = null;
+    },
+  };
+}
+
+module.exports = {
+  isTagLocal,
+  createIncrementalChecker,
+};
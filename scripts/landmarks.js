@@ -0,0 +1,262 @@
+// landmarks.js
+
+const { walk } = require("./parser");
+const { isHidden, getRole, getAccessibleName } = require("./names");
+
+/**
+ * Landmark map of a document: the regions screen reader users jump between
+ * (banner, navigation, main, complementary, contentinfo, form, search and
+ * named regions), nested as in the markup, and the problems of the map.
+ * The landmark rules (R57, R86, R87, R88) report these problems and the
+ * Landmarks view of the extension shows the map.
+ *
+ * Problem kinds:
+ * - "missing-main": a page (with a <body>) without main landmark
+ * - "multiple-main": each main landmark after the first one
+ * - "unnamed-duplicate": a landmark without name while the page has
+ *   several landmarks of its role, e.g. two <nav> (main aside)
+ * - "outside-landmarks": the outermost elements of a page with content
+ *   outside of any landmark
+ */
+
+const LANDMARK_ROLES = [
+  "banner",
+  "navigation",
+  "main",
+  "complementary",
+  "contentinfo",
+  "form",
+  "search",
+  "region",
+];
+
+// Elements without content of their own
+const NON_CONTENT_TAGS = ["script", "style", "template", "noscript", "link"];
+
+// Elements that are content even without text
+const EMBEDDED_TAGS = [
+  "img",
+  "svg",
+  "video",
+  "audio",
+  "iframe",
+  "canvas",
+  "input",
+  "select",
+  "textarea",
+  "button",
+];
+
+// Landmark maps of parsed trees, computed once for every rule of a check
+const maps = new WeakMap();
+
+// Problem kinds by node, of each landmark map
+const problemIndexes = new WeakMap();
+
+/**
+ * Landmark role of an element.
+ * @param {object} tree see buildTree()
+ * @param {object} node element (see parser.js)
+ * @returns {string | null} one of LANDMARK_ROLES; null when the element is
+ *   not a landmark
+ */
+function getLandmarkRole(tree, node) {
+  const role = getRole(tree, node);
+  return LANDMARK_ROLES.includes(role) ? role : null;
+}
+
+// Whether an element or its descendants have content: text, images,
+// controls, ...
+function hasContent(node) {
+  let found = false;
+  walk(node, (descendant) => {
+    if (found) return false;
+    if (descendant.type === "text") {
+      found = descendant.value.trim() !== "";
+      return undefined;
+    }
+    if (descendant.type !== "element") return undefined;
+    if (NON_CONTENT_TAGS.includes(descendant.tagName) || isHidden(descendant)) {
+      return false;
+    }
+    found = EMBEDDED_TAGS.includes(descendant.tagName);
+    return undefined;
+  });
+  return found;
+}
+
+// Links to an anchor of the page, e.g. "skip to main content"
+const isSkipLink = (node) =>
+  node.tagName === "a" && /^#./.test((node.attributes.href || "").trim());
+
+/**
+ * Computes the landmark map of a parsed document.
+ * @param {{ document: object, elements: object[] }} tree see buildTree()
+ * @returns {{ landmarks: object[], roots: object[], problems: object[] }}
+ *   `landmarks` in document order, as { node, role, name, children };
+ *   `roots` the outermost landmarks with the inner ones nested in their
+ *   `children`; `problems` as { kind, node, message }
+ */
+function getLandmarks(tree) {
+  if (maps.has(tree)) return maps.get(tree);
+
+  const landmarks = [];
+  const roots = [];
+  const visit = (node, parent) => {
+    node.children.forEach((child) => {
+      if (child.type !== "element" || isHidden(child)) return;
+      const role = getLandmarkRole(tree, child);
+      if (!role) {
+        visit(child, parent);
+        return;
+      }
+      const landmark = {
+        node: child,
+        role,
+        name: getAccessibleName(tree, child),
+        children: [],
+      };
+      landmarks.push(landmark);
+      (parent ? parent.children : roots).push(landmark);
+      visit(child, landmark);
+    });
+  };
+  visit(tree.document, null);
+
+  const problems = [];
+  const body = tree.elements.find(({ tagName }) => tagName === "body");
+  const mains = landmarks.filter(({ role }) => role === "main");
+
+  if (body && mains.length === 0) {
+    problems.push({
+      kind: "missing-main",
+      node: body,
+      message: "The page has no main landmark",
+    });
+  }
+  mains.slice(1).forEach(({ node }) =>
+    problems.push({
+      kind: "multiple-main",
+      node,
+      message: "Another main landmark",
+    })
+  );
+
+  landmarks.forEach(({ node, role, name }) => {
+    const sameRole = landmarks.filter((landmark) => landmark.role === role);
+    // Extra main landmarks are a problem of their own
+    if (!name && role !== "main" && sameRole.length > 1) {
+      problems.push({
+        kind: "unnamed-duplicate",
+        node,
+        message: `One of ${sameRole.length} ${role} landmarks without name`,
+      });
+    }
+  });
+
+  if (body) {
+    const landmarkNodes = new Set(landmarks.map(({ node }) => node));
+    const containsLandmark = (node) =>
+      landmarks.some(
+        (landmark) =>
+          landmark.node.start >= node.start && landmark.node.end <= node.end
+      );
+    const findOutside = (node) => {
+      node.children.forEach((child) => {
+        if (child.type !== "element" || landmarkNodes.has(child)) return;
+        if (isHidden(child) || isSkipLink(child)) return;
+        if (containsLandmark(child)) {
+          findOutside(child);
+        } else if (hasContent(child)) {
+          problems.push({
+            kind: "outside-landmarks",
+            node: child,
+            message: `<${child.tagName}> outside of any landmark`,
+          });
+        }
+      });
+    };
+    findOutside(body);
+  }
+
+  const map = { landmarks, roots, problems };
+  maps.set(tree, map);
+  return map;
+}
+
+/**
+ * Whether an element has a problem of the landmark map.
+ * @param {object} tree see buildTree()
+ * @param {object} [node] element of the tree
+ * @param {string} kind problem kind
+ * @returns {boolean}
+ */
+function hasLandmarkProblem(tree, node, kind) {
+  if (!node) return false;
+
+  const map = getLandmarks(tree);
+  if (!problemIndexes.has(map)) {
+    const kindsByNode = new Map();
+    map.problems.forEach((problem) => {
+      if (!kindsByNode.has(problem.node)) {
+        kindsByNode.set(problem.node, new Set());
+      }
+      kindsByNode.get(problem.node).add(problem.kind);
+    });
+    problemIndexes.set(map, kindsByNode);
+  }
+  const kinds = problemIndexes.get(map).get(node);
+  return Boolean(kinds) && kinds.has(kind);
+}
+
+/**
+ * Plain landmark map, e.g. to send it to a client: landmarks with their
+ * nested landmarks, problems and 0-based range, and the problems of the
+ * page and of the content outside of landmarks.
+ * @param {object} tree see buildTree()
+ * @param {(offset: number) => { line: number, character: number }} positionAt
+ *   see checker.js
+ * @returns {{ landmarks: object[], problems: object[] }}
+ */
+function describeLandmarks(tree, positionAt) {
+  const { roots, problems } = getLandmarks(tree);
+  const toRange = (node) => ({
+    start: positionAt(node.start),
+    end: positionAt(node.end),
+  });
+  const problemsOf = (node) =>
+    problems
+      .filter((problem) => problem.node === node)
+      .map(({ kind, message }) => ({ kind, message }));
+
+  const describe = ({ node, role, name, children }) => ({
+    role,
+    name,
+    tagName: node.tagName,
+    range: toRange(node),
+    problems: problemsOf(node),
+    children: children.map(describe),
+  });
+
+  const landmarkNodes = new Set(
+    getLandmarks(tree).landmarks.map(({ node }) => node)
+  );
+  return {
+    landmarks: roots.map(describe),
+    problems: problems
+      .filter(({ node }) => !landmarkNodes.has(node))
+      .map(({ kind, message, node }) => ({
+        kind,
+        message,
+        range: toRange(node),
+      })),
+  };
+}
+
+module.exports = {
+  LANDMARK_ROLES,
+  getLandmarkRole,
+  getLandmarks,
+  hasLandmarkProblem,
+  describeLandmarks,
+};
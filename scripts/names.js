@@ -0,0 +1,527 @@
+// names.js
+
+const { ancestors, childElements, textContent } = require("./parser");
+
+/**
+ * Accessible name and description computation, after the W3C Accessible
+ * Name and Description Computation (accname) and HTML-AAM: what a screen
+ * reader announces for an element. Rules use it instead of looking for
+ * aria-label or text in the markup, and the server shows it on hover.
+ *
+ * The name is the first of:
+ * - the content of the elements aria-labelledby refers to
+ * - aria-label
+ * - the native text alternative: <label for> or a wrapping <label> of form
+ *   fields, alt of images, value of input buttons, <legend>, <caption>,
+ *   <figcaption>, <title> of <svg>
+ * - the content, for roles named by their content (buttons, links,
+ *   headings, ...)
+ * - title, then placeholder
+ *
+ * Content hidden with `hidden`, aria-hidden="true", type="hidden" or an
+ * inline display: none or visibility: hidden is left out.
+ */
+
+// Roles whose name comes from their content
+const NAME_FROM_CONTENT_ROLES = [
+  "button",
+  "cell",
+  "checkbox",
+  "columnheader",
+  "gridcell",
+  "heading",
+  "link",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "option",
+  "radio",
+  "row",
+  "rowheader",
+  "switch",
+  "tab",
+  "tooltip",
+  "treeitem",
+];
+
+// Roles that need a name (WAI-ARIA "name required")
+const NAME_REQUIRED_ROLES = [
+  "alertdialog",
+  "button",
+  "checkbox",
+  "columnheader",
+  "combobox",
+  "dialog",
+  "grid",
+  "heading",
+  "img",
+  "link",
+  "listbox",
+  "menuitem",
+  "menuitemcheckbox",
+  "menuitemradio",
+  "meter",
+  "option",
+  "progressbar",
+  "radio",
+  "radiogroup",
+  "region",
+  "rowheader",
+  "scrollbar",
+  "searchbox",
+  "slider",
+  "spinbutton",
+  "switch",
+  "tab",
+  "tabpanel",
+  "table",
+  "textbox",
+  "tree",
+  "treegrid",
+  "treeitem",
+];
+
+// Elements labelled by <label>
+const LABELABLE_TAGS = [
+  "button",
+  "input",
+  "meter",
+  "output",
+  "progress",
+  "select",
+  "textarea",
+];
+
+// Elements rendered on lines of their own, whose text is separated from the
+// text around them
+const BLOCK_TAGS = [
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "br",
+  "dd",
+  "div",
+  "dl",
+  "dt",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hr",
+  "li",
+  "main",
+  "nav",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "table",
+  "td",
+  "th",
+  "tr",
+  "ul",
+];
+
+// Default names of input buttons without value
+const DEFAULT_BUTTON_NAMES = { submit: "Submit", reset: "Reset" };
+
+// Elements by id of parsed trees
+const idMaps = new WeakMap();
+
+/**
+ * Element of a parsed document by id.
+ * @param {object} tree see buildTree()
+ * @param {string} id
+ * @returns {object | undefined}
+ */
+function getElementById(tree, id) {
+  if (!idMaps.has(tree)) {
+    const byId = new Map();
+    tree.elements.forEach((node) => {
+      const elementId = node.attributes.id;
+      if (elementId && !byId.has(elementId)) byId.set(elementId, node);
+    });
+    idMaps.set(tree, byId);
+  }
+  return idMaps.get(tree).get(id);
+}
+
+// <label> elements by the id in their "for" attribute, of parsed trees
+const labelMaps = new WeakMap();
+
+// Labels pointing to an element with their "for" attribute
+function getLabelsFor(tree, id) {
+  if (!labelMaps.has(tree)) {
+    const byFor = new Map();
+    tree.elements.forEach((element) => {
+      const target = element.attributes.for;
+      if (element.tagName !== "label" || !target) return;
+      if (!byFor.has(target)) byFor.set(target, []);
+      byFor.get(target).push(element);
+    });
+    labelMaps.set(tree, byFor);
+  }
+  return labelMaps.get(tree).get(id) || [];
+}
+
+// Elements an id reference list (aria-labelledby, aria-describedby) refers to
+const getReferences = (tree, node, name) =>
+  (node.attributes[name] || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((id) => getElementById(tree, id))
+    .filter(Boolean);
+
+const collapse = (text) => (text || "").replace(/\s+/g, " ").trim();
+
+/**
+ * Whether an element and its content are hidden from assistive
+ * technologies by its own attributes.
+ * @param {object} node element (see parser.js)
+ * @returns {boolean}
+ */
+function isHidden({ tagName, attributes }) {
+  return (
+    "hidden" in attributes ||
+    (attributes["aria-hidden"] || "").trim().toLowerCase() === "true" ||
+    (tagName === "input" &&
+      (attributes.type || "").trim().toLowerCase() === "hidden") ||
+    /(^|;)\s*(display\s*:\s*none|visibility\s*:\s*hidden)\b/i.test(
+      attributes.style || ""
+    )
+  );
+}
+
+/**
+ * Whether an element is hidden by its own attributes or an ancestor's.
+ * @param {object} node element (see parser.js)
+ * @returns {boolean}
+ */
+function isHiddenInTree(node) {
+  return isHidden(node) || ancestors(node).some(isHidden);
+}
+
+// Implicit roles of elements (HTML-AAM)
+const IMPLICIT_ROLES = {
+  article: "article",
+  aside: "complementary",
+  button: "button",
+  dialog: "dialog",
+  fieldset: "group",
+  figure: "figure",
+  form: "form",
+  h1: "heading",
+  h2: "heading",
+  h3: "heading",
+  h4: "heading",
+  h5: "heading",
+  h6: "heading",
+  hr: "separator",
+  li: "listitem",
+  main: "main",
+  menu: "list",
+  meter: "meter",
+  nav: "navigation",
+  ol: "list",
+  option: "option",
+  output: "status",
+  p: "paragraph",
+  progress: "progressbar",
+  search: "search",
+  section: "region",
+  table: "table",
+  td: "cell",
+  textarea: "textbox",
+  tr: "row",
+  ul: "list",
+};
+
+// Roles of <input> by type
+const INPUT_ROLES = {
+  button: "button",
+  checkbox: "checkbox",
+  email: "textbox",
+  image: "button",
+  number: "spinbutton",
+  radio: "radio",
+  range: "slider",
+  reset: "button",
+  search: "searchbox",
+  submit: "button",
+  tel: "textbox",
+  text: "textbox",
+  url: "textbox",
+};
+
+// <header> and <footer> inside these elements are not banner and contentinfo
+const SECTIONING_TAGS = ["article", "aside", "main", "nav", "section"];
+
+// Role of an element without role attribute, regardless of its name
+function getImplicitRole(node) {
+  const { tagName, attributes } = node;
+  switch (tagName) {
+    case "a":
+    case "area":
+      return "href" in attributes ? "link" : null;
+    case "header":
+    case "footer":
+      if (
+        ancestors(node).some((ancestor) =>
+          SECTIONING_TAGS.includes(ancestor.tagName)
+        )
+      ) {
+        return null;
+      }
+      return tagName === "header" ? "banner" : "contentinfo";
+    case "img":
+      return attributes.alt === "" ? "presentation" : "img";
+    case "input": {
+      const type = (attributes.type || "text").trim().toLowerCase();
+      const role = INPUT_ROLES[type] || null;
+      return "list" in attributes && ["textbox", "searchbox"].includes(role)
+        ? "combobox"
+        : role;
+    }
+    case "select":
+      return "multiple" in attributes || parseInt(attributes.size, 10) > 1
+        ? "listbox"
+        : "combobox";
+    case "th":
+      return (attributes.scope || "").trim().toLowerCase() === "row"
+        ? "rowheader"
+        : "columnheader";
+    default:
+      return IMPLICIT_ROLES[tagName] || null;
+  }
+}
+
+/**
+ * Role set with the role attribute: its first token, the one browsers use.
+ * @param {object} node element (see parser.js)
+ * @returns {string | null}
+ */
+function getExplicitRole(node) {
+  return (
+    (node.attributes.role || "").trim().toLowerCase().split(/\s+/)[0] || null
+  );
+}
+
+/**
+ * Role of an element: its role attribute, otherwise the implicit role of
+ * the element. Forms and regions only have their role with a name.
+ * @param {object} tree see buildTree()
+ * @param {object} node element (see parser.js)
+ * @returns {string | null} null for elements without role, e.g. <div>
+ */
+function getRole(tree, node) {
+  if (node.type !== "element") return null;
+  const role = getExplicitRole(node) || getImplicitRole(node);
+  if (
+    (role === "form" || role === "region") &&
+    !getAccessibleName(tree, node)
+  ) {
+    return null;
+  }
+  return role;
+}
+
+// Value of a form field inside a label, which is part of the label's text
+function getEmbeddedValue(node) {
+  const { tagName, attributes } = node;
+  if (tagName === "select") {
+    const options = childElements(node).filter(
+      (child) => child.tagName === "option"
+    );
+    const selected =
+      options.find((option) => "selected" in option.attributes) || options[0];
+    return selected ? textContent(selected) : "";
+  }
+  if (tagName === "textarea") return textContent(node);
+  return attributes.value || "";
+}
+
+// Name of an element from its content
+function getContentText(tree, node, context) {
+  return node.children
+    .map((child) => {
+      if (child.type === "text") return child.value;
+      if (child.type !== "element" || isHidden(child)) return "";
+      const { name } = computeName(tree, child, {
+        ...context,
+        inContent: true,
+      });
+      return BLOCK_TAGS.includes(child.tagName) ? ` ${name} ` : name;
+    })
+    .join("");
+}
+
+// Text of the first child element with one of the tag names
+function getChildText(tree, node, tagName) {
+  const child = childElements(node).find(
+    (element) => element.tagName === tagName
+  );
+  return child
+    ? getContentText(tree, child, { root: node, inContent: true })
+    : "";
+}
+
+// Native text alternative of an element, as [name, source]
+function getNativeName(tree, node, context) {
+  const { tagName, attributes } = node;
+  const type = (attributes.type || "").trim().toLowerCase();
+
+  if (LABELABLE_TAGS.includes(tagName) && !context.inContent) {
+    const labels = [
+      ...(attributes.id ? getLabelsFor(tree, attributes.id) : []),
+      ...ancestors(node).filter((ancestor) => ancestor.tagName === "label"),
+    ];
+    const label = [...new Set(labels)]
+      .map((element) =>
+        getContentText(tree, element, { ...context, inContent: true })
+      )
+      .join(" ");
+    if (collapse(label)) return [label, "label"];
+  }
+
+  if (tagName === "input" && ["button", "submit", "reset"].includes(type)) {
+    return [attributes.value || DEFAULT_BUTTON_NAMES[type] || "", "value"];
+  }
+  if (tagName === "img" || tagName === "area" || type === "image") {
+    if (attributes.alt !== undefined) return [attributes.alt, "alt"];
+  }
+  if (tagName === "fieldset")
+    return [getChildText(tree, node, "legend"), "legend"];
+  if (tagName === "table")
+    return [getChildText(tree, node, "caption"), "caption"];
+  if (tagName === "figure") {
+    return [getChildText(tree, node, "figcaption"), "figcaption"];
+  }
+  if (tagName === "svg") return [getChildText(tree, node, "title"), "title"];
+  return ["", null];
+}
+
+// Steps of the computation; `context` tracks the traversal: the element
+// named first (`root`) and whether the element is named as part of a
+// label, a reference or content (`inContent`). References are only
+// followed from the root, which avoids cycles.
+function computeName(tree, node, context) {
+  const { root, inContent } = context;
+  const { attributes } = node;
+
+  if (!inContent && attributes["aria-labelledby"]) {
+    const name = getReferences(tree, node, "aria-labelledby")
+      .map((element) =>
+        getContentText(tree, element, { root, inContent: true })
+      )
+      .join(" ");
+    if (collapse(name)) return { name, from: "aria-labelledby" };
+  }
+
+  // The named form field is left out of its own wrapping label, other
+  // form fields inside a label add their value to the label's text
+  if (inContent && node === root) return { name: "", from: null };
+  if (inContent && ["input", "select", "textarea"].includes(node.tagName)) {
+    return { name: getEmbeddedValue(node), from: "value" };
+  }
+
+  const label = collapse(attributes["aria-label"]);
+  if (label) return { name: label, from: "aria-label" };
+
+  const [nativeName, source] = getNativeName(tree, node, context);
+  if (source && (collapse(nativeName) || source === "alt")) {
+    return { name: nativeName, from: source };
+  }
+
+  const role = getExplicitRole(node) || getImplicitRole(node);
+  if (inContent || NAME_FROM_CONTENT_ROLES.includes(role)) {
+    const content = getContentText(tree, node, context);
+    if (collapse(content)) return { name: content, from: "contents" };
+  }
+
+  if (collapse(attributes.title)) {
+    return { name: attributes.title, from: "title" };
+  }
+  const placeholder = collapse(
+    attributes.placeholder || attributes["aria-placeholder"]
+  );
+  if (placeholder) return { name: placeholder, from: "placeholder" };
+
+  return { name: "", from: null };
+}
+
+/**
+ * Accessible name of an element, and where it comes from.
+ * @param {object} tree see buildTree()
+ * @param {object} node element (see parser.js)
+ * @returns {{ name: string, from: string | null }} `name` with whitespace
+ *   collapsed, "" when the element has no name; `from` is "aria-labelledby",
+ *   "aria-label", "label", "alt", "value", "legend", "caption",
+ *   "figcaption", "title", "contents" or "placeholder", null without name
+ */
+function describeAccessibleName(tree, node) {
+  const { name, from } = computeName(tree, node, {
+    root: node,
+    inContent: false,
+  });
+  const collapsed = collapse(name);
+  return { name: collapsed, from: collapsed || from === "alt" ? from : null };
+}
+
+/**
+ * Accessible name of an element.
+ * @param {object} tree see buildTree()
+ * @param {object} node element (see parser.js)
+ * @returns {string} "" when the element has no name
+ */
+function getAccessibleName(tree, node) {
+  return describeAccessibleName(tree, node).name;
+}
+
+/**
+ * Accessible description of an element: the content of the elements
+ * aria-describedby refers to, aria-description, or its title when the title
+ * is not its name.
+ * @param {object} tree see buildTree()
+ * @param {object} node element (see parser.js)
+ * @returns {string} "" when the element has no description
+ */
+function getAccessibleDescription(tree, node) {
+  const described = collapse(
+    getReferences(tree, node, "aria-describedby")
+      .map((element) =>
+        getContentText(tree, element, { root: node, inContent: true })
+      )
+      .join(" ")
+  );
+  if (described) return described;
+
+  const description = collapse(node.attributes["aria-description"]);
+  if (description) return description;
+
+  return describeAccessibleName(tree, node).from === "title"
+    ? ""
+    : collapse(node.attributes.title);
+}
+
+module.exports = {
+  NAME_FROM_CONTENT_ROLES,
+  NAME_REQUIRED_ROLES,
+  getElementById,
+  isHidden,
+  isHiddenInTree,
+  getExplicitRole,
+  getRole,
+  describeAccessibleName,
+  getAccessibleName,
+  getAccessibleDescription,
+};
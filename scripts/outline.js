@@ -0,0 +1,234 @@
+// outline.js
+
+const { walk } = require("./parser");
+const { isHidden, getAccessibleName } = require("./names");
+
+/**
+ * Heading outline of a document: its headings (<h1>–<h6> and elements with
+ * role="heading") nested by level, and the problems of the hierarchy. The
+ * structure rules (R28, R30, R31, R65, R83, R84, R85) report these problems
+ * and the Accessibility Outline view of the extension shows the outline.
+ *
+ * Problem kinds:
+ * - "no-headings": a page (with a <body>) without any heading
+ * - "missing-h1": a page with headings but no level 1 heading
+ * - "multiple-h1": each level 1 heading after the first one
+ * - "skipped-level": a heading more than one level below the previous one,
+ *   e.g. an <h4> right after an <h2>
+ * - "empty-heading": a heading without text or text alternative
+ * - "section-without-heading": a <section> or <article> without heading
+ *
+ * Hidden elements and their content are left out of the outline.
+ */
+
+const HEADING_TAGS = ["h1", "h2", "h3", "h4", "h5", "h6"];
+
+// Sectioning elements expected to have a heading
+const SECTION_TAGS = ["section", "article"];
+
+// Outlines of parsed trees, computed once for every rule of a check
+const outlines = new WeakMap();
+
+// Problem kinds by node, of each outline
+const problemIndexes = new WeakMap();
+
+/**
+ * Level of a heading element.
+ * @param {object} node element (see parser.js)
+ * @returns {number | null} 1 to 6 (aria-level for role="heading", 2 by
+ *   default); null when the element is not a heading
+ */
+function getHeadingLevel(node) {
+  if (node.type !== "element") return null;
+  const role = (node.attributes.role || "").trim().toLowerCase();
+  if (role === "presentation" || role === "none") return null;
+
+  if (role === "heading") {
+    const level = parseInt(node.attributes["aria-level"], 10);
+    return level >= 1 ? Math.min(level, 6) : 2;
+  }
+  const index = HEADING_TAGS.indexOf(node.tagName);
+  return index === -1 ? null : index + 1;
+}
+
+// Whether an element contains another one
+const contains = (ancestor, node) =>
+  node.start >= ancestor.start && node.end <= ancestor.end && node !== ancestor;
+
+/**
+ * Computes the heading outline of a parsed document.
+ * @param {{ document: object, elements: object[] }} tree see buildTree()
+ * @returns {{ headings: object[], roots: object[], problems: object[] }}
+ *   `headings` in document order, as { node, level, text, children };
+ *   `roots` the top-level headings with the lower ones nested in their
+ *   `children`; `problems` as { kind, node, message }, node being the
+ *   heading, the <body> or the section
+ */
+function getOutline(tree) {
+  if (outlines.has(tree)) return outlines.get(tree);
+
+  const headings = [];
+  const sections = [];
+  walk(tree.document, (node) => {
+    if (node.type !== "element") return undefined;
+    if (isHidden(node)) return false;
+    if (SECTION_TAGS.includes(node.tagName)) sections.push(node);
+
+    const level = getHeadingLevel(node);
+    if (level) {
+      headings.push({
+        node,
+        level,
+        text: getAccessibleName(tree, node),
+        children: [],
+      });
+      // Headings do not nest
+      return false;
+    }
+    return undefined;
+  });
+
+  const roots = [];
+  const open = [];
+  headings.forEach((heading) => {
+    while (open.length > 0 && open[open.length - 1].level >= heading.level) {
+      open.pop();
+    }
+    (open.length > 0 ? open[open.length - 1].children : roots).push(heading);
+    open.push(heading);
+  });
+
+  const problems = [];
+  const body = tree.elements.find(({ tagName }) => tagName === "body");
+  const firstLevels = headings.filter(({ level }) => level === 1);
+
+  if (body && headings.length === 0) {
+    problems.push({
+      kind: "no-headings",
+      node: body,
+      message: "The page has no headings",
+    });
+  } else if (body && firstLevels.length === 0) {
+    problems.push({
+      kind: "missing-h1",
+      node: body,
+      message: "The page has no level 1 heading",
+    });
+  }
+
+  headings.forEach((heading, index) => {
+    const previous = headings[index - 1];
+    if (heading.level === 1 && firstLevels[0] !== heading) {
+      problems.push({
+        kind: "multiple-h1",
+        node: heading.node,
+        message: "Another level 1 heading",
+      });
+    }
+    if (previous && heading.level > previous.level + 1) {
+      problems.push({
+        kind: "skipped-level",
+        node: heading.node,
+        message: `Level ${heading.level} heading after a level ${previous.level} heading`,
+      });
+    }
+    if (!heading.text) {
+      problems.push({
+        kind: "empty-heading",
+        node: heading.node,
+        message: "Empty heading",
+      });
+    }
+  });
+
+  sections
+    .filter((node) => !headings.some((heading) => contains(node, heading.node)))
+    .forEach((node) =>
+      problems.push({
+        kind: "section-without-heading",
+        node,
+        message: `<${node.tagName}> without heading`,
+      })
+    );
+
+  const outline = { headings, roots, problems };
+  outlines.set(tree, outline);
+  return outline;
+}
+
+/**
+ * Whether an element has a problem of the outline.
+ * @param {object} tree see buildTree()
+ * @param {object} [node] element of the tree
+ * @param {string} kind problem kind
+ * @returns {boolean}
+ */
+function hasOutlineProblem(tree, node, kind) {
+  if (!node) return false;
+
+  const outline = getOutline(tree);
+  if (!problemIndexes.has(outline)) {
+    const kindsByNode = new Map();
+    outline.problems.forEach((problem) => {
+      if (!kindsByNode.has(problem.node)) {
+        kindsByNode.set(problem.node, new Set());
+      }
+      kindsByNode.get(problem.node).add(problem.kind);
+    });
+    problemIndexes.set(outline, kindsByNode);
+  }
+  const kinds = problemIndexes.get(outline).get(node);
+  return Boolean(kinds) && kinds.has(kind);
+}
+
+/**
+ * Plain outline, e.g. to send it to a client: headings with their nested
+ * headings, problems and 0-based range, and the problems of the page and
+ * of its sections.
+ * @param {object} tree see buildTree()
+ * @param {(offset: number) => { line: number, character: number }} positionAt
+ *   see checker.js
+ * @returns {{ headings: object[], problems: object[] }}
+ */
+function describeOutline(tree, positionAt) {
+  const { roots, problems } = getOutline(tree);
+  const toRange = (node) => ({
+    start: positionAt(node.start),
+    end: positionAt(node.end),
+  });
+  const problemsOf = (node) =>
+    problems
+      .filter((problem) => problem.node === node)
+      .map(({ kind, message }) => ({ kind, message }));
+
+  const describe = ({ node, level, text, children }) => ({
+    level,
+    text,
+    tagName: node.tagName,
+    range: toRange(node),
+    problems: problemsOf(node),
+    children: children.map(describe),
+  });
+
+  const headingNodes = new Set(
+    getOutline(tree).headings.map(({ node }) => node)
+  );
+  return {
+    headings: roots.map(describe),
+    problems: problems
+      .filter(({ node }) => !headingNodes.has(node))
+      .map(({ kind, message, node }) => ({
+        kind,
+        message,
+        range: toRange(node),
+      })),
+  };
+}
+
+module.exports = {
+  HEADING_TAGS,
+  getHeadingLevel,
+  getOutline,
+  hasOutlineProblem,
+  describeOutline,
+};
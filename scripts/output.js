@@ -0,0 +1,120 @@
+// output.js
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Where the extension saves its reports: a directory relative to the
+ * workspace folder of the checked files (or absolute), a file name pattern,
+ * and an optional history of timestamped runs instead of overwriting the
+ * last one.
+ */
+
+// Characters not allowed in file names on Windows, macOS or Linux
+const UNSAFE_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f]/g;
+
+// Timestamp of a history report, e.g. 2026-10-19T07-16-10-123Z
+const formatTimestamp = (date) => date.toISOString().replace(/[:.]/g, "-");
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Expands the ${variables} of a file name pattern. Unknown variables are
+ * kept as they are; path separators in values (e.g. of ${relativeFile})
+ * become "_" so every report stays in the report directory.
+ * @param {string} pattern e.g. "${fileBasenameNoExtension}.a11y"
+ * @param {Object<string, string>} variables e.g. fileBasename,
+ *   fileBasenameNoExtension, relativeFile and workspaceFolderBasename
+ * @returns {string}
+ */
+function expandFileName(pattern, variables) {
+  return pattern
+    .replace(/\$\{(\w+)\}/g, (match, name) =>
+      variables[name] === undefined
+        ? match
+        : String(variables[name]).replace(UNSAFE_CHARACTERS, "_")
+    )
+    .replace(UNSAFE_CHARACTERS, "_");
+}
+
+/**
+ * Path of a report.
+ * @param {string} folderPath workspace folder a relative directory starts from
+ * @param {{ directory?: string, history?: boolean }} settings
+ * @param {string} baseName expanded file name, without extension
+ * @param {string} extension e.g. ".json"
+ * @param {Date} [date] time of the run, in the name of history reports
+ * @returns {string}
+ */
+function getReportPath(
+  folderPath,
+  { directory, history },
+  baseName,
+  extension,
+  date = new Date()
+) {
+  const fileName = history
+    ? `${baseName}.${formatTimestamp(date)}${extension}`
+    : `${baseName}${extension}`;
+  return path.join(path.resolve(folderPath, directory || "."), fileName);
+}
+
+/**
+ * Deletes the oldest history reports of a name beyond a limit.
+ * @param {string} directory
+ * @param {string} baseName
+ * @param {string} extension
+ * @param {number} limit reports kept; 0 keeps every report
+ * @returns {string[]} paths of the deleted reports
+ */
+function pruneHistory(directory, baseName, extension, limit) {
+  if (!limit || !fs.existsSync(directory)) return [];
+
+  const pattern = new RegExp(
+    `^${escapeRegExp(baseName)}\\.\\d{4}-\\d\\d-\\d\\dT[\\d-]+Z${escapeRegExp(
+      extension
+    )}$`
+  );
+  const runs = fs
+    .readdirSync(directory)
+    .filter((name) => pattern.test(name))
+    .sort();
+
+  return runs.slice(0, Math.max(0, runs.length - limit)).map((name) => {
+    const filePath = path.join(directory, name);
+    fs.unlinkSync(filePath);
+    return filePath;
+  });
+}
+
+/**
+ * Writes a JSON report, creating its directory, and prunes the history.
+ * @param {string} folderPath see getReportPath()
+ * @param {{ directory?: string, history?: boolean, historyLimit?: number }} settings
+ * @param {string} baseName
+ * @param {string} extension
+ * @param {object} output report to serialize
+ * @returns {string} path of the written report
+ */
+function writeReportFile(folderPath, settings, baseName, extension, output) {
+  const filePath = getReportPath(folderPath, settings, baseName, extension);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(output, null, 2), "utf-8");
+
+  if (settings.history) {
+    pruneHistory(
+      path.dirname(filePath),
+      baseName,
+      extension,
+      settings.historyLimit
+    );
+  }
+  return filePath;
+}
+
+module.exports = {
+  expandFileName,
+  getReportPath,
+  pruneHistory,
+  writeReportFile,
+};
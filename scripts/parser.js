@@ -0,0 +1,430 @@
+// parser.js
+
+/**
+ * Lightweight, forgiving HTML parser used by the semantic checker.
+ *
+ * It builds a DOM-like tree in a single pass over the raw document text and
+ * keeps the source offsets of every node so rules can reason about nesting
+ * (parent, children, attributes) and the checker can map issues back to the
+ * original text. It is not a spec-complete HTML5 parser: it only implements
+ * the recovery behaviour needed for real-world markup (void elements, raw
+ * text elements, implied end tags and stray closing tags).
+ *
+ * Node shape:
+ * - type: "document" | "element" | "text" | "comment" | "doctype"
+ * - tagName: lower-cased tag name (elements only)
+ * - attributes: map of lower-cased attribute name to value ("" when boolean),
+ *   without prototype so `name in attributes` only finds attributes
+ * - attrs: list of { name, value, start, end } in source order
+ * - start / end: offsets of the whole node in the source text
+ * - openTagEnd: offset right after the opening tag's ">"
+ * - closeTagStart: offset of the closing tag (null when implied or void)
+ * - parent / children: tree links
+ */
+
+const VOID_ELEMENTS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "param",
+  "source",
+  "track",
+  "wbr",
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(["script", "style", "textarea", "title"]);
+
+// Opening one of these tags implicitly closes an open element of the listed names.
+const IMPLIED_END_TAGS = {
+  li: ["li"],
+  dt: ["dt", "dd"],
+  dd: ["dt", "dd"],
+  tr: ["tr", "td", "th"],
+  td: ["td", "th"],
+  th: ["td", "th"],
+  thead: ["tbody", "tfoot"],
+  tbody: ["thead", "tbody", "tfoot"],
+  tfoot: ["thead", "tbody"],
+  option: ["option"],
+  optgroup: ["optgroup", "option"],
+};
+
+// Block-level elements that close an open <p>.
+const CLOSES_PARAGRAPH = new Set([
+  "address",
+  "article",
+  "aside",
+  "blockquote",
+  "details",
+  "div",
+  "dl",
+  "fieldset",
+  "figcaption",
+  "figure",
+  "footer",
+  "form",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "header",
+  "hr",
+  "main",
+  "nav",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "table",
+  "ul",
+]);
+
+// Implied end tags never cross these boundaries (e.g. a nested list).
+const SCOPE_BOUNDARIES = new Set(["ul", "ol", "dl", "table", "select"]);
+
+const TAG_NAME = /[A-Za-z][^\s/>]*/y;
+const ATTRIBUTE =
+  /\s*([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+
+function createNode(type, start, extra) {
+  return { type, start, end: start, parent: null, children: [], ...extra };
+}
+
+function appendChild(parent, node) {
+  node.parent = parent;
+  parent.children.push(node);
+}
+
+/**
+ * Parses an opening tag starting at `start` (which points at "<").
+ * Returns null when the text at `start` is not a tag.
+ */
+function parseOpeningTag(text, start) {
+  TAG_NAME.lastIndex = start + 1;
+  const nameMatch = TAG_NAME.exec(text);
+  if (!nameMatch) return null;
+
+  const attrs = [];
+  let cursor = TAG_NAME.lastIndex;
+  let selfClosing = false;
+
+  while (cursor < text.length) {
+    const char = text[cursor];
+    if (char === ">") {
+      cursor++;
+      break;
+    }
+    if (char === "/" && text[cursor + 1] === ">") {
+      selfClosing = true;
+      cursor += 2;
+      break;
+    }
+    if (char === "<") {
+      // Unterminated tag: stop before the next tag begins.
+      break;
+    }
+
+    ATTRIBUTE.lastIndex = cursor;
+    const attrMatch = ATTRIBUTE.exec(text);
+    if (!attrMatch || attrMatch[0].length === 0) {
+      cursor++;
+      continue;
+    }
+
+    const [whole, name, doubleQuoted, singleQuoted, unquoted] = attrMatch;
+    const leading = whole.length - whole.trimStart().length;
+    attrs.push({
+      name: name.toLowerCase(),
+      value: doubleQuoted ?? singleQuoted ?? unquoted ?? "",
+      start: cursor + leading,
+      end: cursor + whole.length,
+    });
+    cursor += whole.length;
+  }
+
+  return {
+    tagName: nameMatch[0].toLowerCase(),
+    attrs,
+    selfClosing,
+    end: cursor,
+  };
+}
+
+function closeElement(element, end, closeTagStart) {
+  element.end = end;
+  element.closeTagStart = closeTagStart;
+}
+
+/**
+ * Parses `text` into a document tree.
+ * @param {string} text raw HTML source
+ * @returns {object} the document node
+ */
+function parseHTML(text) {
+  const document = createNode("document", 0, { end: text.length });
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+
+  // Closes every open element above (and including) stack[index].
+  const popTo = (index, end, closeTagStart = null) => {
+    while (stack.length > index) {
+      const element = stack.pop();
+      const isTarget = stack.length === index;
+      if (isTarget) closeElement(element, end, closeTagStart);
+      else closeElement(element, closeTagStart ?? end, null);
+    }
+  };
+
+  // Nearest open element with one of `names`.
+  const findOpen = (names) => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (names.includes(stack[i].tagName)) return i;
+    }
+    return -1;
+  };
+
+  // Outermost open element with one of `names` inside the current scope, so
+  // that e.g. a new <tr> closes the previous row and not just its last cell.
+  const findImplied = (names) => {
+    let found = -1;
+    for (let i = stack.length - 1; i > 0; i--) {
+      const { tagName } = stack[i];
+      if (names.includes(tagName)) found = i;
+      else if (SCOPE_BOUNDARIES.has(tagName)) break;
+    }
+    return found;
+  };
+
+  let textStart = 0;
+  const flushText = (end) => {
+    if (end > textStart) {
+      const node = createNode("text", textStart, {
+        end,
+        value: text.slice(textStart, end),
+      });
+      appendChild(current(), node);
+    }
+  };
+
+  let index = 0;
+  while (index < text.length) {
+    const lt = text.indexOf("<", index);
+    if (lt === -1) break;
+
+    if (text.startsWith("<!--", lt)) {
+      flushText(lt);
+      const close = text.indexOf("-->", lt + 4);
+      const end = close === -1 ? text.length : close + 3;
+      appendChild(
+        current(),
+        createNode("comment", lt, {
+          end,
+          value: text.slice(lt + 4, close === -1 ? text.length : close),
+        })
+      );
+      index = textStart = end;
+      continue;
+    }
+
+    if (text[lt + 1] === "!" || text[lt + 1] === "?") {
+      flushText(lt);
+      const close = text.indexOf(">", lt);
+      const end = close === -1 ? text.length : close + 1;
+      appendChild(
+        current(),
+        createNode("doctype", lt, { end, value: text.slice(lt, end) })
+      );
+      index = textStart = end;
+      continue;
+    }
+
+    if (text[lt + 1] === "/") {
+      TAG_NAME.lastIndex = lt + 2;
+      const nameMatch = TAG_NAME.exec(text);
+      if (!nameMatch) {
+        index = lt + 1;
+        continue;
+      }
+      flushText(lt);
+      const close = text.indexOf(">", TAG_NAME.lastIndex);
+      const end = close === -1 ? text.length : close + 1;
+      const openIndex = findOpen([nameMatch[0].toLowerCase()]);
+      // Stray closing tags without a matching open element are ignored.
+      if (openIndex !== -1) popTo(openIndex, end, lt);
+      index = textStart = end;
+      continue;
+    }
+
+    const tag = parseOpeningTag(text, lt);
+    if (!tag) {
+      index = lt + 1;
+      continue;
+    }
+    flushText(lt);
+
+    const implied = IMPLIED_END_TAGS[tag.tagName];
+    if (implied) {
+      const openIndex = findImplied(implied);
+      if (openIndex !== -1) popTo(openIndex, lt);
+    }
+    if (CLOSES_PARAGRAPH.has(tag.tagName)) {
+      const openIndex = findImplied(["p"]);
+      if (openIndex !== -1) popTo(openIndex, lt);
+    }
+
+    const attributes = Object.create(null);
+    tag.attrs.forEach(({ name, value }) => {
+      if (!(name in attributes)) attributes[name] = value;
+    });
+
+    const element = createNode("element", lt, {
+      tagName: tag.tagName,
+      attributes,
+      attrs: tag.attrs,
+      openTagEnd: tag.end,
+      closeTagStart: null,
+      end: tag.end,
+    });
+    appendChild(current(), element);
+    index = textStart = tag.end;
+
+    if (VOID_ELEMENTS.has(tag.tagName) || tag.selfClosing) continue;
+
+    if (RAW_TEXT_ELEMENTS.has(tag.tagName)) {
+      const closePattern = new RegExp(`</${tag.tagName}\\s*>`, "ig");
+      closePattern.lastIndex = tag.end;
+      const closeMatch = closePattern.exec(text);
+      const contentEnd = closeMatch ? closeMatch.index : text.length;
+      if (contentEnd > tag.end) {
+        appendChild(
+          element,
+          createNode("text", tag.end, {
+            end: contentEnd,
+            value: text.slice(tag.end, contentEnd),
+          })
+        );
+      }
+      closeElement(
+        element,
+        closeMatch ? closePattern.lastIndex : text.length,
+        closeMatch ? closeMatch.index : null
+      );
+      index = textStart = element.end;
+      continue;
+    }
+
+    stack.push(element);
+  }
+
+  flushText(text.length);
+  popTo(1, text.length);
+  return document;
+}
+
+/**
+ * Builds lookup helpers on top of a parsed document.
+ * @param {string} text raw HTML source
+ * @returns {{ document: object, elements: object[], elementAt: (offset: number) => object | undefined }}
+ */
+function buildTree(text) {
+  const document = parseHTML(text);
+  const elements = [];
+  const byStart = new Map();
+
+  walk(document, (node) => {
+    if (node.type === "element") {
+      elements.push(node);
+      byStart.set(node.start, node);
+    }
+  });
+
+  return {
+    document,
+    elements,
+    elementAt: (offset) => byStart.get(offset),
+  };
+}
+
+/**
+ * Depth-first, pre-order traversal. Returning false from `visit` skips the
+ * node's children.
+ */
+function walk(node, visit) {
+  if (visit(node) === false) return;
+  node.children.forEach((child) => walk(child, visit));
+}
+
+function childElements(node) {
+  return node.children.filter((child) => child.type === "element");
+}
+
+function ancestors(node) {
+  const result = [];
+  for (
+    let parent = node.parent;
+    parent && parent.type === "element";
+    parent = parent.parent
+  ) {
+    result.push(parent);
+  }
+  return result;
+}
+
+function closest(node, tagNames) {
+  return ancestors(node).find((ancestor) =>
+    tagNames.includes(ancestor.tagName)
+  );
+}
+
+function findAll(node, tagNames) {
+  const result = [];
+  node.children.forEach((child) =>
+    walk(child, (descendant) => {
+      if (
+        descendant.type === "element" &&
+        tagNames.includes(descendant.tagName)
+      ) {
+        result.push(descendant);
+      }
+    })
+  );
+  return result;
+}
+
+function textContent(node) {
+  if (node.type === "text") return node.value;
+  if (node.type !== "element" && node.type !== "document") return "";
+  if (node.tagName === "script" || node.tagName === "style") return "";
+  return node.children.map(textContent).join("");
+}
+
+function hasAttribute(node, name) {
+  return Boolean(node.attributes) && Object.hasOwn(node.attributes, name);
+}
+
+function getAttribute(node, name) {
+  return hasAttribute(node, name) ? node.attributes[name] : undefined;
+}
+
+module.exports = {
+  VOID_ELEMENTS,
+  parseHTML,
+  buildTree,
+  walk,
+  childElements,
+  ancestors,
+  closest,
+  findAll,
+  textContent,
+  hasAttribute,
+  getAttribute,
+};
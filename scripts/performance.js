@@ -0,0 +1,111 @@
+// performance.js
+
+/**
+ * Collects the rule timings and errors of checkDocument() results (see
+ * checker.js) over a session, to find the rules that make checks slow.
+ */
+
+/**
+ * Creates an empty collection.
+ * @returns {{ record: (result: object) => void, getSummary: () => object[], reset: () => void }}
+ *   `record` adds the ruleTimings and ruleErrors of a checkDocument() result;
+ *   `getSummary` returns one entry per rule, slowest (by total time) first
+ */
+function createRulePerformance() {
+  const stats = new Map();
+
+  const statsFor = (ruleId) => {
+    if (!stats.has(ruleId)) {
+      stats.set(ruleId, {
+        ruleId,
+        runs: 0,
+        total: 0,
+        max: 0,
+        failures: 0,
+        timeouts: 0,
+        lastError: null,
+      });
+    }
+    return stats.get(ruleId);
+  };
+
+  return {
+    record({ ruleTimings = [], ruleErrors = [] }) {
+      ruleTimings.forEach(({ ruleId, duration }) => {
+        const entry = statsFor(ruleId);
+        entry.runs++;
+        entry.total += duration;
+        entry.max = Math.max(entry.max, duration);
+      });
+      ruleErrors.forEach(({ ruleId, message, timedOut }) => {
+        const entry = statsFor(ruleId);
+        if (timedOut) entry.timeouts++;
+        else entry.failures++;
+        entry.lastError = message;
+      });
+    },
+
+    getSummary() {
+      return [...stats.values()]
+        .map((entry) => ({
+          ...entry,
+          average: entry.runs > 0 ? entry.total / entry.runs : 0,
+        }))
+        .sort((a, b) => b.total - a.total);
+    },
+
+    reset() {
+      stats.clear();
+    },
+  };
+}
+
+const formatMs = (duration) => `${duration.toFixed(1)} ms`;
+
+/**
+ * Formats a summary as plain text: the slowest rules, then every rule that
+ * threw or ran out of time.
+ * @param {object[]} summary see createRulePerformance().getSummary()
+ * @param {number} [limit] number of slow rules to list
+ * @returns {string}
+ */
+function formatRulePerformance(summary, limit = 15) {
+  if (summary.length === 0) {
+    return "No documents checked yet in this session.";
+  }
+
+  const lines = [`Slowest rules (top ${Math.min(limit, summary.length)}):`];
+  summary.slice(0, limit).forEach(({ ruleId, runs, total, average, max }) => {
+    lines.push(
+      `  ${ruleId.padEnd(8)} total ${formatMs(total).padStart(10)}  average ${formatMs(
+        average
+      ).padStart(9)}  max ${formatMs(max).padStart(9)}  (${runs} run${
+        runs === 1 ? "" : "s"
+      })`
+    );
+  });
+
+  const failed = summary.filter(
+    ({ failures, timeouts }) => failures + timeouts > 0
+  );
+  lines.push("");
+  if (failed.length === 0) {
+    lines.push("No rule failed or ran out of time.");
+  } else {
+    lines.push("Failed rules:");
+    failed.forEach(({ ruleId, failures, timeouts, lastError }) => {
+      lines.push(
+        `  ${ruleId.padEnd(8)} ${failures} error${
+          failures === 1 ? "" : "s"
+        }, ${timeouts} timeout${timeouts === 1 ? "" : "s"}: ${lastError}`
+      );
+    });
+  }
+
+  return lines.join("\n");
+}
+
+module.exports = {
+  createRulePerformance,
+  formatRulePerformance,
+};
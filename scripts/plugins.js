@@ -0,0 +1,194 @@
+// plugins.js
+
+const fs = require("fs");
+const path = require("path");
+const { LEVELS, CONFIDENCE_LEVELS, SUCCESS_CRITERIA } = require("./wcag");
+
+/**
+ * Custom rules loaded from the workspace or npm packages, listed in the
+ * "plugins" of a configuration file (see config.js):
+ *
+ * { "plugins": ["./a11y/design-system-rules.js", "semantic-checker-plugin-acme"] }
+ *
+ * A plugin module exports a rule, an array of rules or { rules: [...] }.
+ * Custom rules have the same shape as the built-in rules (see rules.js),
+ * except that their id must be namespaced ("ds/modal-labelledby") so it
+ * never collides with a built-in id:
+ *
+ * module.exports = {
+ *   rules: [
+ *     {
+ *       id: "ds/modal-labelledby",
+ *       tag: "ds-modal",
+ *       level: "A",
+ *       wcag: ["4.1.2"],
+ *       regex: /<ds-modal\b[^>]*>/g,
+ *       message: "Modal missing aria-labelledby",
+ *       validate: (tag, doc, node) =>
+ *         Boolean(node) && !node.attributes["aria-labelledby"],
+ *       recommendation: "Point aria-labelledby to the modal title.",
+ *     },
+ *   ],
+ * };
+ *
+ * Severities are configured like for built-in rules:
+ * "rules": { "ds/modal-labelledby": "error" }
+ */
+
+const CUSTOM_RULE_ID = /^[\w-]+\/[\w-]+$/;
+
+// Rules of every loaded plugin by id, so issues can be traced back to them
+const registry = new Map();
+
+// Loaded plugin modules, reloaded when the file changes
+const cache = new Map();
+
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+/**
+ * Checks a custom rule against the rule API.
+ * @param {object} rule
+ * @returns {string[]} problems, empty when the rule is valid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== "object") return ["must be an object"];
+
+  const problems = [];
+  // Built-in ids (R1, R2, ...) are never namespaced, so they cannot clash
+  if (typeof rule.id !== "string" || !CUSTOM_RULE_ID.test(rule.id)) {
+    problems.push('"id" must be a namespaced string like "ds/modal-label"');
+  }
+  if (!(rule.regex instanceof RegExp) || !rule.regex.global) {
+    problems.push('"regex" must be a regular expression with the g flag');
+  }
+  if (typeof rule.validate !== "function") {
+    problems.push('"validate" must be a function');
+  }
+  if (!LEVELS.includes(rule.level)) {
+    problems.push(`"level" must be one of ${LEVELS.join(", ")}`);
+  }
+  ["message", "recommendation"].forEach((field) => {
+    if (typeof rule[field] !== "string" || rule[field].trim() === "") {
+      problems.push(`"${field}" must be a non-empty string`);
+    }
+  });
+  if (rule.autofix !== undefined && typeof rule.autofix !== "function") {
+    problems.push('"autofix" must be a function');
+  }
+  if (
+    rule.wcag !== undefined &&
+    (!isStringArray(rule.wcag) ||
+      !rule.wcag.every((id) => id in SUCCESS_CRITERIA))
+  ) {
+    problems.push('"wcag" must list known success criteria, e.g. ["1.1.1"]');
+  }
+  ["techniques", "tags"].forEach((field) => {
+    if (rule[field] !== undefined && !isStringArray(rule[field])) {
+      problems.push(`"${field}" must be an array of strings`);
+    }
+  });
+  if (
+    rule.confidence !== undefined &&
+    !CONFIDENCE_LEVELS.includes(rule.confidence)
+  ) {
+    problems.push(
+      `"confidence" must be one of ${CONFIDENCE_LEVELS.join(", ")}`
+    );
+  }
+  if (rule.docs !== undefined && typeof rule.docs !== "string") {
+    problems.push('"docs" must be a string');
+  }
+
+  return problems;
+}
+
+// Requires a plugin module, again when its file changed since the last load
+function requirePlugin(filePath) {
+  const { mtimeMs } = fs.statSync(filePath);
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.exports;
+
+  delete require.cache[filePath];
+  const exports = require(filePath);
+  cache.set(filePath, { mtimeMs, exports });
+  return exports;
+}
+
+/**
+ * Loads the rules of a plugin. A broken plugin or rule does not stop the
+ * others from loading: its problems are returned as errors instead.
+ * @param {string} entry relative path or package name
+ * @param {string} fromDirectory directory of the configuration file listing it
+ * @returns {{ rules: object[], errors: string[] }}
+ */
+function loadPlugin(entry, fromDirectory) {
+  let filePath;
+  try {
+    filePath = require.resolve(
+      entry.startsWith(".") ? path.resolve(fromDirectory, entry) : entry,
+      { paths: [fromDirectory] }
+    );
+  } catch {
+    return { rules: [], errors: [`Cannot find plugin "${entry}"`] };
+  }
+
+  let exports;
+  try {
+    exports = requirePlugin(filePath);
+  } catch (error) {
+    return {
+      rules: [],
+      errors: [`Plugin "${entry}" failed to load: ${error.message}`],
+    };
+  }
+
+  const candidates = Array.isArray(exports)
+    ? exports
+    : exports && Array.isArray(exports.rules)
+      ? exports.rules
+      : [exports];
+  const rules = [];
+  const errors = [];
+
+  candidates.forEach((rule, index) => {
+    const name =
+      (rule && typeof rule.id === "string" && rule.id) || `#${index}`;
+    const problems = validateRule(rule);
+    const registered = registry.get(rule && rule.id);
+    if (
+      problems.length === 0 &&
+      registered &&
+      registered.filePath !== filePath
+    ) {
+      problems.push(`"id" is already used by ${registered.filePath}`);
+    }
+
+    if (problems.length > 0) {
+      errors.push(
+        `Invalid rule ${name} in plugin "${entry}": ${problems.join("; ")}`
+      );
+      return;
+    }
+    registry.set(rule.id, { rule, filePath });
+    rules.push(rule);
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Looks up a loaded custom rule by its id.
+ * @param {string} ruleId
+ * @returns {object | undefined}
+ */
+function findCustomRule(ruleId) {
+  const registered = registry.get(ruleId);
+  return registered && registered.rule;
+}
+
+module.exports = {
+  validateRule,
+  loadPlugin,
+  findCustomRule,
+};
@@ -0,0 +1,44 @@
+// protocol.js
+
+/**
+ * Requests the language server (see server.js) handles on top of the
+ * Language Server Protocol. Editors other than VS Code get diagnostics,
+ * quick fixes and hovers without them; they back the commands of the
+ * VS Code extension.
+ */
+
+// Time before re-checking a document after it changes
+const CHECK_DELAY_MS = 500;
+
+// Source of the diagnostics the server publishes
+const DIAGNOSTIC_SOURCE = "semantic-checker";
+
+const REQUESTS = {
+  // { uri, useBaseline?, useGitDiff? } => checkDocument result (see
+  // checker.js) with fingerprinted issues and { baselined, unchanged,
+  // ignored }, for an open document or a file on disk; its diagnostics are
+  // published unless a filter is turned off
+  checkDocument: "semanticChecker/checkDocument",
+  // { uri, targets: { ruleId, start, end }[] } =>
+  // { edits: { range, newText, ruleIds, description }[], conflicts }
+  computeFixes: "semanticChecker/computeFixes",
+  // no params => { summary, text } rule timings of the session (see performance.js)
+  rulePerformance: "semanticChecker/rulePerformance",
+  // { uri } => { headings, problems } heading outline of a document (see
+  // outline.js), with 0-based { start, end } ranges
+  documentOutline: "semanticChecker/documentOutline",
+  // { uri } => { landmarks, problems } landmark map of a document (see
+  // landmarks.js), with 0-based { start, end } ranges
+  documentLandmarks: "semanticChecker/documentLandmarks",
+};
+
+// Command opening the documentation of a rule, run through
+// workspace/executeCommand with the rule id as argument
+const OPEN_DOCUMENTATION_COMMAND = "semanticChecker.openDocumentation";
+
+module.exports = {
+  CHECK_DELAY_MS,
+  DIAGNOSTIC_SOURCE,
+  REQUESTS,
+  OPEN_DOCUMENTATION_COMMAND,
+};
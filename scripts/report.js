@@ -0,0 +1,113 @@
+// report.js
+
+/**
+ * Builders for the JSON reports written by the extension and printed by the
+ * command line interface. Lines are 1-based in every report.
+ */
+
+// Counts issues per WCAG level (e.g. { A: 3, AA: 1 })
+function getLevelBreakdown(issues) {
+  return issues.reduce((acc, { level }) => {
+    const lvl = level.toUpperCase();
+    acc[lvl] = (acc[lvl] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+// Counts issues per rule id (e.g. { R1: 2, R7: 1 })
+function getRuleBreakdown(issues) {
+  return issues.reduce((acc, { ruleId }) => {
+    acc[ruleId] = (acc[ruleId] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+// Shapes an issue for the JSON reports
+function toReportIssue(issue) {
+  return {
+    ruleId: issue.ruleId,
+    level: issue.level,
+    message: issue.message,
+    recommendation: issue.recommendation,
+    severity: issue.severity,
+    wcag: (issue.wcag || []).map(({ id }) => id),
+    techniques: (issue.techniques || []).map(({ id }) => id),
+    tags: issue.tags || [],
+    confidence: issue.confidence,
+    docsUrl: issue.codeUrl,
+    startLine: issue.startLine + 1, // 1-based
+    startChar: issue.startChar,
+    endLine: issue.endLine + 1,
+    endChar: issue.endChar,
+  };
+}
+
+// Shapes an unused suppression comment for the JSON reports
+function toReportSuppression(suppression) {
+  return {
+    directive: suppression.directive,
+    ruleIds: suppression.ruleIds,
+    message: suppression.message,
+    startLine: suppression.startLine + 1, // 1-based
+    startChar: suppression.startChar,
+    endLine: suppression.endLine + 1,
+    endChar: suppression.endChar,
+  };
+}
+
+// Report for a single document; `baselined` counts the known issues of the
+// baseline left out (see baseline.js)
+function createDocumentReport(issues, unusedSuppressions = [], baselined = 0) {
+  return {
+    totalIssues: issues.length,
+    baselinedIssues: baselined,
+    breakdownByLevel: getLevelBreakdown(issues),
+    timestamp: new Date().toISOString(),
+    issues: issues.map(toReportIssue),
+    unusedSuppressions: unusedSuppressions.map(toReportSuppression),
+  };
+}
+
+/**
+ * Aggregated report for several documents.
+ * @param {{ file: string, issues: object[], unusedSuppressions?: object[], baselined?: number }[]} files
+ *   checked files, their issues and the number of known issues of the
+ *   baseline left out
+ * @param {boolean} [cancelled] whether the run stopped before checking every file
+ */
+function createWorkspaceReport(files, cancelled = false) {
+  const allIssues = files.flatMap(({ issues }) => issues);
+
+  return {
+    totalFiles: files.length,
+    filesWithIssues: files.filter(({ issues }) => issues.length > 0).length,
+    totalIssues: allIssues.length,
+    baselinedIssues: files.reduce(
+      (sum, { baselined = 0 }) => sum + baselined,
+      0
+    ),
+    breakdownByLevel: getLevelBreakdown(allIssues),
+    breakdownByRule: getRuleBreakdown(allIssues),
+    cancelled,
+    timestamp: new Date().toISOString(),
+    files: files.map(
+      ({ file, issues, unusedSuppressions = [], baselined = 0 }) => ({
+        file,
+        totalIssues: issues.length,
+        baselinedIssues: baselined,
+        breakdownByLevel: getLevelBreakdown(issues),
+        breakdownByRule: getRuleBreakdown(issues),
+        issues: issues.map(toReportIssue),
+        unusedSuppressions: unusedSuppressions.map(toReportSuppression),
+      })
+    ),
+  };
+}
+
+module.exports = {
+  getLevelBreakdown,
+  getRuleBreakdown,
+  toReportIssue,
+  createDocumentReport,
+  createWorkspaceReport,
+};
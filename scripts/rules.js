@@ -1,21 +1,167 @@
 // rules.js
 
+const { childElements, findAll, textContent } = require("./parser");
+const { escapeSnippet } = require("./snippets");
+const { hasOutlineProblem } = require("./outline");
+const { hasLandmarkProblem } = require("./landmarks");
+const {
+  NAME_REQUIRED_ROLES,
+  isHiddenInTree,
+  getExplicitRole,
+  getRole,
+  describeAccessibleName,
+  getAccessibleName,
+  getAccessibleDescription,
+} = require("./names");
+
 /**
  * Accessibility rules for WCAG 2.2 HTML verification.
  * Each rule contains:
  * - id: unique identifier for the rule
  * - tag: HTML tag to check
+ * - level: WCAG conformance level (A, AA or AAA)
+ * - wcag: ids of the success criteria the rule checks (see wcag.js)
+ * - techniques: ids of the related WCAG techniques and failures
+ * - tags: topics, one or more of images, media, forms, tables, structure,
+ *   navigation, color, text, layout, keyboard, language, aria, parsing and
+ *   interaction
+ * - confidence: "definite" when a reported issue is always a failure,
+ *   "needs-manual-review" when it is a hint someone has to confirm
+ * - docs (optional): documentation link, defaults to the Understanding page
+ *   of the first success criterion
  * - regex: pattern to match in the document
  * - message: description of the issue if validation fails
- * - validate: function to evaluate the tag's correctness
+ * - validate: function to evaluate the tag's correctness. It receives
+ *   (tag, doc, node, tree): the matched text, the whole document, the parsed
+ *   element that starts at the match (see parser.js; undefined when the match
+ *   is not an element) and the parsed tree
  * - recommendation: suggestion for fixing the issue
+ * - autofix (optional): receives (tag, node, tree) and returns the fixed tag
+ *   as a snippet (see snippets.js), so placeholders like ${1:description}
+ *   mark the text the user still has to write. It may instead return a list
+ *   of { start, end, text } edits in document offsets when the fix touches
+ *   other elements, and null when there is nothing to change.
  */
 
+const hasChild = (node, tagNames) =>
+  childElements(node).some((child) => tagNames.includes(child.tagName));
+
+// Whether an element exposed to assistive technologies has no accessible
+// name (see names.js)
+const lacksName = (tree, node) =>
+  Boolean(node) && !isHiddenInTree(node) && !getAccessibleName(tree, node);
+
+// Whether an element is a link exposed to assistive technologies
+const isLink = (tree, node) =>
+  Boolean(node) && getRole(tree, node) === "link" && !isHiddenInTree(node);
+
+// Opening tags of landmark elements and of elements with a landmark role
+const LANDMARK_REGEX =
+  /<((header|nav|main|aside|footer|form|section|search)\b|[a-z][\w-]*\s[^>]*\brole\s*=\s*["']?(banner|navigation|main|complementary|contentinfo|form|search|region)\b)[^>]*>/gi;
+
+// Whether a page has a link to its main content, e.g. "Skip to content"
+function hasSkipLink(tree) {
+  return tree.elements.some((node) => {
+    const [, id] = /^#(.+)$/.exec((node.attributes.href || "").trim()) || [];
+    return (
+      node.tagName === "a" &&
+      Boolean(id) &&
+      tree.elements.some(({ attributes }) => attributes.id === id) &&
+      /skip|main|content|jump\s+to|go\s+to/i.test(
+        `${textContent(node)} ${node.attributes["aria-label"] || ""}`
+      )
+    );
+  });
+}
+
+// Elements a <label> can be associated with
+const LABELABLE = [
+  "input",
+  "select",
+  "textarea",
+  "meter",
+  "output",
+  "progress",
+];
+
+const isLabelable = (node) =>
+  LABELABLE.includes(node.tagName) && node.attributes.type !== "hidden";
+
+// Adds an attribute (snippet) right after the tag name of an opening tag
+function addAttribute(tag, attribute) {
+  const [name] = tag.match(/^<[\w-]+/) || [];
+  if (!name) return null;
+  return `${name} ${attribute}${escapeSnippet(tag.slice(name.length))}`;
+}
+
+// Replaces the value of an attribute (snippet) or adds the attribute
+function setAttribute(tag, name, value) {
+  const existing = new RegExp(`(\\s${name}\\s*=\\s*)(["'])[^"']*\\2`, "i");
+  const match = existing.exec(tag);
+  if (!match) return addAttribute(tag, `${name}="${value}"`);
+
+  const before = tag.slice(0, match.index) + match[1];
+  const after = tag.slice(match.index + match[0].length);
+  return `${escapeSnippet(before)}"${value}"${escapeSnippet(after)}`;
+}
+
+// Lowercase words of a text, joined with dashes (for generated ids)
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Autocomplete tokens suggested from the name, id or type of a field
+const AUTOCOMPLETE_HINTS = [
+  [/e-?mail/, "email"],
+  [/phone|tel|mobile/, "tel"],
+  [/user(name)?|login/, "username"],
+  [/new.?pass|confirm.?pass|pass.?confirm/, "new-password"],
+  [/pass/, "current-password"],
+  [/first.?name|given/, "given-name"],
+  [/last.?name|family|surname/, "family-name"],
+  [/full.?name|^name$/, "name"],
+  [/zip|postal/, "postal-code"],
+  [/city|town/, "address-level2"],
+  [/state|province|region/, "address-level1"],
+  [/country/, "country-name"],
+  [/address|street/, "street-address"],
+  [/organi[sz]ation|company/, "organization"],
+  [/birth|bday/, "bday"],
+  [/card.?number|cc.?num/, "cc-number"],
+  [/url|website/, "url"],
+];
+
+// Input types that take no autocomplete token
+const NO_AUTOCOMPLETE_TYPES = [
+  "button",
+  "checkbox",
+  "file",
+  "hidden",
+  "image",
+  "radio",
+  "reset",
+  "submit",
+];
+
+function suggestAutocomplete(node) {
+  const { name = "", id = "", type = "" } = node.attributes;
+  const found = AUTOCOMPLETE_HINTS.find(([pattern]) =>
+    [name, id, type].some((value) => pattern.test(value.toLowerCase()))
+  );
+  return found ? found[1] : "on";
+}
+
 module.exports = [
   {
     id: "R1",
     tag: "img",
     level: "A",
+    wcag: ["1.1.1"],
+    techniques: ["H37", "F65"],
+    tags: ["images"],
+    confidence: "definite",
     regex: /<img\b[^>]*?(\/?)>/gi,
     message: "Image without alt attribute",
     validate: (tag, doc) => {
@@ -28,35 +174,53 @@ module.exports = [
     },
     recommendation:
       'Add an alt attribute to describe the image content or use alt="" if decorative. Even inside <picture>, ensure <img> has alt.',
-    autofix: (tag) => {
-      if (tag.includes("alt=")) return null;
-      return tag.replace(/(<img\b[^>]*?)(\/?>)/i, `$1 alt="description"$2`);
-    },
+    autofix: (tag) =>
+      tag.includes("alt=") ? null : addAttribute(tag, 'alt="${1:description}"'),
   },
   {
     id: "R2",
     tag: 'input[type="image"]',
     level: "A",
+    wcag: ["1.1.1"],
+    techniques: ["H36"],
+    tags: ["images", "forms"],
+    confidence: "definite",
     regex: /<input[^>]*type=["']image["'][^>]*>/g,
     message: "Image input missing alt attribute",
     validate: (tag) => !tag.includes("alt="),
     recommendation:
       "Add an alt attribute that describes the function of the button.",
+    autofix: (tag) =>
+      tag.includes("alt=")
+        ? null
+        : addAttribute(tag, 'alt="${1:Describe the button action}"'),
   },
   {
     id: "R3",
     tag: "area",
     level: "A",
+    wcag: ["1.1.1"],
+    techniques: ["H24"],
+    tags: ["images"],
+    confidence: "definite",
     regex: /<area[^>]*>/g,
     message: "Area element missing alt attribute",
     validate: (tag) => !tag.includes("alt="),
     recommendation:
       "Provide a descriptive alt attribute for each <area> tag in image maps.",
+    autofix: (tag) =>
+      tag.includes("alt=")
+        ? null
+        : addAttribute(tag, 'alt="${1:Describe the link target}"'),
   },
   {
     id: "R4",
     tag: "object",
     level: "A",
+    wcag: ["1.1.1"],
+    techniques: ["H53"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<object[^>]*>/g,
     message: "Object without text alternative",
     validate: (tag, doc) => !doc.includes("<p>"),
@@ -67,17 +231,30 @@ module.exports = [
     id: "R5",
     tag: "svg",
     level: "A",
-    regex: /<svg(?![^>]*aria-label)(?![^>]*aria-hidden)(?![^>]*<title)[^>]*>/g,
+    wcag: ["1.1.1"],
+    techniques: ["ARIA6", "ARIA10"],
+    tags: ["images"],
+    confidence: "needs-manual-review",
+    regex: /<svg\b[^<>]*>/g,
     message: "SVG missing aria-label or aria-hidden",
     validate: (tag) =>
       !tag.includes("aria-label") && !tag.includes("aria-hidden"),
     recommendation:
       "Add aria-label or <title> for informative SVGs, or aria-hidden='true' for decorative ones.",
+    // Treats the SVG as informative; decorative ones need aria-hidden instead
+    autofix: (tag) =>
+      tag.includes("aria-label") || tag.includes("aria-hidden")
+        ? null
+        : addAttribute(tag, 'role="img" aria-label="${1:Describe the image}"'),
   },
   {
     id: "R6",
     tag: "applet",
     level: "A",
+    wcag: ["1.1.1"],
+    techniques: ["H35"],
+    tags: ["media"],
+    confidence: "definite",
     regex: /<applet[^>]*>/g,
     message: "Applet element requires alt text",
     validate: (tag) => !tag.includes("alt="),
@@ -88,39 +265,60 @@ module.exports = [
     id: "R7",
     tag: "button",
     level: "A",
-    regex: /<button(?![^>]*aria-label)(?![^>]*>\s*[^<]+\s*<)[^>]*>/g,
+    wcag: ["4.1.2"],
+    techniques: ["H91", "ARIA14"],
+    tags: ["forms"],
+    confidence: "definite",
+    regex: /<button\b[^>]*>/gi,
     message: "Button missing accessible name",
-    validate: (tag) =>
-      !tag.includes("aria-label") && !tag.match(/>\s*[^<]+\s*</),
+    validate: (tag, doc, node, tree) => lacksName(tree, node),
     recommendation:
       "Include visible text or an aria-label to describe the button's purpose.",
     autofix: (tag) =>
       tag.includes("aria-label")
-        ? tag
-        : tag.replace(/<button/, '<button aria-label="Describe action"'),
+        ? null
+        : addAttribute(tag, 'aria-label="${1:Describe action}"'),
   },
   {
     id: "R8",
     tag: "a",
     level: "A",
-    regex: /<a[^>]*>(\s*<i[^>]*>|\s*<span[^>]*>)\s*<\/a>/g,
+    wcag: ["2.4.4", "4.1.2"],
+    techniques: ["ARIA8", "F89"],
+    tags: ["navigation", "images"],
+    confidence: "definite",
+    regex: /<a\b[^>]*>/gi,
     message: "Anchor with icon only and no accessible label",
-    validate: (tag) => tag.includes("<i") && !tag.includes("aria-label"),
+    // Icons: elements without text, e.g. <i class="icon"> or <img> without alt
+    validate: (tag, doc, node, tree) =>
+      isLink(tree, node) &&
+      childElements(node).length > 0 &&
+      !textContent(node).trim() &&
+      lacksName(tree, node),
     recommendation: "Use aria-label to describe the purpose of the link.",
   },
   {
     id: "R9",
     tag: "figure",
     level: "A",
-    regex: /<figure[^>]*>(?!.*?<figcaption>).*?<\/figure>/gs,
+    wcag: ["1.1.1"],
+    techniques: ["G94"],
+    tags: ["images"],
+    confidence: "needs-manual-review",
+    regex: /<figure\b[^<>]*>/g,
     message: "Figure missing figcaption",
-    validate: (tag, doc) => !doc.includes("<figcaption>"),
+    validate: (tag, doc, node) =>
+      Boolean(node) && !hasChild(node, ["figcaption"]),
     recommendation: "Include a <figcaption> to describe the figure content.",
   },
   {
     id: "R10",
     tag: "iframe",
     level: "A",
+    wcag: ["4.1.2"],
+    techniques: ["H64"],
+    tags: ["media"],
+    confidence: "definite",
     regex: /<iframe(?![^>]*title=)[^>]*>/g,
     message: "Iframe missing title attribute",
     validate: (tag) => !tag.includes("title="),
@@ -128,13 +326,17 @@ module.exports = [
       "Add a title attribute that describes the iframe's purpose.",
     autofix: (tag) =>
       tag.includes("title=")
-        ? tag
-        : tag.replace(/<iframe/, '<iframe title="Describe the iframe content"'),
+        ? null
+        : addAttribute(tag, 'title="${1:Describe the iframe content}"'),
   },
   {
     id: "R11",
     tag: "embed",
     level: "A",
+    wcag: ["1.1.1"],
+    techniques: ["H46"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<embed(?![^>]*aria-label)(?![^>]*title)[^>]*>/g,
     message: "Embed missing fallback content",
     validate: (tag, doc) => !doc.includes("<p>"),
@@ -145,10 +347,17 @@ module.exports = [
     id: "R12",
     tag: "canvas",
     level: "A",
+    wcag: ["1.1.1"],
+    techniques: ["G94"],
+    tags: ["images", "media"],
+    confidence: "definite",
     regex: /<canvas[^>]*>/g,
     message: "Canvas missing fallback content",
-    validate: (tag, doc) =>
-      !doc.includes("</canvas>") || !doc.match(/<canvas[^>]*>\s*<\/canvas>/),
+    validate: (tag, doc, node) =>
+      Boolean(node) &&
+      node.closeTagStart !== null &&
+      textContent(node).trim() === "" &&
+      childElements(node).length === 0,
 
     recommendation:
       "Provide descriptive fallback content between <canvas> tags.",
@@ -157,6 +366,10 @@ module.exports = [
     id: "R13",
     tag: "audio",
     level: "A",
+    wcag: ["1.2.1"],
+    techniques: ["G158"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<audio[^>]*>/g,
     message: "Audio element missing transcript",
     validate: (tag, doc) =>
@@ -168,6 +381,10 @@ module.exports = [
     id: "R14",
     tag: "object",
     level: "A",
+    wcag: ["1.2.1"],
+    techniques: ["G158"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<object[^>]*>/g,
     message: "Object containing only audio missing transcript",
     validate: (tag, doc) =>
@@ -179,6 +396,10 @@ module.exports = [
     id: "R15",
     tag: "video",
     level: "A",
+    wcag: ["1.2.1"],
+    techniques: ["G159"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<video[^>]*>/g,
     message: "Video missing textual description",
     validate: (tag, doc) =>
@@ -190,6 +411,10 @@ module.exports = [
     id: "R16",
     tag: "video",
     level: "A",
+    wcag: ["1.2.2"],
+    techniques: ["H95", "G87"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<video[^>]*>/g,
     message: "Video missing subtitles",
     validate: (tag, doc) => !doc.includes("<track kind='subtitles'>"),
@@ -200,6 +425,10 @@ module.exports = [
     id: "R17",
     tag: "track",
     level: "A",
+    wcag: ["1.2.2"],
+    techniques: ["H95"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<track[^>]*>/g,
     message: "Track element missing kind='subtitles'",
     validate: (tag) => !tag.includes("kind='subtitles'"),
@@ -210,6 +439,10 @@ module.exports = [
     id: "R18",
     tag: "video",
     level: "A",
+    wcag: ["1.2.3"],
+    techniques: ["G78", "H96"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<video[^>]*>/g,
     message: "Video missing audio description",
     validate: (tag, doc) => !doc.includes("<track kind='descriptions'>"),
@@ -220,6 +453,10 @@ module.exports = [
     id: "R19",
     tag: "object",
     level: "A",
+    wcag: ["1.2.3"],
+    techniques: ["G78"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<object[^>]*>/g,
     message: "Object missing audio description",
     validate: (tag, doc) =>
@@ -231,6 +468,10 @@ module.exports = [
     id: "R20",
     tag: "video",
     level: "AA",
+    wcag: ["1.2.5"],
+    techniques: ["G78", "H96"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<video[^>]*>/g,
     message: "Video missing synchronized audio description",
     validate: (tag, doc) => !doc.includes("<track kind='descriptions'>"),
@@ -241,6 +482,10 @@ module.exports = [
     id: "R21",
     tag: "object",
     level: "AA",
+    wcag: ["1.2.5"],
+    techniques: ["G78"],
+    tags: ["media"],
+    confidence: "needs-manual-review",
     regex: /<object[^>]*>/g,
     message: "Object missing synchronized audio description",
     validate: (tag, doc) =>
@@ -252,27 +497,42 @@ module.exports = [
     id: "R22",
     tag: "table",
     level: "A",
+    wcag: ["1.3.1"],
+    techniques: ["H51"],
+    tags: ["tables"],
+    confidence: "needs-manual-review",
     regex: /<table[^>]*>/g,
     message: "Table missing semantic structure",
-    validate: (tag, doc) =>
-      !doc.includes("<thead>") || !doc.includes("<tbody>"),
+    validate: (tag, doc, node) =>
+      Boolean(node) &&
+      (!hasChild(node, ["thead"]) || !hasChild(node, ["tbody"])),
     recommendation:
       "Use <thead>, <tbody>, and <tfoot> to group rows and provide a clear structure for the table.",
   },
   {
     id: "R23",
-    tag: "caption",
+    tag: "table",
     level: "A",
-    regex: /<caption[^>]*>/g,
+    wcag: ["1.3.1"],
+    techniques: ["H39"],
+    tags: ["tables"],
+    confidence: "needs-manual-review",
+    regex: /<table\b[^>]*>/g,
     message: "Table missing caption",
-    validate: (tag, doc) => !doc.includes("<caption>"),
+    validate: (tag, doc, node) => Boolean(node) && !hasChild(node, ["caption"]),
     recommendation:
       "Add a <caption> as the first child of the <table> to describe its purpose.",
+    autofix: (tag) =>
+      `${escapeSnippet(tag)}<caption>\${1:Describe the table}</caption>`,
   },
   {
     id: "R24",
     tag: "th",
     level: "A",
+    wcag: ["1.3.1"],
+    techniques: ["H43", "H63"],
+    tags: ["tables"],
+    confidence: "needs-manual-review",
     regex: /<th[^>]*>/g,
     message: "Table header missing association",
     validate: (tag, doc) => !tag.includes("id=") || !doc.includes("headers="),
@@ -283,19 +543,27 @@ module.exports = [
     id: "R25",
     tag: "fieldset",
     level: "A",
+    wcag: ["1.3.1"],
+    techniques: ["H71"],
+    tags: ["forms"],
+    confidence: "definite",
     regex: /<fieldset[^>]*>/g,
     message: "Form controls not grouped",
-    validate: (tag, doc) => !doc.includes("<legend>"),
+    validate: (tag, doc, node) => Boolean(node) && !hasChild(node, ["legend"]),
     recommendation:
       "Use <fieldset> to group related form controls and include a <legend> to describe the group.",
   },
   {
     id: "R26",
-    tag: "legend",
+    tag: "fieldset",
     level: "A",
-    regex: /<legend[^>]*>/g,
+    wcag: ["1.3.1"],
+    techniques: ["H71"],
+    tags: ["forms"],
+    confidence: "definite",
+    regex: /<fieldset\b[^>]*>/g,
     message: "Fieldset missing legend",
-    validate: (tag, doc) => !doc.includes("<legend>"),
+    validate: (tag, doc, node) => Boolean(node) && !hasChild(node, ["legend"]),
     recommendation:
       "Add a <legend> inside the <fieldset> to describe the group of form controls.",
   },
@@ -303,19 +571,73 @@ module.exports = [
     id: "R27",
     tag: "label",
     level: "A",
-    regex: /<label[^>]*>/g,
+    wcag: ["1.3.1", "4.1.2"],
+    techniques: ["H44"],
+    tags: ["forms"],
+    confidence: "definite",
+    regex: /<label\b[^>]*>/g,
     message: "Form field missing label",
-    validate: (tag, doc) => !tag.includes("for=") || !doc.includes("id="),
+    validate: (tag, doc, node, tree) => {
+      if (!node) return false;
+
+      const target = node.attributes.for;
+      if (target)
+        return !tree.elements.some((el) => el.attributes.id === target);
+      return !findAll(node, LABELABLE).some(isLabelable);
+    },
     recommendation:
       "Ensure each form field has a <label> associated with it using the for attribute and a matching id on the input.",
+    // Pairs the label with the next form field, generating an id if needed
+    autofix: (tag, node, tree) => {
+      if (!node || !tree) return null;
+
+      const index = tree.elements.indexOf(node);
+      const following = tree.elements.slice(index + 1);
+      const nextLabel = following.findIndex((el) => el.tagName === "label");
+      const field = following
+        .slice(0, nextLabel === -1 ? undefined : nextLabel)
+        .find(isLabelable);
+      if (!field) return null;
+
+      const edits = [];
+      let id = field.attributes.id;
+      if (!id) {
+        const base = slugify(textContent(node)) || field.tagName;
+        const taken = new Set(tree.elements.map((el) => el.attributes.id));
+        id = base;
+        for (let suffix = 2; taken.has(id); suffix++) id = `${base}-${suffix}`;
+
+        const nameEnd = field.start + 1 + field.tagName.length;
+        edits.push({ start: nameEnd, end: nameEnd, text: ` id="${id}"` });
+      }
+
+      const forAttribute = node.attrs.find(({ name }) => name === "for");
+      if (forAttribute) {
+        edits.push({
+          start: forAttribute.start,
+          end: forAttribute.end,
+          text: `for="${id}"`,
+        });
+      } else {
+        const nameEnd = node.start + "<label".length;
+        edits.push({ start: nameEnd, end: nameEnd, text: ` for="${id}"` });
+      }
+      return edits;
+    },
   },
   {
     id: "R28",
-    tag: "h1",
+    tag: "body",
     level: "A",
-    regex: /<h[1-6][^>]*>/g,
+    wcag: ["1.3.1", "2.4.6"],
+    techniques: ["H42", "G141"],
+    tags: ["structure"],
+    confidence: "needs-manual-review",
+    regex: /<body\b[^>]*>/gi,
     message: "Content missing heading structure",
-    validate: (tag, doc) => !doc.match(/<h[1-6][^>]*>/),
+    // Pages only: components and partials may get their headings elsewhere
+    validate: (tag, doc, node, tree) =>
+      hasOutlineProblem(tree, node, "no-headings"),
     recommendation:
       "Use <h1> to <h6> to organize content hierarchically and improve navigation.",
   },
@@ -323,9 +645,13 @@ module.exports = [
     id: "R29",
     tag: "ul",
     level: "A",
-    regex: /<ul[^>]*>/g,
+    wcag: ["1.3.1"],
+    techniques: ["H48"],
+    tags: ["structure"],
+    confidence: "definite",
+    regex: /<ul\b[^>]*>/g,
     message: "List missing semantic structure",
-    validate: (tag, doc) => !doc.includes("<li>"),
+    validate: (tag, doc, node) => Boolean(node) && !hasChild(node, ["li"]),
     recommendation:
       "Use <ul> or <ol> for lists and include <li> for each list item.",
   },
@@ -333,9 +659,14 @@ module.exports = [
     id: "R30",
     tag: "section",
     level: "A",
-    regex: /<section[^>]*>/g,
+    wcag: ["1.3.1", "2.4.6"],
+    techniques: ["H42", "G141"],
+    tags: ["structure"],
+    confidence: "needs-manual-review",
+    regex: /<section\b[^>]*>/g,
     message: "Section missing heading",
-    validate: (tag, doc) => !doc.match(/<section[^>]*>[\s\S]*?<h[1-6][^>]*>/),
+    validate: (tag, doc, node, tree) =>
+      hasOutlineProblem(tree, node, "section-without-heading"),
     recommendation:
       "Include a heading (<h1> to <h6>) inside each <section> element to describe its content.",
   },
@@ -343,9 +674,14 @@ module.exports = [
     id: "R31",
     tag: "article",
     level: "A",
-    regex: /<article[^>]*>/g,
+    wcag: ["1.3.1", "2.4.6"],
+    techniques: ["H42", "G141"],
+    tags: ["structure"],
+    confidence: "needs-manual-review",
+    regex: /<article\b[^>]*>/g,
     message: "Article missing heading",
-    validate: (tag, doc) => !doc.match(/<article[^>]*>[\s\S]*?<h[1-6][^>]*>/),
+    validate: (tag, doc, node, tree) =>
+      hasOutlineProblem(tree, node, "section-without-heading"),
     recommendation:
       "Include a heading (<h1> to <h6>) inside each <article> to provide a descriptive title.",
   },
@@ -353,9 +689,13 @@ module.exports = [
     id: "R32",
     tag: "ol",
     level: "A",
-    regex: /<ol[^>]*>/g,
+    wcag: ["1.3.1"],
+    techniques: ["H48"],
+    tags: ["structure"],
+    confidence: "definite",
+    regex: /<ol\b[^>]*>/g,
     message: "Ordered list missing structure",
-    validate: (tag, doc) => !doc.includes("<li>"),
+    validate: (tag, doc, node) => Boolean(node) && !hasChild(node, ["li"]),
     recommendation:
       "Use <li> elements inside <ol> to define each item in the ordered list.",
   },
@@ -363,9 +703,13 @@ module.exports = [
     id: "R33",
     tag: "ul",
     level: "A",
-    regex: /<ul[^>]*>/g,
+    wcag: ["1.3.1"],
+    techniques: ["H48"],
+    tags: ["structure"],
+    confidence: "definite",
+    regex: /<ul\b[^>]*>/g,
     message: "Unordered list missing structure",
-    validate: (tag, doc) => !doc.includes("<li>"),
+    validate: (tag, doc, node) => Boolean(node) && !hasChild(node, ["li"]),
     recommendation:
       "Use <li> elements inside <ul> to define each item in the unordered list.",
   },
@@ -373,31 +717,35 @@ module.exports = [
     id: "R34",
     tag: "li",
     level: "A",
+    wcag: ["1.3.1"],
+    techniques: ["H48"],
+    tags: ["structure"],
+    confidence: "definite",
     // solo detecta <li> seguido de espacio, cierre o atributos válidos, no link
     regex: /<li(\s|>)/gi,
     message: "List item outside of a list",
-    validate: (tag, doc) => {
-      if (tag.includes("<!--") || tag.includes("-->")) return false;
-
-      const parentContext =
-        /<(ul|ol|dl)[^>]*>[\s\S]*?<li[^>]*>[\s\S]*?<\/li>/gi;
-      const isInsideValidList = parentContext.test(doc);
-
-      // Detecta si el <li> está en navegación tipo link (nav, header, etc.)
-      const isLikelyNav =
-        /<nav[\s\S]*?<li[^>]*>[\s\S]*?<a[^>]*>.*?<\/a>[\s\S]*?<\/li>[\s\S]*?<\/nav>/gi.test(
-          doc
-        );
+    validate: (tag, doc, node) => {
+      if (!node) return false;
 
-      return !isInsideValidList && !isLikelyNav;
+      // The <li> must be a direct child of a list (menu is a list too).
+      const parent = node.parent;
+      return (
+        !parent ||
+        parent.type !== "element" ||
+        !["ul", "ol", "menu"].includes(parent.tagName)
+      );
     },
     recommendation:
-      "Ensure <li> elements are properly nested inside <ul>, <ol>, or <dl> elements. Avoid using <li> outside list contexts.",
+      "Ensure <li> elements are direct children of <ul>, <ol>, or <menu> elements. Avoid using <li> outside list contexts.",
   },
   {
     id: "R35",
     tag: "table",
     level: "A",
+    wcag: ["1.3.2"],
+    techniques: ["G59"],
+    tags: ["tables"],
+    confidence: "needs-manual-review",
     regex: /<table[^>]*>/g,
     message: "Table with illogical row/column order",
     validate: (tag, doc) =>
@@ -409,6 +757,10 @@ module.exports = [
     id: "R36",
     tag: "thead",
     level: "A",
+    wcag: ["1.3.1"],
+    techniques: ["H51"],
+    tags: ["tables"],
+    confidence: "needs-manual-review",
     regex: /<thead[^>]*>/g,
     message: "Table head is missing or misused",
     validate: (tag, doc) => !doc.includes("<thead>"),
@@ -419,6 +771,10 @@ module.exports = [
     id: "R37",
     tag: "tbody",
     level: "A",
+    wcag: ["1.3.1"],
+    techniques: ["H51"],
+    tags: ["tables"],
+    confidence: "needs-manual-review",
     regex: /<tbody[^>]*>/g,
     message: "Table body missing or unordered",
     validate: (tag, doc) => !doc.includes("<tbody>"),
@@ -429,6 +785,10 @@ module.exports = [
     id: "R38",
     tag: "p, span, strong, em",
     level: "A",
+    wcag: ["1.3.3"],
+    techniques: ["G96"],
+    tags: ["color", "text"],
+    confidence: "needs-manual-review",
     regex: /<(p|span|strong|em)[^>]*>/gi,
     message: "Instruction depends only on color or shape",
     validate: (tag) =>
@@ -444,6 +804,10 @@ module.exports = [
     id: "R39",
     tag: "input, select, textarea, form",
     level: "AA",
+    wcag: ["1.3.5"],
+    techniques: ["H98"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     regex: /<(input|select|textarea|form)[^>]*>/gi,
     message: "Form element missing or misusing autocomplete attribute",
     validate: (tag) => {
@@ -458,11 +822,27 @@ module.exports = [
     },
     recommendation:
       "Use meaningful autocomplete values (e.g., 'name', 'email', 'tel') instead of omitting the attribute or setting it to 'off', to improve form usability and accessibility.",
+    autofix: (tag, node) => {
+      if (!node) return null;
+      if (node.tagName === "form")
+        return setAttribute(tag, "autocomplete", "on");
+      if (NO_AUTOCOMPLETE_TYPES.includes(node.attributes.type)) return null;
+
+      return setAttribute(
+        tag,
+        "autocomplete",
+        `\${1:${suggestAutocomplete(node)}}`
+      );
+    },
   },
   {
     id: "R40",
     tag: "input, select, textarea",
     level: "AAA",
+    wcag: ["1.3.6"],
+    techniques: ["H98"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     regex: /<(input|select|textarea)[^>]*>/gi,
     message: "Form field missing semantic autocomplete attribute",
     validate: (tag) => {
@@ -482,7 +862,11 @@ module.exports = [
     id: "R41",
     tag: "inline-styled elements",
     level: "A",
-    regex: /<\w+[^>]*style=["'][^"'>]*color\s*:\s*[^;"']+["'][^>]*>/gi,
+    wcag: ["1.4.1"],
+    techniques: ["G14", "G205"],
+    tags: ["color"],
+    confidence: "needs-manual-review",
+    regex: /<\w+[^<>]*style=["'][^"'>]*color\s*:\s*[^;"']+["'][^<>]*>/gi,
     message: "Color used as the only visual indicator",
     validate: (tag, doc) =>
       /color\s*:\s*/i.test(tag) &&
@@ -496,18 +880,28 @@ module.exports = [
     id: "R42",
     tag: "audio",
     level: "A",
+    wcag: ["1.4.2"],
+    techniques: ["G170", "F93"],
+    tags: ["media"],
+    confidence: "definite",
     regex: /<audio[^>]*>/g,
     message: "Autoplaying audio without controls",
     validate: (tag) => tag.includes("autoplay") && !tag.includes("controls"),
     recommendation:
       "Add 'controls' attribute to <audio> or provide visible custom controls for play/pause and volume.",
+    autofix: (tag) =>
+      tag.includes("controls") ? null : addAttribute(tag, "controls"),
   },
   {
     id: "R43",
     tag: "text elements",
     level: "AA",
+    wcag: ["1.4.3"],
+    techniques: ["G18"],
+    tags: ["color", "text"],
+    confidence: "needs-manual-review",
     regex:
-      /<(a|p|span|h[1-6])[^>]*style=["'][^"'>]*color\s*:\s*#[0-9a-fA-F]{3,6}[^"'>]*["'][^>]*>/gi,
+      /<(a|p|span|h[1-6])[^<>]*style=["'][^"'>]*color\s*:\s*#[0-9a-fA-F]{3,6}[^"'>]*["'][^<>]*>/gi,
     message: "Low text contrast",
     validate: (tag) =>
       /color\s*:\s*#[0-9a-fA-F]{3,6}/i.test(tag) &&
@@ -519,6 +913,10 @@ module.exports = [
     id: "R44",
     tag: "text over image",
     level: "AA",
+    wcag: ["1.4.3"],
+    techniques: ["G18"],
+    tags: ["color", "text", "images"],
+    confidence: "needs-manual-review",
     regex:
       /<(a|p|span|h[1-6])[^>]*style=["'][^"'>]*background(?:-image)?\s*:\s*(url\(|linear-gradient)[^"'>]*["'][^>]*>/gi,
     message: "Text over image or gradient lacks contrast support",
@@ -531,6 +929,10 @@ module.exports = [
     id: "R45",
     tag: "text containers",
     level: "AA",
+    wcag: ["1.4.4"],
+    techniques: ["C12", "C13", "C14"],
+    tags: ["text"],
+    confidence: "needs-manual-review",
     regex:
       /<(html|body|div|span|p|a|h[1-6])[^>]*style=["'][^"'>]*font-size\s*:\s*\d+px[^"'>]*["'][^>]*>/gi,
     message: "Fixed text size using 'px' prevents proper text resizing",
@@ -542,6 +944,10 @@ module.exports = [
     id: "R46",
     tag: "img",
     level: "AA",
+    wcag: ["1.4.5"],
+    techniques: ["C22", "C30"],
+    tags: ["images", "text"],
+    confidence: "needs-manual-review",
     regex: /<img[^>]*>/g,
     message: "Image of text used instead of HTML text",
     validate: (tag) =>
@@ -557,6 +963,10 @@ module.exports = [
     id: "R47",
     tag: "img|canvas|svg|object",
     level: "AAA",
+    wcag: ["1.4.9"],
+    techniques: ["C22", "C30"],
+    tags: ["images", "text"],
+    confidence: "needs-manual-review",
     regex: /<(img|canvas|svg|object)[^>]*>/g,
     message: "Text rendered with image elements instead of HTML",
     validate: (tag, doc) =>
@@ -572,6 +982,10 @@ module.exports = [
     id: "R48",
     tag: "a|body|div|html|img|main|p|section",
     level: "AA",
+    wcag: ["1.4.10"],
+    techniques: ["C32", "G146"],
+    tags: ["layout"],
+    confidence: "needs-manual-review",
     regex:
       /<(a|body|div|html|img|main|p|section)\s[^>]*style\s*=\s*["'][^"'>]*width\s*:\s*\d+px[^"'>]*["'][^>]*>/gi,
     message:
@@ -592,6 +1006,10 @@ module.exports = [
     id: "R49",
     tag: "button|canvas|img|input|select|svg",
     level: "AA",
+    wcag: ["1.4.11"],
+    techniques: ["G195", "G207"],
+    tags: ["color"],
+    confidence: "needs-manual-review",
     regex: /<(button|canvas|img|input|select|svg)[^>]*>/gi,
     message: "Non-text UI element might have insufficient contrast",
     validate: (tag) =>
@@ -605,6 +1023,10 @@ module.exports = [
     id: "R50",
     tag: "p|span|li|h[1-6]",
     level: "AA",
+    wcag: ["1.4.12"],
+    techniques: ["C36"],
+    tags: ["text", "layout"],
+    confidence: "needs-manual-review",
     regex:
       /<(p|span|li|h[1-6])[^>]*style\s*=\s*["'][^"'>]*height\s*:\s*\d+px[^"'>]*["'][^>]*>/gi, // Only look at tags with inline style setting a pixel height
     message:
@@ -628,6 +1050,10 @@ module.exports = [
     id: "R51",
     tag: "button|a|input|label",
     level: "AA",
+    wcag: ["1.4.13"],
+    techniques: ["F95"],
+    tags: ["interaction"],
+    confidence: "needs-manual-review",
     regex: /<(button|a|input|label)[^>]*>/gi,
     message: "Content triggered by hover or focus may not be dismissible",
     validate: (tag, doc) =>
@@ -645,6 +1071,10 @@ module.exports = [
     id: "R52",
     tag: "div|span", // Focuses on div/span that might be misused as interactive elements
     level: "A",
+    wcag: ["2.1.1", "4.1.2"],
+    techniques: ["SCR35", "F59"],
+    tags: ["keyboard"],
+    confidence: "needs-manual-review",
     regex: /<(div|span)\s[^>]*onclick\s*=[^>]*>/gi, // Finds div/span with an onclick attribute
     message:
       "Custom control created with div/span has an onclick but may lack full keyboard accessibility.",
@@ -674,6 +1104,10 @@ module.exports = [
     id: "R53",
     tag: "a|button|input|label|select|textarea|div|span",
     level: "A",
+    wcag: ["2.1.1"],
+    techniques: ["SCR2", "SCR20", "F54"],
+    tags: ["keyboard"],
+    confidence: "needs-manual-review",
     regex:
       /<(a|button|input|label|select|textarea|div|span)[^>]*onclick=[^>]*>/gi,
     message:
@@ -691,6 +1125,10 @@ module.exports = [
     id: "R54",
     tag: "a|button|input",
     level: "A",
+    wcag: ["2.1.2"],
+    techniques: ["F10"],
+    tags: ["keyboard"],
+    confidence: "needs-manual-review",
     regex: /<(a|button|input)[^>]*>/gi,
     message: "Component may trap keyboard focus",
     validate: (tag, doc) =>
@@ -706,6 +1144,10 @@ module.exports = [
     id: "R55",
     tag: "a|button",
     level: "A",
+    wcag: ["2.1.4"],
+    techniques: ["G217"],
+    tags: ["keyboard"],
+    confidence: "needs-manual-review",
     regex: /<(a|button)[^>]*accesskey=["'][^"']+["'][^>]*>/gi,
     message: "Accesskey defined without flexibility",
     validate: (tag) => tag.includes("accesskey="),
@@ -716,45 +1158,45 @@ module.exports = [
     id: "R56",
     tag: "video|audio|marquee",
     level: "A",
+    wcag: ["1.4.2", "2.2.2"],
+    techniques: ["G4", "G170"],
+    tags: ["media"],
+    confidence: "definite",
     regex: /<(video|audio|marquee)[^>]*>/gi,
     message: "Media content autoplaying without user controls",
     validate: (tag) => tag.includes("autoplay") && !tag.includes("controls"),
     recommendation:
       "Avoid autoplay or include visible controls to let users pause, stop or control playback.",
+    // <marquee> has no controls attribute
+    autofix: (tag) =>
+      /^<marquee/i.test(tag) || tag.includes("controls")
+        ? null
+        : addAttribute(tag, "controls"),
   },
   {
     id: "R57",
-    tag: "a|main|nav", // Keeping your original tag
+    tag: "body",
     level: "A",
-    regex: /<(a\s+[^>]*href=["']#main["'][^>]*|main|nav)[^>]*>/gi, // Keeping your original regex
-    message:
-      "Review page for a 'skip to main content' link mechanism and corresponding main landmark. [WCAG 2.4.1]",
-    validate: (matchedElementString, doc) => {
-      const hasMainLandmarkInDoc =
-        doc.includes("<main") || /role\s*=\s*["']main["']/.test(doc);
-
-      // Heuristic check for a plausible skip link in the entire document.
-      const skipLinkRegex =
-        /<a\s[^>]*href\s*=\s*["']#\w[^"']*["'][^>]*>[\s\S]*?(skip|main|content|primary|jump\s+to|go\s+to)[\s\S]*?<\/a>/i;
-      const hasPlausibleSkipLinkInDoc = skipLinkRegex.test(doc);
-
-      if (!hasMainLandmarkInDoc) {
-        return true; // FAIL: No main content landmark defined on the page.
-      }
-
-      if (hasMainLandmarkInDoc && !hasPlausibleSkipLinkInDoc) {
-        return true; // FAIL: Main landmark found, but a skip link to it appears to be missing or not recognized by common keywords.
-      }
-
-      return false; // PASS: Basic skip mechanism components (landmark and a plausible skip link) appear to be present in the document.
-    },
+    wcag: ["2.4.1"],
+    techniques: ["G1", "ARIA11"],
+    tags: ["navigation"],
+    confidence: "needs-manual-review",
+    regex: /<body\b[^>]*>/gi,
+    message: "Page missing a main landmark or skip link",
+    // Either mechanism lets keyboard users bypass the repeated blocks
+    validate: (tag, doc, node, tree) =>
+      hasLandmarkProblem(tree, node, "missing-main") && !hasSkipLink(tree),
     recommendation:
-      "Ensure a 'skip to main content' link is one of the first focusable elements on the page and is visible when it receives keyboard focus (it can be initially hidden but must become visible on focus). This link should target the primary content area, identified by a <main> element (with an id) or an element with role='main' (with an id). If your skip link uses different text than common keywords (e.g., 'Skip', 'Main', 'Content'), this automated check might not detect it; in such cases, please manually verify compliance. [WCAG G1, H69]",
+      "Identify the primary content with a <main> element (or role=\"main\"), or add a 'skip to main content' link as one of the first focusable elements of the page, targeting the id of the main content. The link can be hidden until it receives keyboard focus.",
   },
   {
     id: "R58",
     tag: "title",
     level: "A",
+    wcag: ["2.4.2"],
+    techniques: ["H25", "G88"],
+    tags: ["structure"],
+    confidence: "needs-manual-review",
     regex: /<title[^>]*>(.*?)<\/title>/gi,
     message: "Missing or non-descriptive page title",
     validate: (tag) =>
@@ -766,7 +1208,11 @@ module.exports = [
     id: "R59",
     tag: "any",
     level: "A",
-    regex: /<[^>]*tabindex\s*=\s*["']?-?\d+["'][^>]*>/gi,
+    wcag: ["2.4.3"],
+    techniques: ["H4", "F44"],
+    tags: ["keyboard", "navigation"],
+    confidence: "needs-manual-review",
+    regex: /<[^<>]*tabindex\s*=\s*["']?-?\d+["'][^<>]*>/gi,
     message: "Potential focus order issue due to tabindex",
     validate: (tag) =>
       tag.includes("tabindex") && tag.match(/tabindex=["']?-1["']/),
@@ -777,15 +1223,18 @@ module.exports = [
     id: "R60",
     tag: "a",
     level: "A",
-    regex: /<a[^>]*>(.*?)<\/a>/gi,
+    wcag: ["2.4.4"],
+    techniques: ["H30", "G91", "F84"],
+    tags: ["navigation"],
+    confidence: "needs-manual-review",
+    regex: /<a\b[^>]*>/gi,
     message: "Link text is vague or meaningless",
-    validate: (tag) => {
-      const inner = tag
-        .replace(/<[^>]+>/g, "")
-        .trim()
-        .toLowerCase();
-      return ["", "click here", "read more", "more", "details"].includes(inner);
-    },
+    // An aria-label like "Read more about pricing" overrides the text
+    validate: (tag, doc, node, tree) =>
+      isLink(tree, node) &&
+      ["", "click here", "read more", "more", "details"].includes(
+        getAccessibleName(tree, node).toLowerCase()
+      ),
     recommendation:
       "Write meaningful link text that explains the action or destination, e.g., 'View pricing details'.",
   },
@@ -793,6 +1242,10 @@ module.exports = [
     id: "R61",
     tag: "nav|a|ul|ol", // As per your documentation for this rule
     level: "AA",
+    wcag: ["2.4.5"],
+    techniques: ["G63", "G125", "G161"],
+    tags: ["navigation"],
+    confidence: "needs-manual-review",
     regex: /<(nav|a|ul|ol)[^>]*>/gi, // Regex matching one of these tags
     message:
       "Ensure the site offers multiple ways to find pages (e.g., navigation menu, search, sitemap), unless the page is part of a process. [WCAG 2.4.5]",
@@ -843,11 +1296,15 @@ module.exports = [
   },
   {
     id: "R62",
-    tag: "label|h1|h2|h3|h4|h5|h6", // Targets labels and heading opening tags
+    tag: "label", // Headings are checked against the outline by R65 and R83 to R85
     level: "AA",
-    regex: /<(label|h[1-6])(\s[^>]*)?>/gi, // Matches <label ...> or <h1 ...> (opening tag)
+    wcag: ["2.4.6"],
+    techniques: ["G130", "G131"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
+    regex: /<label(\s[^>]*)?>/gi, // Matches <label ...> (opening tag)
     message:
-      "Form controls or headings may need review for semantic clarity or proper association.",
+      "Form controls may need review for semantic clarity or proper association.",
     validate: (tagString, doc) => {
       const lowerTagString = tagString.toLowerCase();
 
@@ -867,24 +1324,20 @@ module.exports = [
           return true; // Consider it an issue if these common associating attributes are missing on the label tag.
         }
         return false; // Assume okay if 'for' or 'aria-label' is present on the tag.
-      } else if (lowerTagString.match(/^<h[1-6]/)) {
-        // For heading tags (e.g., <h1>, <h2>):
-        // The previous 'tag.length <= 8' check on the opening tag was incorrect.
-        // Automatically validating semantic clarity (descriptive content) and correct hierarchical usage
-        // is very complex with static analysis of just the opening tag.
-        // We remove the automatic failure for headings here to prevent false positives.
-        // The rule's recommendation will guide the user to manually review headings.
-        return false; // Avoids the previous false positive for headings.
       }
       return false; // Default for any other case
     },
     recommendation:
-      "For <label> elements, ensure they are correctly associated with form controls, typically using the 'for' attribute referencing the control's 'id', or by wrapping the control. Consider 'aria-label' if a visible label is not desired. For <h1>-<h6> headings, manually review their content for clarity and ensure they are used in a logical hierarchical order to structure the page content. [WCAG 2.4.6]",
+      "For <label> elements, ensure they are correctly associated with form controls, typically using the 'for' attribute referencing the control's 'id', or by wrapping the control. Consider 'aria-label' if a visible label is not desired. [WCAG 2.4.6]",
   },
   {
     id: "R63",
     tag: "button|a|input|select|textarea",
     level: "AA",
+    wcag: ["2.4.7"],
+    techniques: ["G149", "G165"],
+    tags: ["keyboard"],
+    confidence: "needs-manual-review",
     regex: /<(button|a|input|select|textarea)[^>]*>/gi,
     message: "Interactive element lacks visible focus indicator",
     validate: (tag, doc) => !doc.includes(":focus") && !doc.includes("outline"),
@@ -895,12 +1348,14 @@ module.exports = [
     id: "R64",
     tag: "a",
     level: "AAA",
-    regex: /<a[^>]*>(\s*|<i[^>]*>\s*<\/i>|<span[^>]*>\s*<\/span>)<\/a>/gi,
+    wcag: ["2.4.9"],
+    techniques: ["H30", "ARIA8"],
+    tags: ["navigation"],
+    confidence: "needs-manual-review",
+    regex: /<a\b[^>]*>/gi,
     message: "Link is empty, icon-only, or lacks descriptive text",
-    validate: (tag) =>
-      !tag.match(/>[^<]{3,}</) &&
-      !tag.includes("aria-label") &&
-      !tag.includes("title"),
+    validate: (tag, doc, node, tree) =>
+      isLink(tree, node) && getAccessibleName(tree, node).length < 3,
     recommendation:
       "Ensure links have meaningful text or use aria-label/title attributes if icon-only.",
   },
@@ -908,16 +1363,25 @@ module.exports = [
     id: "R65",
     tag: "h1|h2|h3|h4|h5|h6",
     level: "AAA",
-    regex: /<(h[1-6])[^>]*>/gi,
-    message: "Missing semantic heading structure",
-    validate: (tag, doc) => !doc.match(/<h[1-6][^>]*>.*<\/h[1-6]>/i),
+    wcag: ["2.4.10"],
+    techniques: ["G141", "H69"],
+    tags: ["structure"],
+    confidence: "needs-manual-review",
+    regex: /<(h[1-6]\b|[a-z][\w-]*\s[^>]*\brole\s*=\s*["']?heading\b)[^>]*>/gi,
+    message: "Heading level skipped",
+    validate: (tag, doc, node, tree) =>
+      hasOutlineProblem(tree, node, "skipped-level"),
     recommendation:
-      "Use semantic HTML headings (<h1>–<h6>) to convey the structure of the page.",
+      "Use semantic HTML headings (<h1>–<h6>) to convey the structure of the page, without skipping levels: an <h2> section continues with <h3> subsections, not <h4>.",
   },
   {
     id: "R66",
     tag: "label",
     level: "AAA",
+    wcag: ["2.5.3"],
+    techniques: ["G208", "F96"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     regex: /<label[^>]*>/gi,
     message: "Label text does not match accessible name",
     validate: (tag) =>
@@ -929,6 +1393,10 @@ module.exports = [
     id: "R67",
     tag: "html",
     level: "A",
+    wcag: ["3.1.1"],
+    techniques: ["H57"],
+    tags: ["language"],
+    confidence: "definite",
     regex: /<html[^>]*>/gi,
     message: "Missing or incorrect lang attribute on <html>",
     validate: (tag) =>
@@ -937,11 +1405,16 @@ module.exports = [
       tag.includes("lang='xx'"),
     recommendation:
       "Add a valid lang attribute to <html> (e.g., lang='en', lang='es').",
+    autofix: (tag) => setAttribute(tag, "lang", "${1:en}"),
   },
   {
     id: "R68",
     tag: "span|p",
     level: "A",
+    wcag: ["3.1.2"],
+    techniques: ["H58"],
+    tags: ["language"],
+    confidence: "needs-manual-review",
     regex: /<(span|p)(?![^>]*lang=)[^>]*>.*?<\/\1>/gi,
     message: "Foreign language content missing lang attribute",
     validate: (tag) =>
@@ -953,16 +1426,28 @@ module.exports = [
     id: "R69",
     tag: "abbr",
     level: "A",
+    wcag: ["3.1.4"],
+    techniques: ["G102", "H28"],
+    tags: ["language", "text"],
+    confidence: "definite",
     regex: /<abbr[^>]*>/gi,
     message: "<abbr> missing title attribute",
     validate: (tag) => !tag.includes("title="),
     recommendation:
       "Add a title attribute to <abbr> elements to provide the expanded form of the abbreviation.",
+    autofix: (tag) =>
+      tag.includes("title=")
+        ? null
+        : addAttribute(tag, 'title="${1:Expanded form}"'),
   },
   {
     id: "R70",
     tag: "input|a|button",
     level: "A",
+    wcag: ["3.2.1"],
+    techniques: ["G107", "F55"],
+    tags: ["interaction"],
+    confidence: "needs-manual-review",
     regex:
       /<(input|a|button)[^>]*onfocus=["'][^"']*(location|redirect)[^"']*["'][^>]*>/gi,
     message: "Element changes context on focus",
@@ -976,6 +1461,10 @@ module.exports = [
     id: "R71",
     tag: "select|input|textarea",
     level: "A",
+    wcag: ["3.2.2"],
+    techniques: ["G80", "F36", "F37"],
+    tags: ["forms", "interaction"],
+    confidence: "needs-manual-review",
     regex:
       /<(select|input|textarea)[^>]*onchange=["'][^"']*(submit|location|redirect)[^"']*["'][^>]*>/gi,
     message: "Element changes context automatically on input",
@@ -991,6 +1480,10 @@ module.exports = [
     id: "R72",
     tag: "nav|header|footer|a",
     level: "A",
+    wcag: ["3.2.3"],
+    techniques: ["G61"],
+    tags: ["navigation"],
+    confidence: "needs-manual-review",
     regex: /<(nav|header|footer|a)[^>]*>/gi,
     message: "Navigation structure should be consistent",
     validate: () => false, // Placeholder: requires cross-page comparison
@@ -1001,6 +1494,10 @@ module.exports = [
     id: "R73",
     tag: "button|label|input|a",
     level: "AA",
+    wcag: ["3.2.4"],
+    techniques: ["G197"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     regex: /<(button|label|input|a)[^>]*>/gi,
     message: "Inconsistent labeling for same functionality",
     validate: (tag, doc) =>
@@ -1014,6 +1511,10 @@ module.exports = [
     id: "R74",
     tag: "input|label|select|textarea",
     level: "AA",
+    wcag: ["3.3.1"],
+    techniques: ["G83", "ARIA21"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     regex: /<(input|label|select|textarea)[^>]*>/gi,
     message: "Missing or unclear error handling for form field",
     validate: (tag, doc) =>
@@ -1026,6 +1527,10 @@ module.exports = [
     id: "R75",
     tag: "label",
     level: "AA",
+    wcag: ["3.3.2"],
+    techniques: ["H44", "G131"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     regex: /<label[^>]*>/g,
     message: "Label missing field association or clear instruction",
     validate: (tag, doc) =>
@@ -1042,8 +1547,12 @@ module.exports = [
     id: "R76",
     tag: "form|fieldset", // Target specific tags where overall instructions are relevant
     level: "A", // WCAG 3.3.2 is Level A
+    wcag: ["3.3.2"],
+    techniques: ["G89", "ARIA1"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     // Regex to capture the opening tag of form or fieldset, to check its attributes
-    regex: /<(form|fieldset)((?:\s+[^>]*)*)>/gi,
+    regex: /<(form|fieldset)(\s[^>]*)?>/gi,
     message:
       "Form or fieldset may need explicit instructions if its purpose or required input is not obvious from individual control labels (and the fieldset's legend, if applicable). Consider using aria-describedby to link to instructions. [WCAG 3.3.2]",
     validate: (tagString, doc) => {
@@ -1086,13 +1595,18 @@ module.exports = [
     id: "R77",
     tag: "input|select|textarea",
     level: "AA",
+    wcag: ["3.3.2"],
+    techniques: ["G131", "ARIA1"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     regex: /<(input|select|textarea)[^>]*>/gi,
     message: "Form control lacks descriptive label",
-    validate: (tag) =>
-      tag.includes("placeholder") &&
-      !tag.includes("aria-describedby") &&
-      !tag.includes("label") &&
-      !tag.includes("aria-label"),
+    // The placeholder disappears on input and is not a label
+    validate: (tag, doc, node, tree) =>
+      Boolean(node) &&
+      !isHiddenInTree(node) &&
+      describeAccessibleName(tree, node).from === "placeholder" &&
+      !getAccessibleDescription(tree, node),
     recommendation:
       "Use aria-describedby or an associated label to provide clear information about what is expected from the user.",
   },
@@ -1100,9 +1614,13 @@ module.exports = [
     id: "R78",
     tag: "fieldset",
     level: "AA",
+    wcag: ["1.3.1"],
+    techniques: ["H71"],
+    tags: ["forms"],
+    confidence: "definite",
     regex: /<fieldset[^>]*>/g,
     message: "Missing <legend> for related form controls",
-    validate: (tag, doc) => !doc.includes("<legend"),
+    validate: (tag, doc, node) => Boolean(node) && !hasChild(node, ["legend"]),
     recommendation:
       "Use a <legend> inside <fieldset> to describe the grouped form controls.",
   },
@@ -1110,6 +1628,10 @@ module.exports = [
     id: "R79",
     tag: "form|input|select|textarea",
     level: "A",
+    wcag: ["3.3.3"],
+    techniques: ["G85", "G177"],
+    tags: ["forms"],
+    confidence: "needs-manual-review",
     regex: /<(form|input|select|textarea)[^>]*>/gi,
     message: "Missing error suggestions or guidance",
     validate: (tag, doc) =>
@@ -1122,6 +1644,12 @@ module.exports = [
     id: "R80",
     tag: "html|body|button|form|input|script|select|textarea",
     level: "AA",
+    // 4.1.1 Parsing is obsolete in WCAG 2.2: duplicate attributes matter
+    // where they break the name, role or value of the element
+    wcag: ["4.1.2"],
+    techniques: ["H88", "H94"],
+    tags: ["parsing"],
+    confidence: "needs-manual-review",
     regex: /<(html|body|button|form|input|script|select|textarea)[^>]*>/gi,
     message: "Malformed or improperly structured HTML tag",
     validate: (tag) =>
@@ -1137,47 +1665,20 @@ module.exports = [
     id: "R81",
     tag: "div|span|a|button|input|img|select|textarea", // Keeps it broad for regex if role is present
     level: "A",
+    wcag: ["4.1.2"],
+    techniques: ["ARIA14", "ARIA16"],
+    tags: ["aria"],
+    confidence: "needs-manual-review",
     // Regex specifically targets elements that HAVE an explicit ARIA 'role' attribute
     regex:
       /<(div|span|a|button|input|img|select|textarea)\s[^>]*\brole\s*=\s*["']\w[^"']*["'][^>]*>/gi,
     message:
       "Element with an ARIA role may require an accessible name (e.g., via aria-label, aria-labelledby, or appropriate text content). [WCAG 4.1.2]",
-    validate: (tagString, doc) => {
-      const lowerTag = tagString.toLowerCase();
-
-      const hasAriaLabel = /aria-label\s*=\s*["'](?!["'])[^"']+["']/.test(
-        lowerTag
-      );
-      const hasAriaLabelledby =
-        /aria-labelledby\s*=\s*["'](?!["'])[^"'\s>]+["']/.test(lowerTag);
-      const hasTitle = /title\s*=\s*["'](?!["'])[^"']+["']/.test(lowerTag);
-      const hasTextContent = />[^<>\s][^<>]*?</.test(tagString); // Simplified check for non-empty text content
-
-      // If an element has an ARIA role (guaranteed by the regex), it generally needs an accessible name.
-      // This is a basic check. Some roles derive names from content by default (e.g., role="heading" from text).
-      // Others strictly need aria-label or aria-labelledby (e.g., role="toolbar" often does).
-      if (!hasAriaLabel && !hasAriaLabelledby && !hasTitle && !hasTextContent) {
-        // Exceptions for common elements where other attributes provide the name when a role is also present
-        if (
-          lowerTag.startsWith("<img") &&
-          /alt\s*=\s*["'](?!["'])[^"']+["']/.test(lowerTag)
-        ) {
-          return false; // alt attribute provides the name
-        }
-        if (lowerTag.startsWith("<input")) {
-          if (
-            (/type\s*=\s*["'](button|submit|reset)["']/i.test(lowerTag) &&
-              /value\s*=\s*["'](?!["'])[^"']+["']/.test(lowerTag)) ||
-            (/type\s*=\s*["']image["']/i.test(lowerTag) &&
-              /alt\s*=\s*["'](?!["'])[^"']+["']/.test(lowerTag))
-          ) {
-            return false; // value or alt on specific input types provides the name
-          }
-        }
-        return true; // Flag if no common naming method is found on an element with an explicit role.
-      }
-      return false; // Passes if a common naming method is found.
-    },
+    // Only roles that need a name, e.g. not role="presentation"
+    validate: (tag, doc, node, tree) =>
+      Boolean(node) &&
+      NAME_REQUIRED_ROLES.includes(getExplicitRole(node)) &&
+      lacksName(tree, node),
     recommendation:
       "Ensure that elements with explicit ARIA roles have an accessible name. This can often be provided via their text content, or attributes like 'aria-label', 'aria-labelledby', or 'title'. For standard HTML interactive elements, their accessible name is typically derived from associated labels, text content, or specific attributes like 'alt' for images. [WCAG 4.1.2, 1.1.1, 1.3.1, 2.4.6]",
   },
@@ -1185,6 +1686,10 @@ module.exports = [
     id: "R82",
     tag: "div|output|p|span",
     level: "AA",
+    wcag: ["4.1.3"],
+    techniques: ["ARIA19", "ARIA22"],
+    tags: ["aria"],
+    confidence: "needs-manual-review",
     regex: /<(div|output|p|span)[^>]*>/gi,
     message:
       "Review for potential need of ARIA for dynamic status messages (Manual Check Usually Required).",
@@ -1218,4 +1723,95 @@ module.exports = [
     recommendation:
       "If an element's content is updated dynamically to convey status messages or important information to the user without a page reload (e.g., 'Search results loaded', 'Item added to cart', error notifications), the container for these messages should use appropriate ARIA attributes like aria-live ('polite' or 'assertive') or a specific role like 'status' (for advisory information) or 'alert' (for urgent messages) to ensure assistive technologies announce these changes. The <output> tag is often used for such purposes and should also be considered for these ARIA attributes if its updates need to be announced. Manually identify and mark up these dynamic regions. [WCAG 4.1.3]",
   },
+  {
+    id: "R83",
+    tag: "h1",
+    level: "A",
+    wcag: ["1.3.1", "2.4.6"],
+    techniques: ["H42", "G141"],
+    tags: ["structure"],
+    confidence: "needs-manual-review",
+    regex: /<(h1\b|[a-z][\w-]*\s[^>]*\brole\s*=\s*["']?heading\b)[^>]*>/gi,
+    message: "Multiple level 1 headings",
+    validate: (tag, doc, node, tree) =>
+      hasOutlineProblem(tree, node, "multiple-h1"),
+    recommendation:
+      "Use a single <h1> for the main title of the page and <h2> to <h6> for its sections, so the outline has one entry point.",
+  },
+  {
+    id: "R84",
+    tag: "body",
+    level: "A",
+    wcag: ["1.3.1", "2.4.6"],
+    techniques: ["H42", "G141"],
+    tags: ["structure"],
+    confidence: "needs-manual-review",
+    regex: /<body\b[^>]*>/gi,
+    message: "Page missing a level 1 heading",
+    validate: (tag, doc, node, tree) =>
+      hasOutlineProblem(tree, node, "missing-h1"),
+    recommendation:
+      "Start the main content with an <h1> describing the page, and nest the other headings below it.",
+  },
+  {
+    id: "R85",
+    tag: "h1|h2|h3|h4|h5|h6",
+    level: "A",
+    wcag: ["1.3.1", "2.4.6"],
+    techniques: ["H42", "G130"],
+    tags: ["structure"],
+    confidence: "definite",
+    regex: /<(h[1-6]\b|[a-z][\w-]*\s[^>]*\brole\s*=\s*["']?heading\b)[^>]*>/gi,
+    message: "Empty heading",
+    validate: (tag, doc, node, tree) =>
+      hasOutlineProblem(tree, node, "empty-heading"),
+    recommendation:
+      "Give every heading text describing its section, or remove the heading element if it is only used for spacing or styling.",
+  },
+  {
+    id: "R86",
+    tag: "main",
+    level: "A",
+    wcag: ["1.3.1", "2.4.1"],
+    techniques: ["ARIA11"],
+    tags: ["navigation", "structure"],
+    confidence: "definite",
+    regex: /<(main\b|[a-z][\w-]*\s[^>]*\brole\s*=\s*["']?main\b)[^>]*>/gi,
+    message: "Multiple main landmarks",
+    validate: (tag, doc, node, tree) =>
+      hasLandmarkProblem(tree, node, "multiple-main"),
+    recommendation:
+      "Keep a single visible main landmark per page. Hide the inactive ones with the hidden attribute, or use <section> or <article> for the other parts.",
+  },
+  {
+    id: "R87",
+    tag: "header|nav|main|aside|footer|form|section|search",
+    level: "A",
+    wcag: ["1.3.1", "2.4.1"],
+    techniques: ["ARIA6", "ARIA16"],
+    tags: ["navigation", "structure"],
+    confidence: "needs-manual-review",
+    regex: LANDMARK_REGEX,
+    message: "Repeated landmark without a name",
+    validate: (tag, doc, node, tree) =>
+      hasLandmarkProblem(tree, node, "unnamed-duplicate"),
+    recommendation:
+      'Give each landmark of a repeated kind a distinct name with aria-label or aria-labelledby, e.g. <nav aria-label="Breadcrumb">, so screen reader users can tell them apart.',
+  },
+  {
+    id: "R88",
+    tag: "*",
+    level: "A",
+    wcag: ["1.3.1"],
+    techniques: ["ARIA11"],
+    tags: ["structure"],
+    confidence: "needs-manual-review",
+    regex: /<[a-z][\w-]*\b[^>]*>/gi,
+    message: "Content outside of landmarks",
+    // Pages only, see landmarks.js
+    validate: (tag, doc, node, tree) =>
+      hasLandmarkProblem(tree, node, "outside-landmarks"),
+    recommendation:
+      "Place all content of the page inside landmarks (<header>, <nav>, <main>, <aside>, <footer>) so screen reader users reaching it by landmark navigation do not miss it.",
+  },
 ];
@@ -0,0 +1,159 @@
+// sarif.js
+
+const rules = require("./rules");
+const { findRule } = require("./checker");
+const { getRuleMetadata } = require("./wcag");
+const { version } = require("../package.json");
+
+/**
+ * SARIF 2.1.0 logs of checked files, for code-scanning dashboards (e.g.
+ * GitHub code scanning) and SARIF viewers. Rule descriptors are built from
+ * the rules (rules.js and plugins) and carry their WCAG metadata as
+ * properties. Lines and columns are 1-based, columns in UTF-16 code units.
+ */
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const INFORMATION_URI = "https://github.com/vanessamarely/vscode-checksemantic";
+
+// Base of the relative artifact URIs
+const SOURCE_ROOT = "%SRCROOT%";
+
+// SARIF result levels for the checker severities
+const SARIF_LEVELS = {
+  info: "note",
+  warning: "warning",
+  error: "error",
+};
+
+// Message and recommendation as one text
+const describe = ({ message, recommendation }) =>
+  `${/[.!?]$/.test(message) ? message : `${message}.`} ${recommendation}`;
+
+// Describes a rule for tool.driver.rules
+function toRuleDescriptor(rule) {
+  const { wcag, techniques, tags, confidence, docsUrl } = getRuleMetadata(rule);
+  return {
+    id: rule.id,
+    shortDescription: { text: rule.message },
+    fullDescription: { text: describe(rule) },
+    help: { text: rule.recommendation },
+    helpUri: docsUrl,
+    defaultConfiguration: { level: "warning" },
+    properties: {
+      message: rule.message,
+      recommendation: rule.recommendation,
+      wcagLevel: rule.level,
+      successCriteria: wcag.map(({ id }) => id),
+      techniques: techniques.map(({ id }) => id),
+      confidence,
+      tags: ["accessibility", `wcag-${rule.level.toLowerCase()}`, ...tags],
+    },
+  };
+}
+
+// Location of a file: relative paths are resolved against SOURCE_ROOT,
+// absolute URIs (e.g. of unsaved documents) are kept as they are
+function toArtifactLocation(file) {
+  return /^[a-z][\w+.-]*:/i.test(file)
+    ? { uri: file }
+    : { uri: encodeURI(file), uriBaseId: SOURCE_ROOT };
+}
+
+function toRegion({ startLine, startChar, endLine, endChar }) {
+  return {
+    startLine: startLine + 1,
+    startColumn: startChar + 1,
+    endLine: endLine + 1,
+    endColumn: endChar + 1,
+  };
+}
+
+/**
+ * Creates a SARIF log with a single run. Unused suppression comments are
+ * left out: they are not accessibility results.
+ * @param {{ file: string, issues: object[], ruleErrors?: object[] }[]} files
+ *   checked files (relative "/"-separated paths or absolute URIs), with the
+ *   issues and rule errors of their checkDocument() result (see checker.js)
+ * @param {{ rootUri?: string, cancelled?: boolean }} [options] `rootUri` is
+ *   the file URI of the directory relative paths start from
+ * @returns {object}
+ */
+function createSarifLog(files, { rootUri, cancelled = false } = {}) {
+  // Every built-in rule, then the custom rules that reported issues
+  const builtInRules = rules.filter(Boolean);
+  const descriptors = builtInRules.map(toRuleDescriptor);
+  const ruleIndexes = new Map(builtInRules.map(({ id }, index) => [id, index]));
+  const ruleIndex = (ruleId) => {
+    if (!ruleIndexes.has(ruleId)) {
+      const rule = findRule(ruleId);
+      if (!rule) return undefined;
+      ruleIndexes.set(ruleId, descriptors.length);
+      descriptors.push(toRuleDescriptor(rule));
+    }
+    return ruleIndexes.get(ruleId);
+  };
+
+  const results = files.flatMap(({ file, issues }, index) =>
+    issues.map((issue) => ({
+      ruleId: issue.ruleId,
+      ruleIndex: ruleIndex(issue.ruleId),
+      level: SARIF_LEVELS[issue.severity] || "warning",
+      message: { text: describe(issue) },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { ...toArtifactLocation(file), index },
+            region: toRegion(issue),
+          },
+        },
+      ],
+    }))
+  );
+
+  // Rules that threw or ran out of time on a file
+  const notifications = files.flatMap(({ file, ruleErrors = [] }, index) =>
+    ruleErrors.map(({ ruleId, message }) => ({
+      level: "error",
+      message: { text: `Rule ${ruleId} failed and was skipped: ${message}` },
+      associatedRule: { id: ruleId },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { ...toArtifactLocation(file), index },
+          },
+        },
+      ],
+    }))
+  );
+
+  const run = {
+    tool: {
+      driver: {
+        name: "semantic-checker",
+        informationUri: INFORMATION_URI,
+        version,
+        rules: descriptors,
+      },
+    },
+    invocations: [
+      {
+        executionSuccessful: !cancelled,
+        toolExecutionNotifications: notifications,
+      },
+    ],
+    artifacts: files.map(({ file }) => ({
+      location: toArtifactLocation(file),
+    })),
+    columnKind: "utf16CodeUnits",
+    results,
+  };
+  if (rootUri) {
+    run.originalUriBaseIds = { [SOURCE_ROOT]: { uri: rootUri } };
+  }
+
+  return { $schema: SARIF_SCHEMA, version: "2.1.0", runs: [run] };
+}
+
+module.exports = {
+  createSarifLog,
+};
@@ -0,0 +1,810 @@
+// server.js
+
+const fs = require("fs");
+const { fileURLToPath } = require("url");
+const {
+  createConnection,
+  ProposedFeatures,
+  TextDocuments,
+  TextDocumentSyncKind,
+  TextDocumentEdit,
+  TextEdit,
+  CodeActionKind,
+  DiagnosticSeverity,
+  DiagnosticTag,
+  MarkupKind,
+  DidChangeConfigurationNotification,
+  DidChangeWatchedFilesNotification,
+} = require("vscode-languageserver/node");
+const { TextDocument } = require("vscode-languageserver-textdocument");
+const { findRule, prepareDocument } = require("./checker");
+const { CONFIG_FILE_NAMES, resolveConfig } = require("./config");
+const { isFixable, computeFixes } = require("./fixes");
+const { ADAPTERS, getLanguage } = require("./adapters");
+const { getRuleMetadata } = require("./wcag");
+const {
+  BASELINE_FILE_NAME,
+  fingerprintIssues,
+  applyBaseline,
+} = require("./baseline");
+const { createGitCache, filterChangedIssues } = require("./git");
+const { describeOutline } = require("./outline");
+const { describeLandmarks } = require("./landmarks");
+const {
+  isHiddenInTree,
+  getRole,
+  describeAccessibleName,
+  getAccessibleDescription,
+} = require("./names");
+const {
+  createRulePerformance,
+  formatRulePerformance,
+} = require("./performance");
+const { createCheckWorker } = require("./worker");
+const {
+  CHECK_DELAY_MS,
+  DIAGNOSTIC_SOURCE,
+  REQUESTS,
+  OPEN_DOCUMENTATION_COMMAND,
+} = require("./protocol");
+
+/**
+ * Language server publishing the semantic HTML diagnostics, quick fixes and
+ * hovers to any LSP client: the VS Code extension (extension.js) starts it
+ * over IPC, other editors run `semantic-checker-language-server --stdio`.
+ *
+ * Settings are read from the "semanticChecker" section of the client
+ * configuration, { rules, targetLevel, ruleTimeBudget, useBaseline, gitDiff },
+ * and the nearest project configuration file builds upon them (see
+ * config.js). Clients without workspace/configuration pass them in the
+ * initializationOptions or workspace/didChangeConfiguration, as
+ * { semanticChecker: { ... } }.
+ */
+
+const DEFAULT_SETTINGS = {
+  rules: {},
+  targetLevel: "AAA",
+  ruleTimeBudget: 500,
+  useBaseline: true,
+  gitDiff: { mode: "off", base: "HEAD" },
+};
+
+const DIAGNOSTIC_SEVERITIES = {
+  info: DiagnosticSeverity.Information,
+  warning: DiagnosticSeverity.Warning,
+  error: DiagnosticSeverity.Error,
+};
+
+// Settings of the "semanticChecker" section, with the defaults of package.json
+function toSettings(section) {
+  const { rules, targetLevel, ruleTimeBudget, useBaseline, gitDiff } =
+    section || {};
+  return {
+    rules: rules || DEFAULT_SETTINGS.rules,
+    targetLevel: targetLevel || DEFAULT_SETTINGS.targetLevel,
+    ruleTimeBudget: ruleTimeBudget || DEFAULT_SETTINGS.ruleTimeBudget,
+    useBaseline: useBaseline !== false,
+    gitDiff: { ...DEFAULT_SETTINGS.gitDiff, ...gitDiff },
+  };
+}
+
+// Path of a document on disk; null for unsaved documents
+function getFilePath(uri) {
+  return uri.startsWith("file:") ? fileURLToPath(uri) : null;
+}
+
+function toRange({ startLine, startChar, endLine, endChar }) {
+  return {
+    start: { line: startLine, character: startChar },
+    end: { line: endLine, character: endChar },
+  };
+}
+
+function containsPosition({ start, end }, { line, character }) {
+  const after =
+    line > start.line || (line === start.line && character >= start.character);
+  const before =
+    line < end.line || (line === end.line && character <= end.character);
+  return after && before;
+}
+
+/**
+ * Converts a checkDocument() result (see checker.js) into LSP diagnostics.
+ * Each issue carries its rule id as code and in its data; suppression
+ * comments that no longer suppress anything are tagged as unnecessary.
+ * @param {object} result
+ * @param {string} uri
+ * @returns {object[]}
+ */
+function createDiagnostics({ issues, unusedSuppressions = [] }, uri) {
+  const issueDiagnostics = issues.map((issue) => {
+    const range = toRange(issue);
+    const criteria = (issue.wcag || [])
+      .map(({ id, title }) => `${id} ${title}`)
+      .join(", ");
+    const [criterion] = issue.wcag || [];
+
+    return {
+      range,
+      severity:
+        DIAGNOSTIC_SEVERITIES[issue.severity] || DiagnosticSeverity.Warning,
+      source: DIAGNOSTIC_SOURCE,
+      code: issue.ruleId,
+      codeDescription: { href: issue.codeUrl },
+      message: `${issue.message} \n [WCAG ${
+        criteria ? `${criteria} · ` : ""
+      }Level ${issue.level}]\n\n🔧 Recommendation: ${issue.recommendation}`,
+      relatedInformation: [
+        {
+          location: { uri, range },
+          message: `📘 Learn more: ${
+            criterion ? `${criterion.title}: ` : ""
+          }${issue.codeUrl}`,
+        },
+      ],
+      data: { ruleId: issue.ruleId },
+    };
+  });
+
+  const suppressionDiagnostics = unusedSuppressions.map((suppression) => ({
+    range: toRange(suppression),
+    severity: DiagnosticSeverity.Information,
+    source: DIAGNOSTIC_SOURCE,
+    code: "unused-suppression",
+    message: suppression.message,
+    tags: [DiagnosticTag.Unnecessary],
+  }));
+
+  return issueDiagnostics.concat(suppressionDiagnostics);
+}
+
+// Rule id of a diagnostic created by createDiagnostics (undefined for others)
+function getDiagnosticRuleId(diagnostic) {
+  return diagnostic.source === DIAGNOSTIC_SOURCE && diagnostic.data
+    ? diagnostic.data.ruleId
+    : undefined;
+}
+
+/**
+ * Markdown describing a rule: success criteria, techniques, tags and docs.
+ * @param {object} rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  const { wcag, techniques, tags, confidence, docsUrl } = getRuleMetadata(rule);
+  const lines = [`**${rule.id}** · ${rule.message} (WCAG Level ${rule.level})`];
+
+  if (wcag.length > 0) {
+    lines.push(
+      `Success criteria: ${wcag
+        .map(
+          ({ id, title, level, url }) => `[${id} ${title}](${url}) (${level})`
+        )
+        .join(", ")}`
+    );
+  }
+  if (techniques.length > 0) {
+    lines.push(
+      `Techniques: ${techniques
+        .map(({ id, url }) => (url ? `[${id}](${url})` : id))
+        .join(", ")}`
+    );
+  }
+  if (tags.length > 0) lines.push(`Tags: ${tags.join(", ")}`);
+  lines.push(
+    confidence === "definite"
+      ? "Confidence: definite failure"
+      : "Confidence: needs manual review"
+  );
+  lines.push(`[Documentation](${docsUrl})`);
+
+  return lines.join("\n\n");
+}
+
+// Escapes the Markdown syntax in text taken from a document
+const escapeMarkdown = (text) =>
+  text.replace(/[\\`*_{}[\]()#+\-.!<>|]/g, "\\$&");
+
+/**
+ * Markdown describing how assistive technologies expose an element: its
+ * role, accessible name and description (see names.js).
+ * @param {object} tree see buildTree()
+ * @param {object} node element of the tree
+ * @returns {string}
+ */
+function describeElement(tree, node) {
+  const title = `**\`<${node.tagName}>\`**`;
+  if (isHiddenInTree(node)) {
+    return `${title} · Hidden from assistive technologies`;
+  }
+
+  const { name, from } = describeAccessibleName(tree, node);
+  const description = getAccessibleDescription(tree, node);
+  const lines = [`${title} · Role: ${getRole(tree, node) || "none"}`];
+  if (name) {
+    lines.push(`Accessible name: "${escapeMarkdown(name)}" (from ${from})`);
+  } else {
+    lines.push(
+      from === "alt"
+        ? 'Accessible name: empty (alt="")'
+        : "Accessible name: none"
+    );
+  }
+  if (description) {
+    lines.push(`Accessible description: "${escapeMarkdown(description)}"`);
+  }
+  return lines.join("\n\n");
+}
+
+/**
+ * Builds a WorkspaceEdit applying the autofix of each target. Overlapping
+ * fixes are merged into one edit by fixes.js. When the client supports
+ * snippet edits, a single fix is inserted as a snippet so the user can tab
+ * through its placeholders; otherwise the placeholders' default text is used.
+ * @returns {object | null} null when none of the targets can be fixed
+ */
+function createFixEdit(document, language, targets, snippetEdits) {
+  const { edits } = computeFixes(document.getText(), targets, language);
+  if (edits.length === 0) return null;
+
+  const useSnippets = snippetEdits && edits.length === 1;
+  const textEdits = edits.map(({ start, end, newText, snippet }) => {
+    const range = {
+      start: document.positionAt(start),
+      end: document.positionAt(end),
+    };
+    return useSnippets && snippet
+      ? { range, snippet: { kind: "snippet", value: snippet } }
+      : TextEdit.replace(range, newText);
+  });
+
+  // Snippet edits are only allowed in versioned document changes
+  if (!useSnippets) return { changes: { [document.uri]: textEdits } };
+  return {
+    documentChanges: [
+      TextDocumentEdit.create(
+        { uri: document.uri, version: document.version },
+        textEdits
+      ),
+    ],
+  };
+}
+
+// Fix target (rule id and offsets) for a diagnostic
+function toFixTarget(document, diagnostic) {
+  return {
+    ruleId: getDiagnosticRuleId(diagnostic),
+    start: document.offsetAt(diagnostic.range.start),
+    end: document.offsetAt(diagnostic.range.end),
+  };
+}
+
+/**
+ * Serves a client over a connection and starts listening to it.
+ * @param {object} connection created by createConnection of vscode-languageserver
+ */
+function startServer(connection) {
+  const documents = new TextDocuments(TextDocument);
+  // Checks run in a worker thread so large documents do not block the server
+  const checkWorker = createCheckWorker();
+  // Rule timings and errors of every check in this session
+  const rulePerformance = createRulePerformance();
+  // Configuration and rule errors already shown, to avoid repeating them
+  const reportedErrors = new Set();
+  const pendingChecks = new Map();
+  // Latest live check of each document, so results of outdated checks are dropped
+  const latestChecks = new Map();
+  // Diagnostics last published for each document
+  const published = new Map();
+  const settingsByUri = new Map();
+  // Parsed open documents with their version, for hovers and the views
+  const parsedDocuments = new Map();
+  // Git state of the git-diff mode, cleared on save and when HEAD or the
+  // index change
+  const gitCache = createGitCache();
+
+  let globalSettings = toSettings();
+  let pullConfiguration = false;
+  let snippetEdits = false;
+  let registrations = {};
+
+  const reportError = (message) => {
+    if (reportedErrors.has(message)) return;
+    reportedErrors.add(message);
+    connection.window.showErrorMessage(`Semantic HTML Checker: ${message}`);
+  };
+
+  const getSettings = (uri) => {
+    if (!pullConfiguration) return Promise.resolve(globalSettings);
+    if (!settingsByUri.has(uri)) {
+      settingsByUri.set(
+        uri,
+        connection.workspace
+          .getConfiguration({ scopeUri: uri, section: "semanticChecker" })
+          .then(toSettings)
+      );
+    }
+    return settingsByUri.get(uri);
+  };
+
+  const publish = (uri, diagnostics) => {
+    published.set(uri, diagnostics);
+    connection.sendDiagnostics({ uri, diagnostics });
+  };
+
+  const getDocumentLanguage = (document) =>
+    getLanguage(document.languageId, getFilePath(document.uri));
+
+  // Parses a document once per version (see prepareDocument in checker.js)
+  const parseDocument = (document) => {
+    const { uri, version } = document;
+    const parsed = parsedDocuments.get(uri);
+    if (parsed && parsed.version === version) return parsed.context;
+
+    const context = prepareDocument(document.getText(), {
+      language: getDocumentLanguage(document),
+    });
+    // Files read from disk have no version to tell their changes apart
+    if (documents.get(uri) === document) {
+      parsedDocuments.set(uri, { version, context });
+    }
+    return context;
+  };
+
+  // An open document, or a file on disk read for a workspace check
+  const readDocument = (uri) => {
+    const open = documents.get(uri);
+    if (open) return open;
+
+    const filePath = getFilePath(uri);
+    if (!filePath) throw new Error(`Cannot read ${uri}`);
+    return TextDocument.create(uri, "", 0, fs.readFileSync(filePath, "utf-8"));
+  };
+
+  /**
+   * Checks a document in the worker thread (see worker.js), which resolves
+   * the same configuration and re-checks incrementally. Resolving it here
+   * too loads the plugins, so the rules of their issues can be found for
+   * quick fixes and hovers, and reports the plugins that failed to load.
+   * The rules that threw or ran out of time are reported instead of
+   * failing the check. Issues get their fingerprint; the known issues of
+   * the baseline (see baseline.js) and, in git-diff mode, the issues on
+   * unchanged lines (see git.js) are left out unless `useBaseline` or
+   * `useGitDiff` is false.
+   */
+  const check = async (
+    document,
+    onProgress,
+    { useBaseline = true, useGitDiff = true } = {}
+  ) => {
+    const { uri } = document;
+    const settings = await getSettings(uri);
+    const filePath = getFilePath(uri);
+
+    try {
+      const options = resolveConfig(filePath, settings);
+      options.errors.forEach(reportError);
+      // Files listed in a project config's ignorePatterns are skipped
+      if (options.ignored) {
+        return {
+          issues: [],
+          unusedSuppressions: [],
+          ruleErrors: [],
+          ruleTimings: [],
+          baselined: 0,
+          unchanged: 0,
+          ignored: true,
+        };
+      }
+    } catch (error) {
+      reportError(error.message);
+    }
+
+    const text = document.getText();
+    const withoutBaseline = (issues) => {
+      if (!useBaseline || !settings.useBaseline) {
+        return { issues: fingerprintIssues(text, issues), baselined: 0 };
+      }
+      try {
+        return applyBaseline(filePath, text, issues);
+      } catch (error) {
+        reportError(error.message);
+        return { issues: fingerprintIssues(text, issues), baselined: 0 };
+      }
+    };
+
+    let changedLines = null;
+    if (useGitDiff && settings.gitDiff.mode !== "off" && filePath) {
+      try {
+        changedLines = await gitCache.getChangedLinesOf(
+          filePath,
+          text,
+          settings.gitDiff
+        );
+      } catch (error) {
+        reportError(error.message);
+      }
+    }
+    const filterIssues = (issues) => {
+      const filtered = withoutBaseline(issues);
+      return changedLines
+        ? {
+            ...filtered,
+            ...filterChangedIssues(text, filtered.issues, changedLines),
+          }
+        : { ...filtered, unchanged: 0 };
+    };
+
+    const result = await checkWorker.check(
+      uri,
+      { text, filePath, settings, language: getDocumentLanguage(document) },
+      onProgress &&
+        ((progress) =>
+          onProgress({
+            ...progress,
+            issues: filterIssues(progress.issues).issues,
+          }))
+    );
+    rulePerformance.record(result);
+    result.ruleErrors.forEach(({ ruleId, message }) =>
+      reportError(`Rule ${ruleId} failed and was skipped: ${message}`)
+    );
+    return { ...result, ...filterIssues(result.issues), ignored: false };
+  };
+
+  // Re-checks an open document and publishes its diagnostics. Issues found
+  // so far are shown with the previous diagnostics of the rules that did
+  // not run yet, so long checks fill in without flickering.
+  const refresh = async (document) => {
+    const { uri } = document;
+    const current = {};
+    latestChecks.set(uri, current);
+    const isLatest = () =>
+      documents.get(uri) !== undefined && latestChecks.get(uri) === current;
+
+    const showProgress = ({ issues, ruleIds }) => {
+      if (!isLatest()) return;
+      const done = new Set(ruleIds);
+      const pending = (published.get(uri) || []).filter((diagnostic) => {
+        const ruleId = getDiagnosticRuleId(diagnostic);
+        return ruleId && !done.has(ruleId);
+      });
+      publish(uri, createDiagnostics({ issues }, uri).concat(pending));
+    };
+
+    try {
+      const result = await check(document, showProgress);
+      if (isLatest()) publish(uri, createDiagnostics(result, uri));
+    } catch (error) {
+      if (isLatest()) reportError(`Checking ${uri} failed: ${error.message}`);
+    } finally {
+      if (latestChecks.get(uri) === current) latestChecks.delete(uri);
+    }
+  };
+
+  const scheduleCheck = (document) => {
+    if (!getDocumentLanguage(document)) return;
+
+    const { uri } = document;
+    clearTimeout(pendingChecks.get(uri));
+    pendingChecks.set(
+      uri,
+      setTimeout(() => {
+        pendingChecks.delete(uri);
+        const open = documents.get(uri);
+        if (open) refresh(open);
+      }, CHECK_DELAY_MS)
+    );
+  };
+
+  const checkAll = () => documents.all().forEach(scheduleCheck);
+
+  connection.onInitialize(({ capabilities, initializationOptions }) => {
+    const workspace = capabilities.workspace || {};
+    pullConfiguration = Boolean(workspace.configuration);
+    snippetEdits = Boolean(
+      workspace.workspaceEdit && workspace.workspaceEdit.snippetEditSupport
+    );
+    registrations = {
+      configuration: Boolean(
+        workspace.didChangeConfiguration &&
+        workspace.didChangeConfiguration.dynamicRegistration
+      ),
+      watchedFiles: Boolean(
+        workspace.didChangeWatchedFiles &&
+        workspace.didChangeWatchedFiles.dynamicRegistration
+      ),
+    };
+    globalSettings = toSettings(
+      initializationOptions && initializationOptions.semanticChecker
+    );
+
+    return {
+      capabilities: {
+        textDocumentSync: {
+          openClose: true,
+          change: TextDocumentSyncKind.Incremental,
+          save: true,
+        },
+        codeActionProvider: { codeActionKinds: [CodeActionKind.QuickFix] },
+        hoverProvider: true,
+        executeCommandProvider: { commands: [OPEN_DOCUMENTATION_COMMAND] },
+      },
+      serverInfo: { name: "semantic-checker" },
+    };
+  });
+
+  connection.onInitialized(() => {
+    if (registrations.configuration) {
+      connection.client.register(DidChangeConfigurationNotification.type, {
+        section: "semanticChecker",
+      });
+    }
+    // Re-check open documents when a project configuration file, the
+    // baseline or the git state of the git-diff mode changes
+    if (registrations.watchedFiles) {
+      connection.client.register(DidChangeWatchedFilesNotification.type, {
+        watchers: [
+          {
+            globPattern: `**/{${[...CONFIG_FILE_NAMES, BASELINE_FILE_NAME].join(",")}}`,
+          },
+          { globPattern: "**/.git/{HEAD,index}" },
+          { globPattern: "**/.git/refs/**" },
+        ],
+      });
+    }
+  });
+
+  connection.onDidChangeConfiguration(({ settings }) => {
+    settingsByUri.clear();
+    if (!pullConfiguration) {
+      globalSettings = toSettings(settings && settings.semanticChecker);
+    }
+    checkAll();
+  });
+
+  connection.onDidChangeWatchedFiles(({ changes }) => {
+    if (changes.some(({ uri }) => uri.includes("/.git/"))) gitCache.clear();
+    checkAll();
+  });
+
+  documents.onDidChangeContent(({ document }) => scheduleCheck(document));
+
+  // Not every client reports changes in the .git folder, so the git state
+  // is also read again after a save
+  documents.onDidSave(() => gitCache.clear());
+
+  documents.onDidClose(({ document: { uri } }) => {
+    clearTimeout(pendingChecks.get(uri));
+    pendingChecks.delete(uri);
+    latestChecks.delete(uri);
+    settingsByUri.delete(uri);
+    parsedDocuments.delete(uri);
+    checkWorker.close(uri);
+    publish(uri, []);
+    published.delete(uri);
+  });
+
+  // Quick fixes offered in the lightbulb for each semantic-checker diagnostic
+  connection.onCodeAction(({ textDocument, context }) => {
+    const document = documents.get(textDocument.uri);
+    if (!document) return [];
+
+    const language = getDocumentLanguage(document) || "html";
+    const actions = [];
+    const fixAllRules = new Set();
+
+    context.diagnostics.forEach((diagnostic) => {
+      const ruleId = getDiagnosticRuleId(diagnostic);
+      if (!ruleId) return;
+
+      const fix = isFixable(ruleId)
+        ? createFixEdit(
+            document,
+            language,
+            [toFixTarget(document, diagnostic)],
+            snippetEdits
+          )
+        : null;
+
+      if (fix) {
+        actions.push({
+          title: `Fix this ${ruleId} issue`,
+          kind: CodeActionKind.QuickFix,
+          diagnostics: [diagnostic],
+          isPreferred: true,
+          edit: fix,
+        });
+
+        const sameRule = (published.get(document.uri) || []).filter(
+          (other) => getDiagnosticRuleId(other) === ruleId
+        );
+        if (sameRule.length > 1 && !fixAllRules.has(ruleId)) {
+          fixAllRules.add(ruleId);
+          const fixAll = createFixEdit(
+            document,
+            language,
+            sameRule.map((other) => toFixTarget(document, other)),
+            false
+          );
+          if (fixAll) {
+            actions.push({
+              title: `Fix all ${ruleId} issues in file`,
+              kind: CodeActionKind.QuickFix,
+              diagnostics: sameRule,
+              edit: fixAll,
+            });
+          }
+        }
+      }
+
+      const { line } = diagnostic.range.start;
+      const lineText = document.getText({
+        start: { line, character: 0 },
+        end: { line: line + 1, character: 0 },
+      });
+      const [indentation] = lineText.match(/^[ \t]*/);
+      const { comment } = ADAPTERS[language];
+      actions.push({
+        title: `Suppress ${ruleId} on this line`,
+        kind: CodeActionKind.QuickFix,
+        diagnostics: [diagnostic],
+        edit: {
+          changes: {
+            [document.uri]: [
+              TextEdit.insert(
+                { line, character: 0 },
+                `${indentation}${comment(
+                  `semantic-checker-disable-next-line ${ruleId}`
+                )}\n`
+              ),
+            ],
+          },
+        },
+      });
+
+      const title = `Open ${ruleId} rule documentation`;
+      actions.push({
+        title,
+        kind: CodeActionKind.QuickFix,
+        diagnostics: [diagnostic],
+        command: {
+          title,
+          command: OPEN_DOCUMENTATION_COMMAND,
+          arguments: [ruleId],
+        },
+      });
+    });
+
+    return actions;
+  });
+
+  connection.onExecuteCommand(({ command, arguments: args = [] }) => {
+    const rule = command === OPEN_DOCUMENTATION_COMMAND && findRule(args[0]);
+    if (!rule) return;
+    connection.window.showDocument({
+      uri: getRuleMetadata(rule).docsUrl,
+      external: true,
+    });
+  });
+
+  // Shows the role, name and description of the element under the cursor
+  // and the metadata of the rules reported there
+  connection.onHover(({ textDocument, position }) => {
+    const sections = [];
+
+    // Element whose opening tag is under the cursor
+    const document = documents.get(textDocument.uri);
+    const language = document && getDocumentLanguage(document);
+    if (language) {
+      const { tree } = parseDocument(document);
+      const offset = document.offsetAt(position);
+      const node = tree.elements
+        .filter(
+          ({ start, openTagEnd }) => start <= offset && offset < openTagEnd
+        )
+        .pop();
+      if (node) sections.push(describeElement(tree, node));
+    }
+
+    const ruleIds = new Set(
+      (published.get(textDocument.uri) || [])
+        .filter((diagnostic) => containsPosition(diagnostic.range, position))
+        .map(getDiagnosticRuleId)
+        .filter(Boolean)
+    );
+    [...ruleIds]
+      .map(findRule)
+      .filter(Boolean)
+      .forEach((rule) => sections.push(describeRule(rule)));
+    if (sections.length === 0) return null;
+
+    return {
+      contents: {
+        kind: MarkupKind.Markdown,
+        value: sections.join("\n\n---\n\n"),
+      },
+    };
+  });
+
+  connection.onRequest(
+    REQUESTS.checkDocument,
+    async ({ uri, useBaseline = true, useGitDiff = true }) => {
+      const document = readDocument(uri);
+      try {
+        const result = await check(document, undefined, {
+          useBaseline,
+          useGitDiff,
+        });
+        // Checks of every issue, e.g. to create a baseline, are not shown
+        if (!result.ignored && useBaseline && useGitDiff) {
+          publish(uri, createDiagnostics(result, uri));
+        }
+        return result;
+      } finally {
+        // Files that are not open are not re-checked incrementally
+        if (!documents.get(uri)) checkWorker.close(uri);
+      }
+    }
+  );
+
+  connection.onRequest(REQUESTS.computeFixes, ({ uri, targets }) => {
+    const document = readDocument(uri);
+    const { edits, conflicts } = computeFixes(
+      document.getText(),
+      targets,
+      getDocumentLanguage(document)
+    );
+
+    return {
+      edits: edits.map(({ start, end, newText, ruleIds }) => ({
+        range: {
+          start: document.positionAt(start),
+          end: document.positionAt(end),
+        },
+        newText,
+        ruleIds,
+        description: ruleIds
+          .map((ruleId) => findRule(ruleId).message)
+          .join(" · "),
+      })),
+      conflicts,
+    };
+  });
+
+  connection.onRequest(REQUESTS.rulePerformance, () => {
+    const summary = rulePerformance.getSummary();
+    return { summary, text: formatRulePerformance(summary) };
+  });
+
+  connection.onRequest(REQUESTS.documentOutline, ({ uri }) => {
+    const { tree, positionAt } = parseDocument(readDocument(uri));
+    return describeOutline(tree, positionAt);
+  });
+
+  connection.onRequest(REQUESTS.documentLandmarks, ({ uri }) => {
+    const { tree, positionAt } = parseDocument(readDocument(uri));
+    return describeLandmarks(tree, positionAt);
+  });
+
+  connection.onShutdown(() => {
+    pendingChecks.forEach((timer) => clearTimeout(timer));
+    pendingChecks.clear();
+    checkWorker.dispose();
+  });
+
+  documents.listen(connection);
+  connection.listen();
+}
+
+// Started by a client: over IPC by the VS Code extension, or with --stdio,
+// --node-ipc or --socket=<port> by other editors
+if (require.main === module) {
+  startServer(createConnection(ProposedFeatures.all));
+}
+
+module.exports = {
+  createDiagnostics,
+  describeRule,
+  startServer,
+};
@@ -0,0 +1,81 @@
+// snippets.js
+
+/**
+ * Helpers for the snippet syntax used by rule autofixes. Autofixes return
+ * snippets so the editor can let the user tab through the text that needs
+ * human input, e.g. `alt="${1:description}"`. Where snippets cannot be used
+ * (bulk fixes, the CLI), they are turned into plain text with the
+ * placeholders' default values.
+ */
+
+// Escapes literal text so it can be embedded in a snippet
+function escapeSnippet(text) {
+  return text.replace(/[\\$}]/g, "\\$&");
+}
+
+/**
+ * Converts a snippet into plain text: placeholders become their default
+ * value, choices their first option and tabstops disappear.
+ * @param {string} snippet
+ * @returns {string}
+ */
+function snippetToText(snippet) {
+  let index = 0;
+
+  // Reads until one of the `stops` characters (unescaped) at this nesting level
+  const read = (stops) => {
+    let text = "";
+    while (index < snippet.length && !stops.includes(snippet[index])) {
+      const char = snippet[index];
+
+      if (char === "\\" && index + 1 < snippet.length) {
+        text += snippet[index + 1];
+        index += 2;
+      } else if (char === "$" && /\d/.test(snippet[index + 1] || "")) {
+        // $1 tabstop
+        index++;
+        while (/\d/.test(snippet[index] || "")) index++;
+      } else if (char === "$" && snippet[index + 1] === "{") {
+        text += readPlaceholder();
+      } else {
+        text += char;
+        index++;
+      }
+    }
+    return text;
+  };
+
+  // ${1}, ${1:default} or ${1|first,second|}
+  const readPlaceholder = () => {
+    index += 2;
+    while (/\d/.test(snippet[index] || "")) index++;
+
+    let value = "";
+    if (snippet[index] === ":") {
+      index++;
+      value = read(["}"]);
+    } else if (snippet[index] === "|") {
+      index++;
+      value = read([",", "|"]);
+      while (index < snippet.length && snippet[index] !== "}") {
+        if (snippet[index] === "\\") index++;
+        index++;
+      }
+    }
+    index++; // closing "}"
+    return value;
+  };
+
+  return read([]);
+}
+
+// Whether a snippet has tabstops or placeholders
+function hasPlaceholders(snippet) {
+  return snippetToText(snippet) !== snippet.replace(/\\([\\$}])/g, "$1");
+}
+
+module.exports = {
+  escapeSnippet,
+  snippetToText,
+  hasPlaceholders,
+};
@@ -0,0 +1,164 @@
+// suppressions.js
+
+const { walk } = require("./parser");
+
+/**
+ * Inline suppression comments:
+ *
+ *   <!-- semantic-checker-disable-next-line R60 -->
+ *   <!-- semantic-checker-disable R38, R41 -->  ...  <!-- semantic-checker-enable -->
+ *   <!-- semantic-checker-disable-file R61 -->
+ *
+ * Rule ids are separated by spaces or commas; without ids the directive
+ * applies to every rule. Anything after "--" is a free-form reason.
+ */
+
+const DIRECTIVE =
+  /^\s*semantic-checker-(disable-next-line|disable-file|disable|enable)\b([\s\S]*)$/;
+
+// Built-in ids are case-insensitive (r1), custom ids are kept as is
+function parseRuleIds(text) {
+  const [ids] = text.split("--");
+  return ids
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((id) => (/^r\d+$/i.test(id) ? id.toUpperCase() : id));
+}
+
+/**
+ * Reads the suppression directives of a parsed document.
+ * @param {object} document root node from parser.js
+ * @param {(offset: number) => { line: number, character: number }} positionAt
+ * @returns {object[]} directives in source order
+ */
+function parseDirectives(document, positionAt) {
+  const directives = [];
+
+  walk(document, (node) => {
+    if (node.type !== "comment") return;
+
+    const match = DIRECTIVE.exec(node.value);
+    if (!match) return;
+
+    directives.push({
+      type: match[1],
+      ruleIds: parseRuleIds(match[2]),
+      start: node.start,
+      end: node.end,
+      startPosition: positionAt(node.start),
+      endPosition: positionAt(node.end),
+    });
+  });
+
+  return directives;
+}
+
+// Whether a suppression (or one of its rule ids) covers a rule
+const covers = (ruleIds, ruleId) =>
+  ruleIds.length === 0 || ruleIds.includes(ruleId);
+
+/**
+ * Turns directives into suppressions with the rules and the range of issues
+ * they cover. A "disable" gets one range per rule id, which ends at the
+ * next "enable" that re-enables that rule.
+ */
+function toSuppressions(directives, textLength) {
+  const suppressions = [];
+
+  directives.forEach((directive, index) => {
+    const { ruleIds } = directive;
+    if (directive.type === "disable-next-line") {
+      suppressions.push({
+        directive,
+        ruleIds,
+        matches: (issue) =>
+          issue.startLine === directive.endPosition.line + 1,
+      });
+    } else if (directive.type === "disable-file") {
+      suppressions.push({ directive, ruleIds, matches: () => true });
+    } else if (directive.type === "disable") {
+      // Without rule ids, one range for every rule
+      const ranges = ruleIds.length === 0 ? [[]] : ruleIds.map((id) => [id]);
+      ranges.forEach((rangeIds) => {
+        const enable = directives
+          .slice(index + 1)
+          .find(
+            (other) =>
+              other.type === "enable" &&
+              (other.ruleIds.length === 0 ||
+                rangeIds.some((id) => other.ruleIds.includes(id)))
+          );
+        const rangeEnd = enable ? enable.start : textLength;
+        suppressions.push({
+          directive,
+          ruleIds: rangeIds,
+          matches: (issue) =>
+            issue.startOffset >= directive.end && issue.startOffset < rangeEnd,
+        });
+      });
+    }
+  });
+
+  return suppressions;
+}
+
+/**
+ * Removes suppressed issues and reports suppressions that did not apply.
+ * Every suppression covering an issue counts as used.
+ * @param {object[]} issues checker issues (with startLine and startOffset)
+ * @param {object[]} directives from parseDirectives
+ * @param {number} textLength length of the document
+ * @returns {{ issues: object[], unusedSuppressions: object[] }}
+ */
+function applySuppressions(issues, directives, textLength) {
+  const suppressions = toSuppressions(directives, textLength);
+  const used = new Map(directives.map((directive) => [directive, new Set()]));
+
+  const remaining = issues.filter((issue) => {
+    const covering = suppressions.filter(
+      ({ ruleIds, matches }) => covers(ruleIds, issue.ruleId) && matches(issue)
+    );
+    covering.forEach(({ directive }) => used.get(directive).add(issue.ruleId));
+    return covering.length === 0;
+  });
+
+  const unusedSuppressions = [];
+  directives.forEach((directive) => {
+    if (directive.type === "enable") return;
+    const usedIds = used.get(directive);
+    let unusedIds;
+    if (directive.ruleIds.length === 0) {
+      // A directive for every rule is used as soon as it suppresses anything
+      if (usedIds.size > 0) return;
+      unusedIds = [];
+    } else {
+      unusedIds = directive.ruleIds.filter((id) => !usedIds.has(id));
+      if (unusedIds.length === 0) return;
+    }
+
+    const name = `semantic-checker-${directive.type}`;
+    unusedSuppressions.push({
+      directive: name,
+      ruleIds: unusedIds,
+      message:
+        unusedIds.length === 0
+          ? `Unused ${name} directive (no issues were suppressed).`
+          : `Unused ${name} directive (no ${unusedIds.join(
+              ", "
+            )} issues were suppressed).`,
+      startLine: directive.startPosition.line,
+      startChar: directive.startPosition.character,
+      endLine: directive.endPosition.line,
+      endChar: directive.endPosition.character,
+      startOffset: directive.start,
+      endOffset: directive.end,
+    });
+  });
+
+  return { issues: remaining, unusedSuppressions };
+}
+
+module.exports = {
+  parseDirectives,
+  applySuppressions,
+};
@@ -0,0 +1,180 @@
+// templates.js
+
+/**
+ * Template-engine syntax in server-rendered views (PHP, Handlebars, Nunjucks,
+ * Jinja, ERB, Razor). neutralizeTemplates() rewrites it in place, keeping the
+ * length of the text so offsets still match the source file:
+ *
+ * - output tags ({{ value }}, <?= $value ?>, <%= value %>, @Model.Value)
+ *   become placeholder text, so alt="{{ img.alt }}" counts as a value
+ * - statement tags ({% if %}, {{#each}}, <?php foreach (...): ?>, <% end %>)
+ *   and template comments are blanked
+ * - only the first branch of a conditional is kept, so a tag split by
+ *   {% if %}class="a"{% else %}class="b"{% endif %} does not look like it
+ *   has a duplicate attribute
+ */
+
+// Replaces every character except line breaks with a space
+const blank = (text) => text.replace(/[^\r\n]/g, " ");
+
+// Placeholder for dynamic content: the content is there, but holds no markup
+const fill = (text) => text.replace(/[^\r\n]/g, "x");
+
+const TEMPLATE_TAG =
+  /\{\{!--[\s\S]*?--\}\}|\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|\{#[\s\S]*?#\}|<\?(?:php\b|=)?[\s\S]*?(?:\?>|$)|<%[\s\S]*?%>/gi;
+
+/**
+ * Classifies a template tag:
+ * - "output": renders a value
+ * - "open" / "else" / "close": delimits a block or a branch of a conditional
+ * - "statement": anything else (comments, assignments, includes, ...)
+ */
+function classify(tag) {
+  if (tag.startsWith("{{")) {
+    const body = tag.replace(/^\{\{\{?~?\s*/, "");
+    if (/^(?:!|\{\{!)/.test(body) || tag.startsWith("{{!")) return "statement";
+    if (body.startsWith("#")) return "open";
+    if (body.startsWith("/")) return "close";
+    if (/^(?:else\b|\^\s*\}\})/.test(body)) return "else";
+    return "output";
+  }
+
+  if (tag.startsWith("{#")) return "statement";
+
+  if (tag.startsWith("{%")) {
+    const [keyword = ""] = /\w+/.exec(tag.slice(2)) || [];
+    if (/^(?:if|for|unless)$/.test(keyword)) return "open";
+    if (/^(?:else|elif|elseif|elsif)$/.test(keyword)) return "else";
+    if (/^end(?:if|for|unless)$/.test(keyword)) return "close";
+    return "statement";
+  }
+
+  if (tag.startsWith("<%")) {
+    if (tag.startsWith("<%=")) return "output";
+    if (tag.startsWith("<%#")) return "statement";
+    const body = tag.replace(/^<%-?\s*|\s*-?%>$/g, "");
+    if (/^(?:if|unless|case|while|for)\b|\bdo\s*(?:\|[^|]*\|)?$/.test(body)) {
+      return "open";
+    }
+    if (/^(?:else|elsif|when)\b/.test(body)) return "else";
+    if (/^end\b/.test(body)) return "close";
+    // <%- value %> outputs in EJS; it only trims whitespace in ERB statements
+    return tag.startsWith("<%-") ? "output" : "statement";
+  }
+
+  // PHP
+  if (tag.startsWith("<?=")) return "output";
+  const body = tag.replace(/^<\?(?:php)?\s*|\s*\?>$/gi, "");
+  if (/^(?:echo|print)\b/i.test(body)) return "output";
+  if (/^\}?\s*else(?:\s*if|if)?\b/i.test(body)) return "else";
+  if (/^(?:if|foreach|for|while|switch)\b.*[:{]$/is.test(body)) return "open";
+  if (/^(?:\}|end(?:if|foreach|for|while|switch)\b)/i.test(body))
+    return "close";
+  return "statement";
+}
+
+// Razor (.cshtml, .razor) syntax, only applied to Razor views
+const RAZOR_COMMENT = /@\*[\s\S]*?\*@/g;
+const RAZOR_DIRECTIVE =
+  /^[ \t]*@(?:model|using|inject|page|layout|inherits|namespace|implements|attribute)\b.*$/gm;
+const RAZOR_STATEMENT =
+  /(^|[^\w@])@(?:(?:if|foreach|for|while|switch|using|lock|section)\b[^{\r\n]*\{|else\b[^{\r\n]*\{)/g;
+const RAZOR_EXPRESSION =
+  /(^|[^\w@])@(?:\([^)\r\n]*\)|[A-Za-z_]\w*(?:\.[A-Za-z_]\w*|\([^)\r\n]*\)|\[[^\]\r\n]*\])*)/g;
+
+// Index of the "}" closing the "{" at `index`
+function matchingBrace(text, index) {
+  let depth = 0;
+  for (let i = index; i < text.length; i++) {
+    if (text[i] === "{") depth++;
+    if (text[i] === "}" && --depth === 0) return i;
+  }
+  return text.length - 1;
+}
+
+function neutralizeRazor(text) {
+  let result = text
+    .replace(RAZOR_COMMENT, blank)
+    .replace(RAZOR_DIRECTIVE, blank);
+
+  // @{ ... } code blocks
+  let start;
+  while ((start = result.search(/(^|[^\w@])@\{/)) !== -1) {
+    const at = result.indexOf("@{", start);
+    const end = matchingBrace(result, at + 1);
+    result =
+      result.slice(0, at) +
+      blank(result.slice(at, end + 1)) +
+      result.slice(end + 1);
+  }
+
+  return result
+    .replace(
+      RAZOR_STATEMENT,
+      (match, before) => before + blank(match.slice(before.length))
+    )
+    .replace(
+      RAZOR_EXPRESSION,
+      (match, before) => before + fill(match.slice(before.length))
+    );
+}
+
+/**
+ * Neutralizes template syntax in a view.
+ * @param {string} text
+ * @param {{ razor?: boolean }} [options] also rewrite Razor syntax (@Model, @if, ...)
+ * @returns {string} text of the same length
+ */
+function neutralizeTemplates(text, options = {}) {
+  const result = options.razor ? neutralizeRazor(text) : text;
+  if (!/\{\{|\{%|\{#|<\?|<%/.test(result)) return result;
+
+  const tags = [];
+  TEMPLATE_TAG.lastIndex = 0;
+  let match;
+  while ((match = TEMPLATE_TAG.exec(result)) !== null) {
+    if (match[0].length === 0) {
+      TEMPLATE_TAG.lastIndex++;
+      continue;
+    }
+    tags.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      kind: classify(match[0]),
+    });
+  }
+
+  // Spans to blank: every branch of a conditional after the first one
+  const skipped = [];
+  const blocks = [];
+  tags.forEach((tag) => {
+    if (tag.kind === "open") {
+      blocks.push({ elseStart: null });
+    } else if (tag.kind === "else" && blocks.length > 0) {
+      const block = blocks[blocks.length - 1];
+      if (block.elseStart === null) block.elseStart = tag.start;
+    } else if (tag.kind === "close" && blocks.length > 0) {
+      const block = blocks.pop();
+      if (block.elseStart !== null) {
+        skipped.push({ start: block.elseStart, end: tag.start });
+      }
+    }
+  });
+
+  const chars = result.split("");
+  const write = (start, end, replace) => {
+    const replaced = replace(result.slice(start, end));
+    for (let i = 0; i < replaced.length; i++) chars[start + i] = replaced[i];
+  };
+
+  tags.forEach(({ start, end, kind }) =>
+    write(start, end, kind === "output" ? fill : blank)
+  );
+  skipped.forEach(({ start, end }) => write(start, end, blank));
+
+  return chars.join("");
+}
+
+module.exports = {
+  neutralizeTemplates,
+};
@@ -0,0 +1,145 @@
+// wcag.js
+
+/**
+ * WCAG 2.2 reference data behind the rule metadata in rules.js: success
+ * criteria, technique and documentation links.
+ */
+
+const WCAG_URL = "https://www.w3.org/WAI/WCAG22";
+
+// WCAG conformance levels, from least to most strict
+const LEVELS = ["A", "AA", "AAA"];
+
+// Success criteria referenced by the rules: id -> [title, level, Understanding page]
+const SUCCESS_CRITERIA = {
+  "1.1.1": ["Non-text Content", "A", "non-text-content"],
+  "1.2.1": [
+    "Audio-only and Video-only (Prerecorded)",
+    "A",
+    "audio-only-and-video-only-prerecorded",
+  ],
+  "1.2.2": ["Captions (Prerecorded)", "A", "captions-prerecorded"],
+  "1.2.3": [
+    "Audio Description or Media Alternative (Prerecorded)",
+    "A",
+    "audio-description-or-media-alternative-prerecorded",
+  ],
+  "1.2.5": [
+    "Audio Description (Prerecorded)",
+    "AA",
+    "audio-description-prerecorded",
+  ],
+  "1.3.1": ["Info and Relationships", "A", "info-and-relationships"],
+  "1.3.2": ["Meaningful Sequence", "A", "meaningful-sequence"],
+  "1.3.3": ["Sensory Characteristics", "A", "sensory-characteristics"],
+  "1.3.5": ["Identify Input Purpose", "AA", "identify-input-purpose"],
+  "1.3.6": ["Identify Purpose", "AAA", "identify-purpose"],
+  "1.4.1": ["Use of Color", "A", "use-of-color"],
+  "1.4.2": ["Audio Control", "A", "audio-control"],
+  "1.4.3": ["Contrast (Minimum)", "AA", "contrast-minimum"],
+  "1.4.4": ["Resize Text", "AA", "resize-text"],
+  "1.4.5": ["Images of Text", "AA", "images-of-text"],
+  "1.4.9": [
+    "Images of Text (No Exception)",
+    "AAA",
+    "images-of-text-no-exception",
+  ],
+  "1.4.10": ["Reflow", "AA", "reflow"],
+  "1.4.11": ["Non-text Contrast", "AA", "non-text-contrast"],
+  "1.4.12": ["Text Spacing", "AA", "text-spacing"],
+  "1.4.13": ["Content on Hover or Focus", "AA", "content-on-hover-or-focus"],
+  "2.1.1": ["Keyboard", "A", "keyboard"],
+  "2.1.2": ["No Keyboard Trap", "A", "no-keyboard-trap"],
+  "2.1.4": ["Character Key Shortcuts", "A", "character-key-shortcuts"],
+  "2.2.2": ["Pause, Stop, Hide", "A", "pause-stop-hide"],
+  "2.4.1": ["Bypass Blocks", "A", "bypass-blocks"],
+  "2.4.2": ["Page Titled", "A", "page-titled"],
+  "2.4.3": ["Focus Order", "A", "focus-order"],
+  "2.4.4": ["Link Purpose (In Context)", "A", "link-purpose-in-context"],
+  "2.4.5": ["Multiple Ways", "AA", "multiple-ways"],
+  "2.4.6": ["Headings and Labels", "AA", "headings-and-labels"],
+  "2.4.7": ["Focus Visible", "AA", "focus-visible"],
+  "2.4.9": ["Link Purpose (Link Only)", "AAA", "link-purpose-link-only"],
+  "2.4.10": ["Section Headings", "AAA", "section-headings"],
+  "2.5.3": ["Label in Name", "A", "label-in-name"],
+  "3.1.1": ["Language of Page", "A", "language-of-page"],
+  "3.1.2": ["Language of Parts", "AA", "language-of-parts"],
+  "3.1.4": ["Abbreviations", "AAA", "abbreviations"],
+  "3.2.1": ["On Focus", "A", "on-focus"],
+  "3.2.2": ["On Input", "A", "on-input"],
+  "3.2.3": ["Consistent Navigation", "AA", "consistent-navigation"],
+  "3.2.4": ["Consistent Identification", "AA", "consistent-identification"],
+  "3.3.1": ["Error Identification", "A", "error-identification"],
+  "3.3.2": ["Labels or Instructions", "A", "labels-or-instructions"],
+  "3.3.3": ["Error Suggestion", "AA", "error-suggestion"],
+  "4.1.2": ["Name, Role, Value", "A", "name-role-value"],
+  "4.1.3": ["Status Messages", "AA", "status-messages"],
+};
+
+// Technique id prefix -> folder of the WCAG Techniques site
+const TECHNIQUE_FOLDERS = {
+  ARIA: "aria",
+  C: "css",
+  F: "failures",
+  G: "general",
+  H: "html",
+  SCR: "client-side-script",
+};
+
+// How sure a rule is that what it reports is an actual failure
+const CONFIDENCE_LEVELS = ["definite", "needs-manual-review"];
+
+/**
+ * Looks up a success criterion.
+ * @param {string} id e.g. "1.1.1"
+ * @returns {{ id: string, title: string, level: string, url: string } | undefined}
+ */
+function getSuccessCriterion(id) {
+  const criterion = SUCCESS_CRITERIA[id];
+  if (!criterion) return undefined;
+
+  const [title, level, slug] = criterion;
+  return { id, title, level, url: `${WCAG_URL}/Understanding/${slug}.html` };
+}
+
+// Link to a technique (e.g. H37) or failure (e.g. F65)
+function getTechniqueUrl(id) {
+  const [, prefix] = /^([A-Z]+)\d+$/.exec(id) || [];
+  const folder = TECHNIQUE_FOLDERS[prefix];
+  return folder ? `${WCAG_URL}/Techniques/${folder}/${id}` : undefined;
+}
+
+/**
+ * Resolves the metadata of a rule. The documentation link is the rule's own
+ * `docs` when set, otherwise the Understanding page of its first success
+ * criterion.
+ * @param {object} rule a rule from rules.js
+ * @returns {{ wcag: object[], techniques: { id: string, url: string }[],
+ *   tags: string[], confidence: string, docsUrl: string }}
+ */
+function getRuleMetadata(rule) {
+  const wcag = (rule.wcag || []).map(getSuccessCriterion).filter(Boolean);
+
+  return {
+    wcag,
+    techniques: (rule.techniques || []).map((id) => ({
+      id,
+      url: getTechniqueUrl(id),
+    })),
+    tags: rule.tags || [],
+    confidence: CONFIDENCE_LEVELS.includes(rule.confidence)
+      ? rule.confidence
+      : "needs-manual-review",
+    docsUrl:
+      rule.docs || (wcag.length > 0 ? wcag[0].url : `${WCAG_URL}/quickref/`),
+  };
+}
+
+module.exports = {
+  LEVELS,
+  SUCCESS_CRITERIA,
+  CONFIDENCE_LEVELS,
+  getSuccessCriterion,
+  getTechniqueUrl,
+  getRuleMetadata,
+};
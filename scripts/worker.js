@@ -0,0 +1,155 @@
+// worker.js
+
+const path = require("path");
+const { Worker, isMainThread, parentPort } = require("worker_threads");
+
+/**
+ * Runs the checks in a worker thread, so large documents do not block the
+ * editor. The host sends the text and the settings of a document, and the
+ * worker resolves its configuration (loading plugins itself, since rules
+ * cannot be sent between threads), checks it incrementally and posts the
+ * issues found so far while the rules run, then the result.
+ */
+
+// Time after which a check is considered stuck (e.g. a runaway regex match)
+// and the worker is restarted
+const CHECK_TIMEOUT_MS = 30000;
+
+if (!isMainThread) {
+  const { resolveConfig } = require("./config");
+  const { createIncrementalChecker } = require("./incremental");
+
+  // One incremental checker per open document
+  const checkers = new Map();
+
+  parentPort.on("message", (message) => {
+    if (message.type === "close") {
+      checkers.delete(message.key);
+      return;
+    }
+
+    const { id, key, text, filePath, settings, language } = message;
+    let options;
+    try {
+      options = resolveConfig(filePath, settings);
+    } catch {
+      // The host reports configuration errors when it resolves them itself
+      options = { ...settings };
+    }
+
+    if (!checkers.has(key)) checkers.set(key, createIncrementalChecker());
+    try {
+      const result = checkers
+        .get(key)
+        .check(
+          text,
+          { ...options, language, ruleTimeBudget: settings.ruleTimeBudget },
+          ({ issues, ruleIds }) =>
+            parentPort.postMessage({ type: "progress", id, issues, ruleIds })
+        );
+      parentPort.postMessage({ type: "result", id, result });
+    } catch (error) {
+      checkers.delete(key);
+      parentPort.postMessage({ type: "error", id, message: error.message });
+    }
+  });
+}
+
+/**
+ * Starts the worker lazily and sends it documents to check.
+ * @returns {{ check: Function, close: (key: string) => void, dispose: () => void }}
+ *   `check(key, { text, filePath, settings, language }, onProgress)` resolves
+ *   with the checkDocument result (see checker.js) of the document `key`
+ *   (e.g. its URI); during long checks, `onProgress` receives the
+ *   { issues, ruleIds } found so far and the rules that ran.
+ *   `settings` are the { rules, targetLevel, ruleTimeBudget } the
+ *   configuration file builds upon
+ */
+function createCheckWorker() {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  // Rejects the requests sent to a worker that stopped
+  const failAll = (owner, error) => {
+    pending.forEach(({ reject, timer, sentTo }, id) => {
+      if (sentTo !== owner) return;
+      clearTimeout(timer);
+      pending.delete(id);
+      reject(error);
+    });
+  };
+
+  const stop = (current, error) => {
+    if (worker === current) worker = null;
+    current.terminate();
+    failAll(current, error);
+  };
+
+  const start = () => {
+    const current = new Worker(path.join(__dirname, "worker.js"));
+    current.on("message", ({ type, id, issues, ruleIds, result, message }) => {
+      const request = pending.get(id);
+      if (!request) return;
+      if (type === "progress") {
+        if (request.onProgress) request.onProgress({ issues, ruleIds });
+        return;
+      }
+      clearTimeout(request.timer);
+      pending.delete(id);
+      if (type === "error") request.reject(new Error(message));
+      else request.resolve(result);
+    });
+    current.on("error", (error) => stop(current, error));
+    current.on("exit", () =>
+      stop(current, new Error("The checker worker stopped"))
+    );
+    worker = current;
+  };
+
+  return {
+    check(key, { text, filePath, settings, language }, onProgress) {
+      if (!worker) start();
+      const id = nextId++;
+      const sentTo = worker;
+
+      return new Promise((resolve, reject) => {
+        // The next check starts a new worker, without the incremental
+        // state of the documents
+        const timer = setTimeout(
+          () =>
+            stop(
+              sentTo,
+              new Error(
+                `Checking took longer than ${CHECK_TIMEOUT_MS / 1000} s`
+              )
+            ),
+          CHECK_TIMEOUT_MS
+        );
+
+        pending.set(id, { resolve, reject, onProgress, timer, sentTo });
+        sentTo.postMessage({
+          type: "check",
+          id,
+          key,
+          text,
+          filePath,
+          settings,
+          language,
+        });
+      });
+    },
+
+    close(key) {
+      if (worker) worker.postMessage({ type: "close", key });
+    },
+
+    dispose() {
+      if (worker) stop(worker, new Error("The checker worker was disposed"));
+    },
+  };
+}
+
+module.exports = {
+  createCheckWorker,
+};
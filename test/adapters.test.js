@@ -0,0 +1,60 @@
+const assert = require('assert');
+
+const { DEFAULT_INCLUDE, getLanguage, toHTML } = require('../scripts/adapters');
+const { matchesGlob } = require('../scripts/glob');
+const { checkSemanticIssues } = require('../scripts/checker');
+const { computeFixes } = require('../scripts/fixes');
+
+const ruleIds = (text, language) =>
+	checkSemanticIssues(text, { language, rules: { R28: 'off', R39: 'off', R40: 'off', R46: 'off', R63: 'off' } }).map(({ ruleId }) => ruleId);
+
+suite('Language adapters', () => {
+	test('picks the adapter from the file name, then the language id', () => {
+		assert.strictEqual(getLanguage('html', '/app/user.component.html'), 'angular');
+		assert.strictEqual(getLanguage('html', '/app/index.html'), 'html');
+		assert.strictEqual(getLanguage('typescriptreact', 'Untitled-1'), 'jsx');
+		assert.strictEqual(getLanguage('python', '/app/main.py'), null);
+	});
+
+	test('includes every supported file type by default', () => {
+		['index.html', 'src/App.tsx', 'src/Card.vue', 'views/home.njk', 'app/user.component.html'].forEach((file) =>
+			assert.ok(matchesGlob(file, DEFAULT_INCLUDE), file)
+		);
+		assert.ok(!matchesGlob('src/main.ts', DEFAULT_INCLUDE));
+	});
+
+	test('maps JSX elements back to their offsets in the source', () => {
+		const text = 'const a = b < c;\nexport const Avatar = ({ user }) => (\n  <img className="avatar" src={user.photo} />\n);';
+		const html = toHTML(text, 'jsx');
+		const [issue] = checkSemanticIssues(text, { language: 'jsx' }).filter(({ ruleId }) => ruleId === 'R1');
+
+		assert.strictEqual(html.length, text.length);
+		assert.ok(html.includes('<img     class="avatar" src="xxxxxxxxxx" />'));
+		assert.strictEqual(issue.startLine, 2);
+		assert.strictEqual(issue.startChar, 2);
+	});
+
+	test('treats bound attributes and expressions as present', () => {
+		assert.deepStrictEqual(ruleIds('<template><img :alt="label"><button>{{ text }}</button></template>', 'vue'), []);
+		assert.deepStrictEqual(ruleIds('<img {src} {alt}>\n{#if ok}<iframe title={title}></iframe>{/if}', 'svelte'), []);
+		assert.deepStrictEqual(ruleIds('<img [attr.alt]="label" (click)="open()">', 'angular'), []);
+		assert.deepStrictEqual(ruleIds('const Icon = () => <button aria-label={label}><svg aria-hidden="true" /></button>;', 'jsx'), []);
+	});
+
+	test('supports suppression comments in JSX', () => {
+		const text = 'const Logo = () => (\n  <div>\n    {/* semantic-checker-disable-next-line R1 */}\n    <img src="logo.png" />\n  </div>\n);';
+		assert.ok(!ruleIds(text, 'jsx').includes('R1'));
+	});
+
+	test('writes fixes with JSX attribute names', () => {
+		const text = 'const Field = () => (\n  <div>\n    <label>Name</label>\n    <input type="text" />\n  </div>\n);';
+		const issues = checkSemanticIssues(text, { language: 'jsx' }).filter(({ ruleId }) => ruleId === 'R27');
+		const targets = issues.map(({ ruleId, startOffset, endOffset }) => ({ ruleId, start: startOffset, end: endOffset }));
+		const { edits } = computeFixes(text, targets, 'jsx');
+
+		assert.deepStrictEqual(
+			edits.map(({ newText }) => newText),
+			[' htmlFor="name"', ' id="name"']
+		);
+	});
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { checkDocument } = require('../scripts/checker');
+const { ConfigError } = require('../scripts/config');
+const {
+	BASELINE_FILE_NAME,
+	fingerprintIssues,
+	findBaselineFile,
+	applyBaseline,
+	createBaseline,
+	pruneBaseline,
+} = require('../scripts/baseline');
+
+const TEXT = '<html>\n<body>\n<main>\n<img src="a.png">\n<img src="b.png">\n</main>\n</body>\n</html>';
+
+const fingerprint = (text) => fingerprintIssues(text, checkDocument(text).issues);
+
+suite('Baseline', () => {
+	let root;
+	let filePath;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-checker-'));
+		fs.mkdirSync(path.join(root, 'pages'));
+		filePath = path.join(root, 'pages', 'index.html');
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	const writeBaseline = (baseline) =>
+		fs.writeFileSync(path.join(root, BASELINE_FILE_NAME), JSON.stringify(baseline));
+
+	test('fingerprints issues by rule and element, not by line', () => {
+		const before = fingerprint(TEXT);
+		const after = fingerprint(`<!-- intro -->\n\n${TEXT}`);
+		const r1 = before.filter(({ ruleId }) => ruleId === 'R1');
+
+		assert.strictEqual(r1[0].element, '<img src="a.png">');
+		assert.notStrictEqual(r1[0].fingerprint, r1[1].fingerprint);
+		assert.deepStrictEqual(
+			after.map(({ fingerprint }) => fingerprint),
+			before.map(({ fingerprint }) => fingerprint)
+		);
+	});
+
+	test('finds the nearest baseline file', () => {
+		assert.strictEqual(findBaselineFile(filePath), null);
+
+		writeBaseline(createBaseline([]));
+
+		assert.strictEqual(findBaselineFile(filePath), path.join(root, BASELINE_FILE_NAME));
+	});
+
+	test('only reports issues missing from the baseline', () => {
+		writeBaseline(createBaseline([{ file: 'pages/index.html', issues: fingerprint(TEXT) }]));
+		const text = TEXT.replace('</main>', '<img src="c.png">\n</main>');
+
+		const { issues, baselined } = applyBaseline(filePath, text, checkDocument(text).issues);
+
+		assert.strictEqual(baselined, fingerprint(TEXT).length);
+		assert.deepStrictEqual(
+			issues.map(({ ruleId, element }) => [ruleId, element]),
+			[['R1', '<img src="c.png">']]
+		);
+	});
+
+	test('rejects invalid baseline files', () => {
+		fs.writeFileSync(path.join(root, BASELINE_FILE_NAME), '{ "files": [] }');
+
+		assert.throws(() => applyBaseline(filePath, TEXT, []), ConfigError);
+	});
+
+	test('prunes the entries of fixed issues and deleted files', () => {
+		const issues = fingerprint(TEXT);
+		const baseline = createBaseline([
+			{ file: 'pages/index.html', issues },
+			{ file: 'pages/old.html', issues },
+			{ file: 'pages/other.html', issues },
+		]);
+		const fixed = TEXT.replace('<img src="a.png">', '<img src="a.png" alt="Logo">');
+
+		const { baseline: pruned, removed } = pruneBaseline(baseline, [
+			{ file: 'pages/index.html', issues: fingerprint(fixed) },
+			{ file: 'pages/old.html', issues: null },
+		]);
+
+		assert.strictEqual(removed, issues.length + 1);
+		assert.deepStrictEqual(Object.keys(pruned.files), ['pages/index.html', 'pages/other.html']);
+		assert.strictEqual(pruned.files['pages/index.html'].length, issues.length - 1);
+	});
+});
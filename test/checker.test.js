@@ -0,0 +1,168 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { checkDocument, checkSemanticIssues, createPositionAt } = require('../scripts/checker');
+const { createRulePerformance, formatRulePerformance } = require('../scripts/performance');
+const { globToRegExp, findFiles } = require('../scripts/glob');
+const { run } = require('../bin/semantic-checker');
+const rules = require('../scripts/rules');
+const { SUCCESS_CRITERIA, CONFIDENCE_LEVELS, getTechniqueUrl } = require('../scripts/wcag');
+
+suite('Checker', () => {
+	test('computes positions like a TextDocument', () => {
+		const positionAt = createPositionAt('a\r\nbc\nd\re');
+
+		assert.deepStrictEqual(positionAt(0), { line: 0, character: 0 });
+		assert.deepStrictEqual(positionAt(4), { line: 1, character: 1 });
+		assert.deepStrictEqual(positionAt(6), { line: 2, character: 0 });
+		assert.deepStrictEqual(positionAt(8), { line: 3, character: 0 });
+		assert.deepStrictEqual(positionAt(99), { line: 3, character: 1 });
+	});
+
+	test('reports issues after comments containing astral characters at the right column', () => {
+		const issues = checkSemanticIssues('<!-- 😀 --><img src="a.png">');
+		const missingAlt = issues.find((issue) => issue.ruleId === 'R1');
+
+		assert.strictEqual(missingAlt.startLine, 0);
+		assert.strictEqual(missingAlt.startChar, 11);
+	});
+});
+
+suite('Rule configuration', () => {
+	const html = '<html><body><img src="a.png"><a href="/">Home</a></body></html>';
+	const ruleIds = (issues) => [...new Set(issues.map((issue) => issue.ruleId))];
+
+	test('applies per-rule severities and turns rules off', () => {
+		const issues = checkSemanticIssues(html, { rules: { R1: 'error', R63: 'off' } });
+
+		assert.strictEqual(issues.find((issue) => issue.ruleId === 'R1').severity, 'error');
+		assert.strictEqual(issues.find((issue) => issue.ruleId === 'R67').severity, 'warning');
+		assert.ok(!ruleIds(issues).includes('R63'));
+	});
+
+	test('skips rules above the target level', () => {
+		const issues = checkSemanticIssues(html, { targetLevel: 'A' });
+
+		assert.ok(issues.length > 0);
+		assert.ok(issues.every((issue) => issue.level === 'A'));
+	});
+});
+
+suite('Rule metadata', () => {
+	test('links every rule to known success criteria and techniques', () => {
+		rules.filter(Boolean).forEach((rule) => {
+			assert.ok(rule.wcag.length > 0, rule.id);
+			assert.ok(rule.wcag.every((id) => id in SUCCESS_CRITERIA), rule.id);
+			assert.ok(rule.techniques.every((id) => getTechniqueUrl(id)), rule.id);
+			assert.ok(rule.tags.length > 0, rule.id);
+			assert.ok(CONFIDENCE_LEVELS.includes(rule.confidence), rule.id);
+		});
+	});
+
+	test('adds the success criteria and documentation link to issues', () => {
+		const [issue] = checkSemanticIssues('<img src="a.png">').filter((issue) => issue.ruleId === 'R1');
+
+		assert.deepStrictEqual(issue.wcag.map(({ id, title }) => `${id} ${title}`), ['1.1.1 Non-text Content']);
+		assert.strictEqual(issue.codeUrl, 'https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html');
+		assert.strictEqual(issue.techniques[0].url, 'https://www.w3.org/WAI/WCAG22/Techniques/html/H37');
+		assert.strictEqual(issue.confidence, 'definite');
+	});
+});
+
+suite('Rule isolation', () => {
+	const slowRule = {
+		id: 'test/slow',
+		level: 'A',
+		regex: /<p>/g,
+		message: 'Slow',
+		recommendation: 'None.',
+		validate: () => {
+			const until = Date.now() + 5;
+			while (Date.now() < until);
+			return false;
+		},
+	};
+
+	test('times every rule and stops a rule that exceeds its time budget', () => {
+		const result = checkDocument('<p>'.repeat(20) + '<img src="a.png">', { customRules: [slowRule], ruleTimeBudget: 12 });
+
+		assert.ok(result.ruleTimings.some(({ ruleId }) => ruleId === 'R1'));
+		assert.ok(result.ruleTimings.find(({ ruleId }) => ruleId === 'test/slow').duration < 50);
+		assert.deepStrictEqual(result.ruleErrors.map(({ ruleId, timedOut }) => [ruleId, timedOut]), [['test/slow', true]]);
+		assert.ok(result.issues.some(({ ruleId }) => ruleId === 'R1'));
+	});
+
+	test('does not backtrack on unclosed form tags', () => {
+		const started = Date.now();
+		checkSemanticIssues('<form' + ' a'.repeat(40));
+		assert.ok(Date.now() - started < 1000);
+	});
+
+	test('does not scan to the end of the text from every unclosed tag', () => {
+		const started = Date.now();
+		checkSemanticIssues('<svg'.repeat(5000));
+		checkSemanticIssues('<figure'.repeat(5000) + '>');
+		assert.ok(Date.now() - started < 1000);
+	});
+
+	test('matches SVGs and figures within the time budget on pathological input', () => {
+		// Unclosed figures followed by a long text and unclosed SVGs
+		const text = '<figure><img src="a.png" alt="">'.repeat(1000) + '<p>Text</p>'.repeat(20000) + '<svg '.repeat(10000);
+		const { ruleTimings, ruleErrors } = checkDocument(text, { ruleTimeBudget: 500 });
+
+		['R5', 'R9'].forEach((ruleId) => assert.ok(ruleTimings.find((timing) => timing.ruleId === ruleId).duration < 500));
+		assert.deepStrictEqual(ruleErrors.filter(({ ruleId }) => ['R5', 'R9'].includes(ruleId)), []);
+	});
+
+	test('summarizes the slowest and failed rules', () => {
+		const performance = createRulePerformance();
+		performance.record({ ruleTimings: [{ ruleId: 'R1', duration: 2 }, { ruleId: 'R5', duration: 8 }] });
+		performance.record({ ruleTimings: [{ ruleId: 'R1', duration: 4 }], ruleErrors: [{ ruleId: 'ds/x', message: 'boom' }] });
+
+		const summary = performance.getSummary();
+		assert.deepStrictEqual(summary.map(({ ruleId }) => ruleId), ['R5', 'R1', 'ds/x']);
+		assert.strictEqual(summary[1].average, 3);
+		assert.match(formatRulePerformance(summary), /ds\/x +1 error, 0 timeouts: boom/);
+	});
+});
+
+suite('Glob', () => {
+	test('matches globstars, wildcards and braces', () => {
+		assert.ok(globToRegExp('src/**/*.html').test('src/index.html'));
+		assert.ok(globToRegExp('src/**/*.html').test('src/a/b/index.html'));
+		assert.ok(!globToRegExp('src/*.html').test('src/a/index.html'));
+		assert.ok(globToRegExp('*.{html,htm}').test('page.htm'));
+	});
+
+	test('finds files while skipping ignored directories', () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-checker-'));
+		fs.mkdirSync(path.join(root, 'pages'));
+		fs.mkdirSync(path.join(root, 'node_modules'));
+		fs.writeFileSync(path.join(root, 'pages', 'index.html'), '');
+		fs.writeFileSync(path.join(root, 'node_modules', 'vendor.html'), '');
+
+		const files = findFiles(['**/*.html'], { cwd: root });
+
+		assert.deepStrictEqual(files, [path.join(root, 'pages', 'index.html')]);
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+});
+
+suite('CLI', () => {
+	test('exits non-zero when issues exceed the threshold', () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-checker-'));
+		fs.writeFileSync(path.join(root, 'index.html'), '<img src="a.png">');
+		const log = console.log;
+		console.log = () => {};
+
+		try {
+			assert.strictEqual(run(['check', 'index.html'], root), 1);
+			assert.strictEqual(run(['check', 'index.html', '--max-issues', '10'], root), 0);
+		} finally {
+			console.log = log;
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+	});
+});
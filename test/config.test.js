@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { findConfigFile, resolveConfig } = require('../scripts/config');
+const { checkDocument } = require('../scripts/checker');
+
+suite('Project configuration', () => {
+	let root;
+
+	const write = (relativePath, content) => {
+		const filePath = path.join(root, relativePath);
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+		return filePath;
+	};
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-checker-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('finds the nearest configuration file walking up from the document', () => {
+		const configPath = write('.semanticcheckerrc.json', {});
+		const page = write('src/pages/index.html', '');
+
+		assert.strictEqual(findConfigFile(page), configPath);
+	});
+
+	test('merges settings, presets, extended files and overrides in order', () => {
+		write('base.json', { targetLevel: 'AA', rules: { R7: 'error' } });
+		write('.semanticcheckerrc.json', {
+			extends: ['semantic-checker:recommended', './base.json'],
+			rules: { R1: 'error' },
+			overrides: [{ files: ['legacy/**/*.html'], rules: { R1: 'info' } }],
+		});
+
+		const page = resolveConfig(write('index.html', ''), { rules: { R63: 'off', R7: 'info' } });
+		const legacy = resolveConfig(write('legacy/old.html', ''));
+
+		assert.strictEqual(page.targetLevel, 'AA');
+		assert.deepStrictEqual(
+			[page.rules.R1, page.rules.R7, page.rules.R61, page.rules.R63],
+			['error', 'error', 'off', 'off']
+		);
+		assert.strictEqual(legacy.rules.R1, 'info');
+	});
+
+	test('extends a shared file from several branches and rejects cycles', () => {
+		write('d.json', { rules: { R1: 'error' } });
+		write('b.json', { extends: './d.json', rules: { R7: 'info' } });
+		write('c.json', { extends: './d.json', targetLevel: 'AA' });
+		write('.semanticcheckerrc.json', { extends: ['./b.json', './c.json'] });
+
+		const options = resolveConfig(write('index.html', ''));
+		assert.deepStrictEqual([options.rules.R1, options.rules.R7, options.targetLevel], ['error', 'info', 'AA']);
+
+		write('d.json', { extends: './.semanticcheckerrc.json' });
+		assert.throws(() => resolveConfig(write('index.html', '')), { name: 'ConfigError', message: /Circular "extends"/ });
+	});
+
+	test('marks files matching ignorePatterns as ignored', () => {
+		write('semantic-checker.config.js', 'module.exports = { ignorePatterns: ["vendor/**"] };');
+
+		assert.strictEqual(resolveConfig(write('vendor/lib.html', '')).ignored, true);
+		assert.strictEqual(resolveConfig(write('index.html', '')).ignored, false);
+	});
+
+	test('reports invalid configuration files', () => {
+		write('.semanticcheckerrc.json', '{ "rules": ');
+
+		assert.throws(() => resolveConfig(write('index.html', '')), { name: 'ConfigError' });
+	});
+
+	test('loads custom rules from plugins and reports broken ones', () => {
+		write('rules/design-system.js', `module.exports = { rules: [
+			{
+				id: 'ds/modal-labelledby',
+				level: 'A',
+				wcag: ['4.1.2'],
+				regex: /<ds-modal\\b[^>]*>/g,
+				message: 'Modal missing aria-labelledby',
+				validate: (tag, doc, node) => Boolean(node) && !node.attributes['aria-labelledby'],
+				recommendation: 'Point aria-labelledby to the modal title.',
+			},
+			{ id: 'R1', regex: /x/, message: 'Broken' },
+		] };`);
+		write('.semanticcheckerrc.json', { plugins: ['./rules/design-system.js', 'missing-plugin'], rules: { 'ds/modal-labelledby': 'error' } });
+
+		const options = resolveConfig(write('index.html', ''));
+		const { issues } = checkDocument('<ds-modal open></ds-modal><ds-modal aria-labelledby="t"></ds-modal>', options);
+
+		assert.deepStrictEqual(options.customRules.map(({ id }) => id), ['ds/modal-labelledby']);
+		assert.strictEqual(options.errors.length, 2);
+		assert.match(options.errors[0], /Invalid rule R1 .*namespaced/);
+		assert.match(options.errors[1], /Cannot find plugin "missing-plugin"/);
+		assert.deepStrictEqual(
+			issues.filter(({ ruleId }) => ruleId === 'ds/modal-labelledby').map(({ severity, startOffset }) => [severity, startOffset]),
+			[['error', 0]]
+		);
+	});
+
+	test('reports a rule that throws without stopping the other rules', () => {
+		write('plugin.js', `module.exports = {
+			id: 'ds/broken', level: 'A', regex: /<img\\b[^>]*>/g, message: 'Broken', recommendation: 'None.',
+			validate: () => { throw new Error('boom'); },
+		};`);
+		write('.semanticcheckerrc.json', { plugins: ['./plugin.js'] });
+
+		const result = checkDocument('<img src="a.png">', resolveConfig(write('index.html', '')));
+
+		assert.deepStrictEqual(result.ruleErrors, [{ ruleId: 'ds/broken', message: 'boom' }]);
+		assert.ok(result.issues.some(({ ruleId }) => ruleId === 'R1'));
+	});
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+
+const { checkDocument } = require('../scripts/checker');
+const { getLevelBreakdown } = require('../scripts/report');
+const {
+	getExcerpt,
+	createReportModel,
+	formatHtmlReport,
+	formatMarkdownReport,
+} = require('../scripts/export');
+
+const TEXT = '<html>\n<body>\n<img src="a.png">\n<p>Intro</p>\n<button></button>\n</body>\n</html>';
+
+const createModel = () => {
+	const result = checkDocument(TEXT);
+	return { result, model: createReportModel([{ file: 'index.html', text: TEXT, ...result }]) };
+};
+
+suite('Report export', () => {
+	test('shows the lines around an issue', () => {
+		const excerpt = getExcerpt(TEXT, { startLine: 2, endLine: 2 });
+
+		assert.deepStrictEqual(excerpt.map(({ number }) => number), [1, 2, 3, 4, 5]);
+		assert.deepStrictEqual(excerpt.filter(({ highlighted }) => highlighted).map(({ text }) => text), ['<img src="a.png">']);
+	});
+
+	test('groups issues by level and rule with the totals of the JSON reports', () => {
+		const { result, model } = createModel();
+
+		assert.deepStrictEqual(model.levelBreakdown, getLevelBreakdown(result.issues));
+		model.levels.forEach(({ level, total, rules }) => {
+			assert.strictEqual(total, model.levelBreakdown[level]);
+			rules.forEach((rule) => assert.strictEqual(rule.level, level));
+		});
+		const r1 = model.levels[0].rules.find(({ ruleId }) => ruleId === 'R1');
+		assert.strictEqual(r1.occurrences[0].startLine, 3);
+		assert.ok(model.passedRules.some(({ ruleId }) => ruleId === 'R2'));
+		assert.ok(!model.passedRules.some(({ ruleId }) => ruleId === 'R1'));
+	});
+
+	test('formats a self-contained HTML page and Markdown', () => {
+		const { model } = createModel();
+		const html = formatHtmlReport(model);
+		const markdown = formatMarkdownReport(model);
+
+		assert.match(html, /^<!DOCTYPE html>/);
+		assert.match(html, /&lt;img src=&quot;a.png&quot;&gt;/);
+		assert.ok(!/<link|<script/.test(html));
+		assert.match(markdown, /^# Accessibility Report/);
+		assert.match(markdown, /> 3 \| <img src="a.png">/);
+		assert.match(markdown, /<summary>Passed rules \(\d+\)<\/summary>/);
+	});
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+
+const { checkSemanticIssues, findRule } = require('../scripts/checker');
+const { computeFixes } = require('../scripts/fixes');
+const { snippetToText } = require('../scripts/snippets');
+
+const toTargets = (issues) =>
+	issues.map(({ ruleId, startOffset, endOffset }) => ({ ruleId, start: startOffset, end: endOffset }));
+
+const applyEdits = (text, edits) =>
+	[...edits].reverse().reduce(
+		(result, { start, end, newText }) => result.slice(0, start) + newText + result.slice(end),
+		text
+	);
+
+suite('Autofix', () => {
+	test('resolves rules by id', () => {
+		const text = '<iframe src="map.html"></iframe>';
+		const { edits } = computeFixes(text, toTargets(checkSemanticIssues(text)));
+
+		assert.strictEqual(edits.length, 1);
+		assert.deepStrictEqual(edits[0].ruleIds, ['R10']);
+		assert.ok(applyEdits(text, edits).startsWith('<iframe title='));
+	});
+
+	test('merges fixes on the same element into one edit', () => {
+		const text = '<img src="a.png">';
+		const targets = [
+			{ ruleId: 'R1', start: 0, end: text.length },
+			{ ruleId: 'R1', start: 0, end: text.length },
+		];
+		const { edits, conflicts } = computeFixes(text, targets);
+
+		assert.strictEqual(edits.length, 1);
+		assert.strictEqual((edits[0].newText.match(/alt=/g) || []).length, 1);
+		assert.deepStrictEqual(conflicts, []);
+	});
+
+	test('skips fixes that partially overlap another fix', () => {
+		const text = '<button><iframe src="a"></button>';
+		const targets = [
+			{ ruleId: 'R7', start: 0, end: 16 },
+			{ ruleId: 'R10', start: 8, end: 24 },
+		];
+		const { edits, conflicts } = computeFixes(text, targets);
+
+		assert.strictEqual(edits.length, 1);
+		assert.strictEqual(conflicts.length, 1);
+	});
+
+	test('keeps the snippet of a single fix and escapes the original text', () => {
+		const text = '<img src="${path}.png">';
+		const { edits } = computeFixes(text, [{ ruleId: 'R1', start: 0, end: text.length }]);
+
+		assert.strictEqual(edits[0].snippet, '<img alt="${1:description}" src="\\${path\\}.png">');
+		assert.strictEqual(edits[0].newText, '<img alt="description" src="${path}.png">');
+	});
+
+	test('pairs a label with the next form field', () => {
+		const text = '<label>E-mail address</label><input type="text" name="email">';
+		const { edits } = computeFixes(text, toTargets(checkSemanticIssues(text)));
+
+		assert.strictEqual(
+			applyEdits(text, edits),
+			'<label for="e-mail-address">E-mail address</label>' +
+				'<input autocomplete="email" id="e-mail-address" type="text" name="email">'
+		);
+	});
+
+	test('lets the user type the label of an SVG', () => {
+		const text = '<svg viewBox="0 0 10 10"></svg>';
+		const { edits } = computeFixes(text, [{ ruleId: 'R5', start: 0, end: text.indexOf('>') + 1 }]);
+
+		assert.strictEqual(edits[0].snippet, '<svg role="img" aria-label="${1:Describe the image}" viewBox="0 0 10 10">');
+	});
+
+	test('runs each autofix once and skips autofixes that throw', () => {
+		const text = '<iframe src="map.html"></iframe>';
+		const targets = [{ ruleId: 'R10', start: 0, end: text.indexOf('>') + 1 }];
+		const rule = findRule('R10');
+		const { autofix } = rule;
+		let calls = 0;
+		try {
+			rule.autofix = (...args) => {
+				calls++;
+				return autofix(...args);
+			};
+			assert.strictEqual(computeFixes(text, targets).edits.length, 1);
+			assert.strictEqual(calls, 1);
+
+			rule.autofix = () => {
+				throw new Error('boom');
+			};
+			assert.deepStrictEqual(computeFixes(text, targets), { edits: [], conflicts: [] });
+		} finally {
+			rule.autofix = autofix;
+		}
+	});
+
+	test('does not add the same attribute twice', () => {
+		const text = '<video src="a.mp4" autoplay></video><audio src="a.mp3" autoplay></audio>';
+		const { edits } = computeFixes(text, toTargets(checkSemanticIssues(text)));
+
+		assert.strictEqual(applyEdits(text, edits).match(/controls/g).length, 2);
+	});
+});
+
+suite('Snippets', () => {
+	test('turns placeholders and choices into their default text', () => {
+		assert.strictEqual(snippetToText('<abbr title="${1:Expanded form}">$0'), '<abbr title="Expanded form">');
+		assert.strictEqual(snippetToText('<svg ${1|aria-hidden="true",role="img"|}>'), '<svg aria-hidden="true">');
+		assert.strictEqual(snippetToText('\\${a\\}'), '${a}');
+	});
+});
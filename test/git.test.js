@@ -0,0 +1,90 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { checkDocument } = require('../scripts/checker');
+const { getChangedLines, getChangedLinesOf, createGitCache, filterChangedIssues } = require('../scripts/git');
+
+const lines = (oldText, newText) => [...getChangedLines(oldText, newText)].sort((a, b) => a - b);
+
+suite('Git-diff mode', () => {
+	test('finds added and changed lines', () => {
+		assert.deepStrictEqual(lines('a\nb\nc', 'a\nB\nc'), [1]);
+		assert.deepStrictEqual(lines('a\nb\nc', 'x\na\nb\ny\nc\nz'), [0, 3, 5]);
+		assert.deepStrictEqual(lines('', 'a\nb'), [0, 1]);
+	});
+
+	test('marks the line after removed lines as changed', () => {
+		assert.deepStrictEqual(lines('<img\n  alt="Logo"\n  src="a.png">', '<img\n  src="a.png">'), [1]);
+		assert.deepStrictEqual(lines('a\nb\nc', 'a\nb'), [1]);
+	});
+
+	test('keeps the issues whose opening tag is on a changed line', () => {
+		const text = '<img src="a.png">\n<img\n  src="b.png">\n<img src="c.png">';
+		const { issues, unchanged } = filterChangedIssues(text, checkDocument(text).issues, new Set([2]));
+
+		assert.deepStrictEqual(
+			issues.filter(({ ruleId }) => ruleId === 'R1').map(({ startLine }) => startLine),
+			[1]
+		);
+		assert.ok(unchanged >= 2);
+	});
+
+	suite('in a repository', () => {
+		let root;
+		let filePath;
+		const git = (...args) => execFileSync('git', args, { cwd: root, stdio: 'ignore' });
+
+		setup(() => {
+			root = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-checker-'));
+			filePath = path.join(root, 'index.html');
+			git('init', '-q');
+			git('config', 'user.email', 'checker@example.com');
+			git('config', 'user.name', 'Checker');
+			git('config', 'commit.gpgsign', 'false');
+			fs.writeFileSync(filePath, '<p>One</p>\n<p>Two</p>\n');
+			git('add', '.');
+			git('commit', '-qm', 'Initial commit');
+		});
+
+		teardown(() => {
+			fs.rmSync(root, { recursive: true, force: true });
+		});
+
+		test('compares with the merge base of a ref, including unsaved text', () => {
+			const text = '<p>One</p>\n<img src="a.png">\n<p>Two</p>\n';
+
+			assert.deepStrictEqual([...getChangedLinesOf(filePath, text, { mode: 'base', base: 'HEAD' })], [1]);
+			assert.throws(() => getChangedLinesOf(filePath, text, { mode: 'base', base: 'missing' }), {
+				name: 'GitError',
+			});
+		});
+
+		test('only counts staged changes in staged mode', () => {
+			fs.writeFileSync(filePath, '<p>One</p>\n<img src="a.png">\n<p>Two</p>\n');
+			git('add', 'index.html');
+			const text = '<img src="b.png">\n<p>One</p>\n<img src="a.png">\n<p>Two</p>\n';
+
+			assert.deepStrictEqual([...getChangedLinesOf(filePath, text, { mode: 'staged' })], [2]);
+		});
+
+		test('reuses the git state of a file until the cache is cleared', async () => {
+			const cache = createGitCache();
+			const text = '<p>One</p>\n<img src="a.png">\n<p>Two</p>\n';
+			const changed = async () => [...(await cache.getChangedLinesOf(filePath, text, { mode: 'base', base: 'HEAD' }))];
+
+			assert.deepStrictEqual(await changed(), [1]);
+			fs.writeFileSync(filePath, text);
+			git('commit', '-qam', 'Add an image');
+			assert.deepStrictEqual(await changed(), [1]);
+
+			cache.clear();
+			assert.deepStrictEqual(await changed(), []);
+			assert.deepStrictEqual([...(await cache.getChangedLinesOf(filePath, text, { mode: 'staged' }))], []);
+			await assert.rejects(cache.getChangedLinesOf(filePath, text, { mode: 'base', base: 'missing' }), { name: 'GitError' });
+			assert.strictEqual(await cache.getChangedLinesOf(path.join(os.tmpdir(), 'index.html'), text, { mode: 'base' }), null);
+		});
+	});
+});
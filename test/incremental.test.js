@@ -0,0 +1,61 @@
+const assert = require('assert');
+
+const rules = require('../scripts/rules');
+const { checkDocument } = require('../scripts/checker');
+const { isTagLocal, createIncrementalChecker } = require('../scripts/incremental');
+const { createCheckWorker } = require('../scripts/worker');
+
+const findRule = (id) => rules.find((rule) => rule && rule.id === id);
+const summarize = ({ issues }) =>
+	issues.map(({ ruleId, startOffset, startLine, startChar }) => `${ruleId}@${startOffset}:${startLine}:${startChar}`).sort();
+
+suite('Incremental checking', () => {
+	test('only treats rules that read a single opening tag as tag-local', () => {
+		assert.strictEqual(isTagLocal(findRule('R2')), true);
+		assert.strictEqual(isTagLocal(findRule('R7')), false); // looks at the button content
+		assert.strictEqual(isTagLocal(findRule('R27')), false); // reads the tree
+		assert.strictEqual(isTagLocal({ regex: /<a[\s\S]*?<\/a>/, validate: () => true }), false);
+		assert.strictEqual(isTagLocal({ regex: /<b[\w\W]*>/, validate: () => true }), false);
+		assert.strictEqual(isTagLocal({ regex: /<i[^\S]*>/, validate: () => true }), true);
+	});
+
+	test('gives the same results as a full check after edits', () => {
+		const checker = createIncrementalChecker();
+		let text = '<html><body>\n<input type="image" src="a.png">\n<svg></svg>\n<p>Text</p>\n<audio src="a.mp3" autoplay></audio>\n</body></html>';
+		checker.check(text);
+
+		[
+			(t) => t.replace('<p>', '<p>\n<input type="image" src="b.png">'),
+			(t) => t.replace('<svg>', '<svg aria-hidden="true">'),
+			(t) => t.replace('<html>', '<!-- <html> -->'),
+			(t) => t.replace('autoplay', ''),
+			(t) => t.slice(20),
+		].forEach((edit) => {
+			text = edit(text);
+			assert.deepStrictEqual(summarize(checker.check(text)), summarize(checkDocument(text)));
+		});
+	});
+});
+
+suite('Check worker', () => {
+	let worker;
+
+	setup(() => {
+		worker = createCheckWorker();
+	});
+
+	teardown(() => {
+		worker.dispose();
+	});
+
+	test('checks documents in a worker thread', async () => {
+		const request = (text) =>
+			worker.check('page.html', { text, filePath: null, settings: { rules: { R1: 'error' } }, language: 'html' });
+
+		const first = await request('<img src="a.png">');
+		const second = await request('<img src="a.png" alt="Logo">');
+
+		assert.deepStrictEqual(first.issues.filter(({ ruleId }) => ruleId === 'R1').map(({ severity }) => severity), ['error']);
+		assert.ok(!second.issues.some(({ ruleId }) => ruleId === 'R1'));
+	});
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+
+const { buildTree } = require('../scripts/parser');
+const { checkSemanticIssues, createPositionAt } = require('../scripts/checker');
+const { getLandmarks, describeLandmarks } = require('../scripts/landmarks');
+
+const PAGE = [
+	'<html lang="en"><body>',
+	'<a href="#content">Skip to content</a>',
+	'<header><nav><a href="/">Home</a></nav></header>',
+	'<div class="promo"><p>Sale!</p></div>',
+	'<main id="content"><article><header>Post</header></article><nav><a href="/next">Next</a></nav></main>',
+	'<main hidden><p>Old</p></main>',
+	'<section aria-label="Related"><p>More</p></section><section><p>Unnamed</p></section>',
+	'<form role="search" aria-label="Site"><input></form>',
+	'<footer>Contact</footer>',
+	'</body></html>',
+].join('\n');
+
+const kinds = (text) => getLandmarks(buildTree(text)).problems.map(({ kind }) => kind);
+
+suite('Landmarks', () => {
+	test('maps landmarks with their roles, names and nesting', () => {
+		const { landmarks, roots } = getLandmarks(buildTree(PAGE));
+
+		assert.deepStrictEqual(landmarks.map(({ role, name }) => `${role} ${name}`.trim()), [
+			'banner',
+			'navigation',
+			'main',
+			'navigation',
+			'region Related',
+			'search Site',
+			'contentinfo',
+		]);
+		assert.deepStrictEqual(roots.map(({ role }) => role), ['banner', 'main', 'region', 'search', 'contentinfo']);
+		assert.deepStrictEqual(roots[1].children.map(({ role }) => role), ['navigation']);
+	});
+
+	test('finds unnamed repeated landmarks and content outside of landmarks', () => {
+		assert.deepStrictEqual(kinds(PAGE), [
+			'unnamed-duplicate',
+			'unnamed-duplicate',
+			'outside-landmarks',
+			'outside-landmarks',
+		]);
+		assert.deepStrictEqual(kinds('<body><main><p>One</p></main><div role="main">Two</div></body>'), ['multiple-main']);
+		assert.deepStrictEqual(kinds('<body><p>Text</p></body>'), ['missing-main', 'outside-landmarks']);
+		assert.deepStrictEqual(kinds('<nav aria-label="Main"></nav><nav aria-labelledby="t"><h2 id="t">Pages</h2></nav>'), []);
+	});
+
+	test('reports the landmark problems with the landmark rules', () => {
+		const ruleIds = (text) =>
+			checkSemanticIssues(text)
+				.map(({ ruleId }) => ruleId)
+				.filter((ruleId) => ['R57', 'R86', 'R87', 'R88'].includes(ruleId))
+				.sort();
+
+		assert.deepStrictEqual(ruleIds(PAGE), ['R87', 'R87', 'R88', 'R88']);
+		assert.deepStrictEqual(ruleIds('<body><main>One</main><main>Two</main></body>'), ['R86']);
+		assert.deepStrictEqual(ruleIds('<body><p>Text</p></body>'), ['R57', 'R88']);
+		assert.deepStrictEqual(ruleIds('<body><a href="#c">Skip to content</a><div id="c">Text</div></body>'), ['R88']);
+	});
+
+	test('describes the landmark map with ranges for the view', () => {
+		const map = describeLandmarks(buildTree(PAGE), createPositionAt(PAGE));
+
+		assert.deepStrictEqual(map.problems.map(({ kind, range }) => [kind, range.start.line]), [
+			['outside-landmarks', 3],
+			['outside-landmarks', 6],
+		]);
+		const [banner] = map.landmarks;
+		assert.deepStrictEqual(banner.range.start, { line: 2, character: 0 });
+		assert.deepStrictEqual(banner.children[0].problems.map(({ kind }) => kind), ['unnamed-duplicate']);
+	});
+});
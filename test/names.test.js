@@ -0,0 +1,66 @@
+const assert = require('assert');
+
+const { buildTree } = require('../scripts/parser');
+const { checkSemanticIssues } = require('../scripts/checker');
+const { getRole, describeAccessibleName, getAccessibleDescription } = require('../scripts/names');
+
+// Name and source of the element with id="target"
+const nameOf = (html) => {
+	const tree = buildTree(html);
+	const node = tree.elements.find(({ attributes }) => attributes.id === 'target');
+	const { name, from } = describeAccessibleName(tree, node);
+	return `${name} (${from})`;
+};
+
+suite('Accessible names', () => {
+	test('prefers aria-labelledby, then aria-label, then native labels and content', () => {
+		assert.strictEqual(
+			nameOf('<h2 id="cart">Cart</h2><button id="target" aria-labelledby="cart count" aria-label="Open">Go</button><span id="count">(2)</span>'),
+			'Cart (2) (aria-labelledby)'
+		);
+		assert.strictEqual(nameOf('<button id="target" aria-label="Close">×</button>'), 'Close (aria-label)');
+		assert.strictEqual(nameOf('<label for="target">E-mail</label><input id="target" placeholder="you@example.com">'), 'E-mail (label)');
+		assert.strictEqual(nameOf('<label for="target">First</label><input id="target"><label for="target">name</label>'), 'First name (label)');
+		assert.strictEqual(nameOf('<input id="target" placeholder="Search">'), 'Search (placeholder)');
+		assert.strictEqual(nameOf('<a id="target" href="/" title="Home"><i class="icon"></i></a>'), 'Home (title)');
+	});
+
+	test('computes names from content, including text alternatives and embedded fields', () => {
+		assert.strictEqual(nameOf('<a id="target" href="/cart"><img src="c.png" alt="Cart"> <span hidden>(empty)</span></a>'), 'Cart (contents)');
+		assert.strictEqual(nameOf('<a id="target" href="/">Read<br>more</a>'), 'Read more (contents)');
+		assert.strictEqual(
+			nameOf('<label>Show <select id="target"><option>10</option></select> <input value="5"> rows</label>'),
+			'Show 5 rows (label)'
+		);
+		assert.strictEqual(nameOf('<div id="target">Text</div>'), ' (null)');
+		assert.strictEqual(nameOf('<img id="target" src="line.png" alt="">'), ' (alt)');
+	});
+
+	test('computes roles and descriptions', () => {
+		const tree = buildTree(
+			'<section aria-label="News"></section><section></section><input type="checkbox" title="Subscribe" aria-describedby="d"><p id="d">Weekly</p>'
+		);
+		const [named, unnamed, checkbox] = tree.elements;
+
+		assert.strictEqual(getRole(tree, named), 'region');
+		assert.strictEqual(getRole(tree, unnamed), null);
+		assert.strictEqual(getRole(tree, checkbox), 'checkbox');
+		assert.strictEqual(getAccessibleDescription(tree, checkbox), 'Weekly');
+	});
+
+	test('backs the naming rules', () => {
+		const ruleIds = (html) =>
+			checkSemanticIssues(html)
+				.map(({ ruleId }) => ruleId)
+				.filter((ruleId) => ['R7', 'R8', 'R60', 'R64', 'R77', 'R81'].includes(ruleId))
+				.sort();
+
+		assert.deepStrictEqual(ruleIds('<button><svg aria-hidden="true"></svg></button>'), ['R7']);
+		assert.deepStrictEqual(ruleIds('<button aria-labelledby="t"></button><span id="t">Save</span>'), []);
+		assert.deepStrictEqual(ruleIds('<a href="/"><i class="icon"></i></a>'), ['R60', 'R64', 'R8']);
+		assert.deepStrictEqual(ruleIds('<a href="/pricing" aria-label="Read more about pricing">Read more</a>'), []);
+		assert.deepStrictEqual(ruleIds('<input placeholder="Name">'), ['R77']);
+		assert.deepStrictEqual(ruleIds('<label>Name <input placeholder="Ada"></label>'), []);
+		assert.deepStrictEqual(ruleIds('<div role="button"></div><div role="presentation"></div>'), ['R81']);
+	});
+});
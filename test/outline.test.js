@@ -0,0 +1,68 @@
+const assert = require('assert');
+
+const { buildTree } = require('../scripts/parser');
+const { checkSemanticIssues, createPositionAt } = require('../scripts/checker');
+const { getOutline, describeOutline } = require('../scripts/outline');
+
+const PAGE = [
+	'<html lang="en"><body>',
+	'<h1>Shop</h1>',
+	'<h3>Offers</h3>',
+	'<section><p>No heading</p></section>',
+	'<h2>Cart</h2>',
+	'<div role="heading" aria-level="3">Items</div>',
+	'<h1>Checkout</h1>',
+	'<h2><span> </span></h2>',
+	'<h2 hidden>Hidden</h2>',
+	'</body></html>',
+].join('\n');
+
+const kinds = (text) => getOutline(buildTree(text)).problems.map(({ kind }) => kind);
+
+suite('Heading outline', () => {
+	test('nests headings by level, including role="heading"', () => {
+		const { headings, roots } = getOutline(buildTree(PAGE));
+
+		assert.deepStrictEqual(headings.map(({ level, text }) => `${level} ${text}`), [
+			'1 Shop',
+			'3 Offers',
+			'2 Cart',
+			'3 Items',
+			'1 Checkout',
+			'2 ',
+		]);
+		assert.deepStrictEqual(roots.map(({ text }) => text), ['Shop', 'Checkout']);
+		assert.deepStrictEqual(roots[0].children.map(({ text }) => text), ['Offers', 'Cart']);
+	});
+
+	test('finds skipped levels, extra level 1 headings, empty headings and sections without heading', () => {
+		assert.deepStrictEqual(kinds(PAGE), ['skipped-level', 'multiple-h1', 'empty-heading', 'section-without-heading']);
+		assert.deepStrictEqual(kinds('<section hidden><p>Later</p></section><div aria-hidden="true"><article>Ad</article></div>'), []);
+	});
+
+	test('only expects a level 1 heading in pages', () => {
+		assert.deepStrictEqual(kinds('<html><body><p>Text</p></body></html>'), ['no-headings']);
+		assert.deepStrictEqual(kinds('<body><h2>Title</h2></body>'), ['missing-h1']);
+		assert.deepStrictEqual(kinds('<h2>Card</h2><h3>Details</h3>'), []);
+		assert.deepStrictEqual(kinds('<h2><img src="logo.png" alt="Acme"></h2>'), []);
+	});
+
+	test('reports the outline problems with the structure rules', () => {
+		const ruleIds = checkSemanticIssues(PAGE)
+			.map(({ ruleId }) => ruleId)
+			.filter((ruleId) => ['R28', 'R30', 'R65', 'R83', 'R84', 'R85'].includes(ruleId));
+
+		assert.deepStrictEqual(ruleIds.sort(), ['R30', 'R65', 'R83', 'R85']);
+	});
+
+	test('describes the outline with ranges for the view', () => {
+		const outline = describeOutline(buildTree(PAGE), createPositionAt(PAGE));
+
+		assert.deepStrictEqual(outline.problems.map(({ kind, range }) => [kind, range.start.line]), [
+			['section-without-heading', 3],
+		]);
+		const [shop] = outline.headings;
+		assert.deepStrictEqual(shop.range.start, { line: 1, character: 0 });
+		assert.deepStrictEqual(shop.children[0].problems.map(({ kind }) => kind), ['skipped-level']);
+	});
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { expandFileName, getReportPath, pruneHistory, writeReportFile } = require('../scripts/output');
+
+suite('Report output', () => {
+	let root;
+
+	setup(() => {
+		root = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-checker-'));
+	});
+
+	teardown(() => {
+		fs.rmSync(root, { recursive: true, force: true });
+	});
+
+	test('expands file name variables into a single file name', () => {
+		assert.strictEqual(
+			expandFileName('${fileBasenameNoExtension}.a11y', { fileBasenameNoExtension: 'index' }),
+			'index.a11y'
+		);
+		assert.strictEqual(expandFileName('${relativeFile}', { relativeFile: 'pages/about.html' }), 'pages_about.html');
+		assert.strictEqual(expandFileName('${unknown}-log', {}), '${unknown}-log');
+	});
+
+	test('resolves the report directory against the workspace folder', () => {
+		assert.strictEqual(
+			getReportPath(root, { directory: 'reports/a11y' }, 'log', '.json'),
+			path.join(root, 'reports', 'a11y', 'log.json')
+		);
+		assert.strictEqual(
+			getReportPath(root, { history: true }, 'log', '.json', new Date('2026-01-02T03:04:05.006Z')),
+			path.join(root, 'log.2026-01-02T03-04-05-006Z.json')
+		);
+	});
+
+	test('keeps a limited history of timestamped runs', () => {
+		['2026-01-01', '2026-01-02', '2026-01-03'].forEach((day) =>
+			fs.writeFileSync(path.join(root, `log.${day}T00-00-00-000Z.json`), '{}')
+		);
+		fs.writeFileSync(path.join(root, 'other.2026-01-01T00-00-00-000Z.json'), '{}');
+
+		const deleted = pruneHistory(root, 'log', '.json', 2);
+
+		assert.deepStrictEqual(deleted, [path.join(root, 'log.2026-01-01T00-00-00-000Z.json')]);
+		assert.strictEqual(fs.readdirSync(root).length, 3);
+	});
+
+	test('writes reports, creating their directory', () => {
+		const filePath = writeReportFile(root, { directory: 'diagnostics' }, 'log', '.json', { totalIssues: 0 });
+
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf-8')), { totalIssues: 0 });
+	});
+});
@@ -0,0 +1,73 @@
+const assert = require('assert');
+
+const { buildTree, childElements, textContent, hasAttribute, getAttribute } = require('../scripts/parser');
+const rules = require('../scripts/rules');
+
+const findRule = (id) => rules.find((rule) => rule && rule.id === id);
+
+// Runs a single rule the same way the checker does and returns the matched offsets.
+function runRule(id, html) {
+	const rule = findRule(id);
+	const tree = buildTree(html);
+	const offsets = [];
+	rule.regex.lastIndex = 0;
+	let match;
+	while ((match = rule.regex.exec(html)) !== null) {
+		if (rule.validate(match[0], html, tree.elementAt(match.index), tree)) {
+			offsets.push(match.index);
+		}
+	}
+	return offsets;
+}
+
+suite('HTML parser', () => {
+	test('keeps source offsets for elements and attributes', () => {
+		const html = '<p class="intro">Hi <img src="a.png" alt=""></p>';
+		const { elements } = buildTree(html);
+		const [p, img] = elements;
+
+		assert.strictEqual(p.tagName, 'p');
+		assert.strictEqual(p.start, 0);
+		assert.strictEqual(p.end, html.length);
+		assert.strictEqual(html.slice(img.start, img.openTagEnd), '<img src="a.png" alt="">');
+		assert.deepStrictEqual({ ...img.attributes }, { src: 'a.png', alt: '' });
+		assert.strictEqual(img.parent, p);
+	});
+
+	test('only finds attributes of the element, not object properties', () => {
+		const [div] = buildTree('<div hidden>Text</div>').elements;
+
+		assert.strictEqual(hasAttribute(div, 'hidden'), true);
+		assert.strictEqual(hasAttribute(div, 'constructor'), false);
+		assert.strictEqual('toString' in div.attributes, false);
+		assert.strictEqual(getAttribute(div, '__proto__'), undefined);
+	});
+
+	test('closes implied end tags without leaving nested lists', () => {
+		const { elements } = buildTree('<ul><li>a<li>b<ul><li>c</ul></ul>');
+		const outer = elements[0];
+		const items = childElements(outer);
+
+		assert.deepStrictEqual(items.map((item) => item.tagName), ['li', 'li']);
+		assert.strictEqual(childElements(items[1])[0].tagName, 'ul');
+	});
+
+	test('treats script content as raw text', () => {
+		const { elements } = buildTree('<div><script>if (a < b) {}</script></div>');
+
+		assert.deepStrictEqual(elements.map((element) => element.tagName), ['div', 'script']);
+		assert.strictEqual(textContent(elements[0]), '');
+	});
+});
+
+suite('Tree-aware rules', () => {
+	test('R9 only flags the figure without its own figcaption', () => {
+		const html = '<figure><img alt=""></figure><figure><figcaption>Chart</figcaption></figure>';
+		assert.deepStrictEqual(runRule('R9', html), [0]);
+	});
+
+	test('R34 checks the parent of each list item', () => {
+		const html = '<ul><li>ok</li></ul><div><li>orphan</li></div>';
+		assert.deepStrictEqual(runRule('R34', html), [25]);
+	});
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { checkDocument } = require('../scripts/checker');
+const { createSarifLog } = require('../scripts/sarif');
+const { run } = require('../bin/semantic-checker');
+
+suite('SARIF', () => {
+	test('describes every rule and locates results in their artifact', () => {
+		const { issues } = checkDocument('<p>Intro</p>\n<img src="a.png">', { rules: { R1: 'error' } });
+		const log = createSarifLog([{ file: 'pages/index.html', issues }], { rootUri: 'file:///project/' });
+		const [sarifRun] = log.runs;
+
+		assert.strictEqual(log.version, '2.1.0');
+		assert.deepStrictEqual(sarifRun.originalUriBaseIds, { '%SRCROOT%': { uri: 'file:///project/' } });
+
+		const result = sarifRun.results.find(({ ruleId }) => ruleId === 'R1');
+		assert.strictEqual(result.level, 'error');
+		assert.deepStrictEqual(result.locations[0].physicalLocation, {
+			artifactLocation: { uri: 'pages/index.html', uriBaseId: '%SRCROOT%', index: 0 },
+			region: { startLine: 2, startColumn: 1, endLine: 2, endColumn: 18 },
+		});
+
+		const rule = sarifRun.tool.driver.rules[result.ruleIndex];
+		assert.strictEqual(rule.id, 'R1');
+		assert.strictEqual(rule.properties.wcagLevel, 'A');
+		assert.deepStrictEqual(rule.properties.successCriteria, ['1.1.1']);
+		assert.ok(rule.properties.recommendation);
+	});
+
+	test('keeps absolute URIs and reports rules that failed', () => {
+		const log = createSarifLog([
+			{ file: 'untitled:Untitled-1', issues: [], ruleErrors: [{ ruleId: 'R7', message: 'boom' }] },
+		]);
+		const [sarifRun] = log.runs;
+
+		assert.deepStrictEqual(sarifRun.artifacts, [{ location: { uri: 'untitled:Untitled-1' } }]);
+		assert.strictEqual(sarifRun.invocations[0].toolExecutionNotifications[0].associatedRule.id, 'R7');
+	});
+
+	test('is printed by the CLI with --format sarif', () => {
+		const root = fs.mkdtempSync(path.join(os.tmpdir(), 'semantic-checker-'));
+		fs.writeFileSync(path.join(root, 'index.html'), '<img src="a.png">');
+		const log = console.log;
+		let output = '';
+		console.log = (text) => {
+			output += text;
+		};
+
+		try {
+			run(['check', 'index.html', '--format', 'sarif'], root);
+		} finally {
+			console.log = log;
+			fs.rmSync(root, { recursive: true, force: true });
+		}
+
+		const [sarifRun] = JSON.parse(output).runs;
+		assert.ok(sarifRun.results.some(({ ruleId }) => ruleId === 'R1'));
+		assert.match(sarifRun.originalUriBaseIds['%SRCROOT%'].uri, /^file:\/\/.*\/$/);
+	});
+});
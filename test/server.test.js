@@ -0,0 +1,130 @@
+const assert = require('assert');
+const { PassThrough } = require('stream');
+
+const {
+	createConnection,
+	StreamMessageReader,
+	StreamMessageWriter,
+} = require('vscode-languageserver/node');
+const { createMessageConnection } = require('vscode-jsonrpc/node');
+const { startServer } = require('../scripts/server');
+const { REQUESTS } = require('../scripts/protocol');
+
+const URI = 'file:///project/index.html';
+
+suite('Language server', () => {
+	let client;
+	let diagnostics;
+
+	// Resolves with the next diagnostics published for the document
+	const nextDiagnostics = () =>
+		new Promise((resolve) => {
+			diagnostics = resolve;
+		});
+
+	setup(async () => {
+		const toServer = new PassThrough();
+		const toClient = new PassThrough();
+		startServer(createConnection(new StreamMessageReader(toServer), new StreamMessageWriter(toClient)));
+
+		client = createMessageConnection(new StreamMessageReader(toClient), new StreamMessageWriter(toServer));
+		client.onNotification('textDocument/publishDiagnostics', (params) => {
+			if (params.uri === URI && diagnostics) diagnostics(params.diagnostics);
+		});
+		client.onNotification('window/showMessage', () => {});
+		client.listen();
+
+		await client.sendRequest('initialize', {
+			processId: null,
+			rootUri: null,
+			capabilities: {},
+			initializationOptions: { semanticChecker: { rules: { R1: 'error' } } },
+		});
+		client.sendNotification('initialized', {});
+	});
+
+	teardown(async () => {
+		await client.sendRequest('shutdown');
+		client.dispose();
+	});
+
+	const open = (text) => {
+		const published = nextDiagnostics();
+		client.sendNotification('textDocument/didOpen', {
+			textDocument: { uri: URI, languageId: 'html', version: 1, text },
+		});
+		return published;
+	};
+
+	test('publishes diagnostics for open documents', async () => {
+		const published = await open('<img src="logo.png">');
+		const diagnostic = published.find(({ code }) => code === 'R1');
+
+		assert.ok(diagnostic);
+		assert.strictEqual(diagnostic.severity, 1);
+		assert.strictEqual(diagnostic.source, 'semantic-checker');
+		assert.match(diagnostic.codeDescription.href, /^https:/);
+		assert.deepStrictEqual(diagnostic.range.start, { line: 0, character: 0 });
+	});
+
+	test('offers quick fixes and hovers for its diagnostics', async () => {
+		const published = await open('<img src="logo.png">');
+		const diagnostic = published.find(({ code }) => code === 'R1');
+
+		const actions = await client.sendRequest('textDocument/codeAction', {
+			textDocument: { uri: URI },
+			range: diagnostic.range,
+			context: { diagnostics: [diagnostic] },
+		});
+		const titles = actions.map(({ title }) => title);
+		assert.ok(titles.includes('Fix this R1 issue'));
+		assert.ok(titles.includes('Suppress R1 on this line'));
+		const [fix] = actions[0].edit.changes[URI];
+		assert.match(fix.newText, /alt=/);
+
+		const hover = await client.sendRequest('textDocument/hover', {
+			textDocument: { uri: URI },
+			position: { line: 0, character: 2 },
+		});
+		assert.match(hover.contents.value, /\*\*R1\*\*/);
+	});
+
+	test('shows the role, name and description of the element under the cursor', async () => {
+		await open('<label for="email">E-mail</label>\n<input id="email" aria-describedby="hint">\n<p id="hint">We never share it</p>');
+
+		const hover = await client.sendRequest('textDocument/hover', {
+			textDocument: { uri: URI },
+			position: { line: 1, character: 3 },
+		});
+		assert.match(hover.contents.value, /Role: textbox/);
+		assert.match(hover.contents.value, /Accessible name: "E\\-mail" \(from label\)/);
+		assert.match(hover.contents.value, /Accessible description: "We never share it"/);
+
+		client.sendNotification('textDocument/didChange', {
+			textDocument: { uri: URI, version: 2 },
+			contentChanges: [{ text: '<label for="email">E-mail</label>\n<input id="email" type="checkbox">' }],
+		});
+		const changed = await client.sendRequest('textDocument/hover', {
+			textDocument: { uri: URI },
+			position: { line: 1, character: 3 },
+		});
+		assert.match(changed.contents.value, /Role: checkbox/);
+	});
+
+	test('checks and fixes documents on request', async () => {
+		await open('<img src="logo.png">');
+		const result = await client.sendRequest(REQUESTS.checkDocument, { uri: URI });
+		const issue = result.issues.find(({ ruleId }) => ruleId === 'R1');
+		assert.match(issue.fingerprint, /^[0-9a-f]{16}$/);
+
+		const { edits } = await client.sendRequest(REQUESTS.computeFixes, {
+			uri: URI,
+			targets: [{ ruleId: 'R1', start: issue.startOffset, end: issue.endOffset }],
+		});
+		assert.strictEqual(edits.length, 1);
+		assert.deepStrictEqual(edits[0].ruleIds, ['R1']);
+
+		const { text } = await client.sendRequest(REQUESTS.rulePerformance);
+		assert.match(text, /Slowest rules/);
+	});
+});
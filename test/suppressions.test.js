@@ -0,0 +1,96 @@
+const assert = require('assert');
+
+const { checkDocument } = require('../scripts/checker');
+
+const ruleLines = (issues, ruleId) =>
+	issues.filter((issue) => issue.ruleId === ruleId).map((issue) => issue.startLine);
+
+suite('Suppression comments', () => {
+	test('disable-next-line only silences the following line', () => {
+		const { issues } = checkDocument([
+			'<!-- semantic-checker-disable-next-line R1 -->',
+			'<img src="a.png">',
+			'<img src="b.png">',
+		].join('\n'));
+
+		assert.deepStrictEqual(ruleLines(issues, 'R1'), [2]);
+	});
+
+	test('disable ... enable silences a range', () => {
+		const { issues } = checkDocument([
+			'<!-- semantic-checker-disable R7 -- icon buttons are labelled by script -->',
+			'<button></button>',
+			'<!-- semantic-checker-enable R7 -->',
+			'<button></button>',
+		].join('\n'));
+
+		assert.deepStrictEqual(ruleLines(issues, 'R7'), [3]);
+	});
+
+	test('disable-file without rule ids silences everything', () => {
+		const { issues, unusedSuppressions } = checkDocument(
+			'<img src="a.png">\n<!-- semantic-checker-disable-file -->'
+		);
+
+		assert.deepStrictEqual(issues, []);
+		assert.deepStrictEqual(unusedSuppressions, []);
+	});
+
+	test('enable only ends the ranges of the rules it names', () => {
+		const { issues, unusedSuppressions } = checkDocument([
+			'<!-- semantic-checker-disable R1, R10 -->',
+			'<img src="a.png"><iframe src="a.html"></iframe>',
+			'<!-- semantic-checker-enable R1 -->',
+			'<img src="b.png"><iframe src="b.html"></iframe>',
+		].join('\n'));
+
+		assert.deepStrictEqual(ruleLines(issues, 'R1'), [3]);
+		assert.deepStrictEqual(ruleLines(issues, 'R10'), []);
+		assert.deepStrictEqual(unusedSuppressions, []);
+	});
+
+	test('counts every suppression covering an issue as used', () => {
+		const { issues, unusedSuppressions } = checkDocument([
+			'<!-- semantic-checker-disable R1 -->',
+			'<!-- semantic-checker-disable-next-line R1 -->',
+			'<img src="a.png">',
+		].join('\n'));
+
+		assert.deepStrictEqual(ruleLines(issues, 'R1'), []);
+		assert.deepStrictEqual(unusedSuppressions, []);
+	});
+
+	test('reports suppressions that did not suppress anything', () => {
+		const { unusedSuppressions } = checkDocument([
+			'<html lang="en">',
+			'<!-- semantic-checker-disable-next-line R1, R10 -->',
+			'<img src="a.png">',
+			'</html>',
+		].join('\n'));
+
+		assert.strictEqual(unusedSuppressions.length, 1);
+		assert.deepStrictEqual(unusedSuppressions[0].ruleIds, ['R10']);
+		assert.strictEqual(unusedSuppressions[0].startLine, 1);
+	});
+
+	test('silences custom rules by their exact id and built-in rules in any case', () => {
+		const customRules = [
+			{
+				id: 'ds/modal-labelledby',
+				level: 'A',
+				regex: /<ds-modal\b[^>]*>/g,
+				message: 'Modal missing aria-labelledby',
+				validate: (tag, doc, node) => Boolean(node) && !node.attributes['aria-labelledby'],
+			},
+		];
+		const { issues, unusedSuppressions } = checkDocument([
+			'<!-- semantic-checker-disable-next-line ds/modal-labelledby, r1 -->',
+			'<ds-modal open><img src="a.png"></ds-modal>',
+			'<ds-modal open></ds-modal>',
+		].join('\n'), { customRules });
+
+		assert.deepStrictEqual(ruleLines(issues, 'ds/modal-labelledby'), [2]);
+		assert.deepStrictEqual(ruleLines(issues, 'R1'), []);
+		assert.deepStrictEqual(unusedSuppressions, []);
+	});
+});
@@ -0,0 +1,28 @@
+const assert = require('assert');
+
+const { neutralizeTemplates } = require('../scripts/templates');
+const { checkSemanticIssues } = require('../scripts/checker');
+
+const ruleIds = (text, language) =>
+	checkSemanticIssues(text, { language, rules: { R28: 'off', R39: 'off', R40: 'off', R46: 'off', R63: 'off' } }).map(({ ruleId }) => ruleId);
+
+suite('Template engines', () => {
+	test('keeps the length of the text', () => {
+		const text = '{# note #}\r\n<p>{{ user.name }}</p>{% if a %}<b>{% endif %}<?php echo $x; ?><%= y %>';
+		assert.strictEqual(neutralizeTemplates(text).length, text.length);
+		assert.strictEqual(neutralizeTemplates('@Model.Title', { razor: true }), 'xxxxxxxxxxxx');
+	});
+
+	test('treats dynamic attribute values and text as present', () => {
+		assert.deepStrictEqual(ruleIds('<img src="a.png" alt="{{ image.alt }}"><button>{{ label }}</button>', 'jinja'), []);
+		assert.deepStrictEqual(ruleIds('<img src="a.png" alt="<?= $alt ?>"><button><?php echo $label; ?></button>', 'php'), []);
+		assert.deepStrictEqual(ruleIds('<img src="a.png" alt="<%= image.alt %>"><button><%= label %></button>', 'erb'), []);
+		assert.deepStrictEqual(ruleIds('<img src="a.png" alt="@Model.Alt"><button>@(Model.Label)</button>', 'razor'), []);
+	});
+
+	test('keeps only the first branch of a conditional', () => {
+		const text = '<input {{#if wide}}class="wide"{{else}}class="narrow"{{/if}} type="text" name="q" autocomplete="on">';
+		assert.ok(!ruleIds(text, 'handlebars').includes('R80'));
+		assert.ok(!neutralizeTemplates(text).includes('narrow'));
+	});
+});